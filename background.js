@@ -0,0 +1,185 @@
+/**
+ * TinyCat Background Service Worker
+ *
+ * Manifest content scripts only run in pages loaded after install. On
+ * install, inject them into every frame of the tabs that are already open so
+ * every tab gets a cat that follows the stored settings without a reload.
+ * An update does the same: the old version's scripts are cut off from the
+ * extension, and the new ones take over from them (see content.js).
+ *
+ * It also keeps the focus timer (see src/focus-timer.js): the timer lives
+ * in chrome.storage.local, where every tab follows it, and a chrome.alarms
+ * alarm ends each interval even while the worker is asleep. And it passes
+ * the system's idle state (chrome.idle) on to every tab's cat, so the cats
+ * sleep when the user is away from the whole computer, not just a page.
+ * The cat's needs (see src/needs.js) live in chrome.storage.local too; the
+ * worker applies every change to them, one at a time, so tabs don't race.
+ * And it carries input from child frames up to their tab's top frame, where
+ * the cat is (see src/frame-relay.js), so it never passes through a page.
+ */
+'use strict';
+
+importScripts('src/focus-timer.js', 'src/needs.js');
+
+var FocusTimer = self.TinyCat.FocusTimer;
+var Needs = self.TinyCat.Needs;
+
+var FOCUS_ALARM = 'tinycat-focus';
+
+/** Shortest idle detection interval chrome.idle accepts (s). */
+var MIN_IDLE_DETECTION = 15;
+
+/** Default idleTimeout setting (s), as in the popup and content script. */
+var DEFAULT_IDLE_TIMEOUT = 5;
+
+chrome.runtime.onInstalled.addListener(function (details) {
+  if (details.reason !== 'install' && details.reason !== 'update') return;
+
+  var contentScript = chrome.runtime.getManifest().content_scripts[0];
+
+  chrome.tabs.query({}, function (tabs) {
+    tabs.forEach(function (tab) {
+      // Browser pages and the web store refuse injection; skip them quietly
+      if (!tab.id || !/^(https?|file):/.test(tab.url || '')) return;
+
+      var target = { tabId: tab.id, allFrames: true };
+      chrome.scripting.insertCSS({ target: target, files: contentScript.css })
+        .then(function () {
+          return chrome.scripting.executeScript({ target: target, files: contentScript.js });
+        })
+        .catch(function () {});
+    });
+  });
+});
+
+// Focus timer actions from the popup, and acknowledgements from a tab's
+// cat; needs changes from either
+chrome.runtime.onMessage.addListener(function (msg, _sender, sendResponse) {
+  if (msg.type === 'tinycat:focus') {
+    updateFocus(msg.action).then(sendResponse);
+    return true;
+  }
+  if (msg.type === 'tinycat:needs') {
+    updateNeeds(msg.change).then(sendResponse);
+    return true;
+  }
+});
+
+// Child frames relay input to another frame of their tab (their parent, or
+// the top frame) and nowhere else, which learns who sent it from here; the
+// top frame says whether they should (its cat is on, and the site allowed)
+chrome.runtime.onMessage.addListener(function (msg, sender, sendResponse) {
+  if (!sender.tab || sender.frameId === undefined) return;
+  var tabId = sender.tab.id;
+  var frameId = sender.frameId;
+
+  if (msg.type === 'tinycat:frame-input' && frameId !== 0) {
+    if (typeof msg.to !== 'number' || msg.to === frameId) return;
+    chrome.tabs.sendMessage(tabId, { type: msg.type, input: msg.input, from: frameId }, { frameId: msg.to })
+      .catch(function () {});
+  } else if (msg.type === 'tinycat:relay-query' && frameId !== 0) {
+    // Frames learn their own id here, to introduce themselves to their parent
+    chrome.tabs.sendMessage(tabId, { type: msg.type }, { frameId: 0 }).then(function (reply) {
+      sendResponse({ relay: !!(reply && reply.relay), frameId: frameId });
+    }, function () {
+      sendResponse({ relay: false, frameId: frameId });
+    });
+    return true;
+  } else if (msg.type === 'tinycat:relay' && sender.frameId === 0) {
+    chrome.tabs.sendMessage(tabId, { type: msg.type, relay: msg.relay === true }).catch(function () {});
+  }
+});
+
+chrome.alarms.onAlarm.addListener(function (alarm) {
+  if (alarm.name === FOCUS_ALARM) updateFocus('elapse');
+});
+
+// Alarms may not survive a browser restart: catch up on a missed one. Nor
+// does the idle state: `resting` is still as it was when the browser closed.
+chrome.runtime.onStartup.addListener(function () {
+  updateFocus('elapse');
+  chrome.storage.sync.get({ idleTimeout: DEFAULT_IDLE_TIMEOUT }, function (data) {
+    chrome.idle.queryState(idleDetection(data.idleTimeout), function (state) {
+      updateNeeds({ resting: state !== 'active' });
+    });
+  });
+});
+
+/**
+ * Apply a FocusTimer action to the stored timer, store the result and set
+ * (or clear) the alarm for its end. Resolves with the new timer.
+ */
+function updateFocus(action) {
+  return Promise.all([
+    chrome.storage.local.get({ focus: FocusTimer.OFF }),
+    chrome.storage.sync.get({
+      focusWork: FocusTimer.DEFAULT_WORK_MINUTES,
+      focusBreak: FocusTimer.DEFAULT_BREAK_MINUTES,
+    }),
+  ]).then(function (results) {
+    var minutes = { work: results[1].focusWork, break: results[1].focusBreak };
+    var timer = FocusTimer.update(results[0].focus, action, Date.now(), minutes);
+
+    if (timer.endsAt !== null) {
+      chrome.alarms.create(FOCUS_ALARM, { when: timer.endsAt });
+    } else {
+      chrome.alarms.clear(FOCUS_ALARM);
+    }
+    return chrome.storage.local.set({ focus: timer }).then(function () {
+      return timer;
+    });
+  });
+}
+
+// The system counts as idle after 4× the idle timeout, as a page used to
+chrome.storage.sync.get({ idleTimeout: DEFAULT_IDLE_TIMEOUT }, function (data) {
+  setIdleDetection(data.idleTimeout);
+});
+
+chrome.storage.onChanged.addListener(function (changes, area) {
+  if (area === 'sync' && changes.idleTimeout) {
+    setIdleDetection(changes.idleTimeout.newValue || DEFAULT_IDLE_TIMEOUT);
+  }
+});
+
+chrome.idle.onStateChanged.addListener(function (state) {
+  // Energy comes back while the cats sleep through the user's absence
+  updateNeeds({ resting: state !== 'active' });
+
+  chrome.tabs.query({}, function (tabs) {
+    tabs.forEach(function (tab) {
+      if (!tab.id) return;
+      // Only the top frame has a cat; tabs without one just don't answer
+      chrome.tabs.sendMessage(tab.id, { type: 'tinycat:system-idle', state: state }, { frameId: 0 })
+        .catch(function () {});
+    });
+  });
+});
+
+function setIdleDetection(idleTimeout) {
+  chrome.idle.setDetectionInterval(idleDetection(idleTimeout));
+}
+
+/** chrome.idle's detection interval (s) for an idleTimeout setting (s). */
+function idleDetection(idleTimeout) {
+  return Math.max(MIN_IDLE_DETECTION, idleTimeout * 4);
+}
+
+var needsQueue = Promise.resolve();
+
+/**
+ * Drift the stored needs to now and apply a Needs change to them. Changes
+ * run in order, each on the last one's result. Resolves with the new needs.
+ */
+function updateNeeds(change) {
+  var run = needsQueue.then(function () {
+    return chrome.storage.local.get({ needs: null });
+  }).then(function (data) {
+    var needs = Needs.change(data.needs, change, Date.now());
+    return chrome.storage.local.set({ needs: needs }).then(function () {
+      return needs;
+    });
+  });
+  needsQueue = run.catch(function () {});
+  return run;
+}
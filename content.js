@@ -1,47 +1,271 @@
 /**
  * TinyCat Content Script — Entry Point
+ *
+ * Settings are read from chrome.storage.sync on load and kept in sync via
+ * storage.onChanged, so every open tab follows the popup — not just the
+ * active one. The focus timer and the cat's needs are kept by the
+ * background worker in chrome.storage.local; every tab's cat follows them
+ * the same way.
+ *
+ * The script runs in every frame, but only the top frame has a cat: one per
+ * tab. Child frames just relay their input to it through the background
+ * worker (see FrameRelay), and only while the top frame's cat is running:
+ * the enabled switch and the site rules go by the tab's own address.
+ *
+ * After an update the background worker injects the new version into open
+ * tabs, next to the old one, which can no longer reach the extension. The
+ * old copy hears the new one arrive and steps aside.
  */
 (function () {
   'use strict';
 
-  if (window.__tinyCatLoaded) return;
-  window.__tinyCatLoaded = true;
+  /** Dispatched on the document by each copy of this script as it arrives. */
+  var TAKEOVER_EVENT = 'tinycat:takeover';
 
-  var cat = new window.TinyCat.Cat();
+  var SiteRules = window.TinyCat.SiteRules;
+  var SpritePack = window.TinyCat.SpritePack;
+  var FrameRelay = window.TinyCat.FrameRelay;
 
-  // Load settings and start
-  chrome.storage.sync.get({
+  // DOM events reach every copy, whichever script world it runs in
+  document.dispatchEvent(new CustomEvent(TAKEOVER_EVENT));
+
+  if (window.top !== window) {
+    relayFrame();
+    return;
+  }
+
+  var DEFAULTS = {
     enabled: true,
     theme: 'black',
+    customPalette: null,
     catSpeed: 5,
     idleTimeout: 5,
+    roaming: false,
+    roamDistance: 300,
+    avoid: true,
+    home: 'bottom-right',
+    homeOffsetX: 60,
+    homeOffsetY: 40,
+    homeDrop: null,
     disabledStates: [],
+    probabilities: {},
+    energy: 1,
+    deterministic: false,
+    seed: 1,
+    siteMode: SiteRules.Modes.DENY,
+    siteRules: [],
+  };
+
+  /** Settings forwarded to Cat.applySettings when they change. */
+  var CAT_SETTINGS = [
+    'catSpeed', 'idleTimeout', 'roaming', 'roamDistance', 'avoid', 'home', 'homeOffsetX',
+    'homeOffsetY', 'homeDrop', 'disabledStates', 'probabilities', 'energy',
+    'deterministic', 'seed',
+  ];
+
+  var cat = new window.TinyCat.Cat();
+  var relay = new FrameRelay(function (type, e) {
+    cat.relayInput(type, e);
+  });
+  var settings = Object.assign({}, DEFAULTS);
+  var running = false;
+  var retired = false;
+
+  document.addEventListener(TAKEOVER_EVENT, function () {
+    retired = true;
+    relay.stop();
+    cat.stop();
+    running = false;
+  }, { once: true });
+
+  // Remember where the cat was dropped, for every tab (home: 'dropped')
+  cat.onHomeDropped(function (anchor) {
+    chrome.storage.sync.set({ homeDrop: anchor });
+  });
+
+  // Tapping the cat when it asks for a break starts the break, in every tab
+  cat.onBreakAcknowledged(function () {
+    chrome.runtime.sendMessage({ type: 'tinycat:focus', action: 'acknowledge' });
+  });
+
+  // Pouncing, eating and the like change the one set of needs all tabs
+  // share. Naps only count in the tab in view: cats in background tabs
+  // doze off for want of input while the user is busy elsewhere.
+  cat.onNeedsChanged(function (change) {
+    if (change.resting !== undefined && document.hidden) return;
+    chrome.runtime.sendMessage({ type: 'tinycat:needs', change: change });
+  });
+
+  // The tab coming into view speaks for the cat's rest from then on
+  document.addEventListener('visibilitychange', function () {
+    if (retired || document.hidden) return;
+    chrome.runtime.sendMessage({ type: 'tinycat:needs', change: { resting: running && cat.resting } });
+  });
+
+  // Load settings and start
+  chrome.storage.sync.get(DEFAULTS, function (data) {
+    apply(data);
+  });
+
+  // Sprite packs and editor sprites from the options page are too large for sync
+  chrome.storage.local.get({
+    spritePack: null, customSprites: {}, behavior: null, focus: null, needs: null,
   }, function (data) {
-    if (data.enabled) {
-      cat.start();
-      cat.setTheme(data.theme);
-      cat.applySettings({
-        catSpeed: data.catSpeed,
-        idleTimeout: data.idleTimeout,
-        disabledStates: data.disabledStates,
-      });
+    cat.setSpritePack(usablePack(data.spritePack));
+    cat.setCustomSprites(data.customSprites);
+    applyBehavior(data.behavior);
+    cat.setFocus(data.focus);
+    cat.setNeeds(data.needs);
+  });
+
+  // Follow changes made from the popup or options page in any tab
+  chrome.storage.onChanged.addListener(function (changes, area) {
+    if (area === 'local' && changes.spritePack) {
+      cat.setSpritePack(usablePack(changes.spritePack.newValue));
+    }
+    if (area === 'local' && changes.customSprites) {
+      cat.setCustomSprites(changes.customSprites.newValue || {});
+    }
+    if (area === 'local' && changes.behavior) {
+      applyBehavior(changes.behavior.newValue);
     }
+    if (area === 'local' && changes.focus) {
+      cat.setFocus(changes.focus.newValue);
+    }
+    if (area === 'local' && changes.needs) {
+      cat.setNeeds(changes.needs.newValue);
+    }
+    if (area !== 'sync') return;
+    var changed = {};
+    for (var key in changes) {
+      if (!(key in DEFAULTS)) continue;
+      changed[key] = changes[key].newValue !== undefined ? changes[key].newValue : DEFAULTS[key];
+    }
+    apply(changed);
   });
 
-  // Listen for messages from popup
-  chrome.runtime.onMessage.addListener(function (msg) {
-    if (msg.type === 'tinycat:toggle') {
-      if (msg.enabled) {
-        cat.start();
-      } else {
-        cat.stop();
+  // Answer the popup's live status, session-recording and feeding
+  // requests, and follow the system idle state and child-frame input the
+  // background worker passes on
+  chrome.runtime.onMessage.addListener(function (msg, _sender, sendResponse) {
+    if (retired) return;
+    if (msg.type === 'tinycat:system-idle') {
+      cat.setSystemIdle(msg.state);
+    } else if (msg.type === 'tinycat:frame-input') {
+      relay.receive(msg.input, msg.from);
+    } else if (msg.type === 'tinycat:relay-query') {
+      sendResponse({ relay: running });
+    } else if (msg.type === 'tinycat:status') {
+      var status = cat.getStatus();
+      status.running = running;
+      sendResponse(status);
+    } else if (msg.type === 'tinycat:record-start') {
+      if (running) cat.startRecording();
+      sendResponse({ recording: running });
+    } else if (msg.type === 'tinycat:record-stop') {
+      sendResponse({ trace: cat.stopRecording() });
+    } else if (msg.type === 'tinycat:feed') {
+      sendResponse({ fed: running && cat.feed() });
+    }
+  });
+
+  /** Stored packs were validated on import; re-check in case the format moved on. */
+  function usablePack(pack) {
+    return pack && SpritePack.validate(pack).length === 0 ? pack : null;
+  }
+
+  /** Use a stored behavior definition, keeping the built-in one if it is invalid. */
+  function applyBehavior(behavior) {
+    try {
+      cat.setBehavior(behavior || null);
+    } catch (e) {
+      // The options page lists what is wrong with it
+      cat.setBehavior(null);
+    }
+  }
+
+  /** Merge changed settings into the local copy and push them to the cat. */
+  function apply(changed) {
+    Object.assign(settings, changed);
+
+    if ('customPalette' in changed) {
+      cat.setCustomPalette(settings.customPalette);
+    }
+    if ('theme' in changed) {
+      cat.setTheme(settings.theme);
+    }
+
+    var catSettings = {};
+    var hasCatSettings = false;
+    CAT_SETTINGS.forEach(function (key) {
+      if (key in changed) {
+        catSettings[key] = settings[key];
+        hasCatSettings = true;
       }
+    });
+    if (hasCatSettings) cat.applySettings(catSettings);
+
+    updateRunning();
+  }
+
+  /** Start or stop the cat to match the enabled flag and site rules. */
+  function updateRunning() {
+    if (retired) return;
+    var shouldRun = settings.enabled &&
+      SiteRules.isAllowed(location.href, settings.siteRules, settings.siteMode);
+    if (shouldRun && !running) {
+      cat.start();
+      relay.start();
+    } else if (!shouldRun && running) {
+      relay.stop();
+      cat.stop();
     }
-    if (msg.type === 'tinycat:theme') {
-      cat.setTheme(msg.theme);
+    // Child frames relay only while there is a cat to take their input
+    if (shouldRun !== running) {
+      chrome.runtime.sendMessage({ type: 'tinycat:relay', relay: shouldRun }).catch(function () {});
     }
-    if (msg.type === 'tinycat:settings') {
-      cat.applySettings(msg.settings);
+    running = shouldRun;
+  }
+
+  /**
+   * A child frame: no cat here, just pass input on (its own, and that of
+   * frames inside it) while the top frame's cat runs. It asks when it loads
+   * and is told of every change after.
+   */
+  function relayFrame() {
+    var childRelay = new FrameRelay(null, function (input, to) {
+      chrome.runtime.sendMessage({ type: 'tinycat:frame-input', input: input, to: to }).catch(function () {});
+    });
+    var retired = false;
+
+    document.addEventListener(TAKEOVER_EVENT, function () {
+      retired = true;
+      childRelay.stop();
+    }, { once: true });
+
+    chrome.runtime.sendMessage({ type: 'tinycat:relay-query' }).then(function (reply) {
+      if (!reply) return;
+      childRelay.setFrameId(reply.frameId);
+      setRelaying(reply.relay);
+    }, function () {});
+
+    // Frames nested in this one relay through it
+    chrome.runtime.onMessage.addListener(function (msg) {
+      if (retired) return;
+      if (msg.type === 'tinycat:relay') {
+        setRelaying(msg.relay);
+      } else if (msg.type === 'tinycat:frame-input') {
+        childRelay.receive(msg.input, msg.from);
+      }
+    });
+
+    function setRelaying(on) {
+      if (retired) return;
+      if (on) {
+        childRelay.start();
+      } else {
+        childRelay.stop();
+      }
     }
-  });
+  }
 })();
@@ -0,0 +1,520 @@
+/**
+ * TinyCat Options — Sprite Packs, Sprite Editor & Behavior
+ *
+ * Imports, exports and activates sprite packs (see src/sprite-pack.js), and
+ * paints over the active pack's sprites. Saved sprites go to
+ * chrome.storage.local as `customSprites` ({ key: { w, h, rows } }) and the
+ * content script hands them to the Renderer in place of the pack's own.
+ * An edited behavior definition is stored there as `behavior`.
+ */
+document.addEventListener('DOMContentLoaded', function () {
+  var TinyCat = window.TinyCat;
+  var SpritePack = TinyCat.SpritePack;
+
+  var CELL = 22;          // editor px per sprite pixel
+  var MAX_SIZE = 24;      // largest sprite edge the editor allows
+  var PALETTE_CODES = ['0', '1', '2', '3', '4', '5', '6'];
+  var CODE_NAMES = {
+    0: 'Transparent',
+    1: 'Body',
+    2: 'Accent',
+    3: 'Eye',
+    4: 'Belly',
+    5: 'Wide eye',
+    6: 'Dizzy eye',
+  };
+
+  // DOM refs
+  var spriteList = document.getElementById('sprite-list');
+  var swatches = document.getElementById('swatches');
+  var sizeW = document.getElementById('size-w');
+  var sizeH = document.getElementById('size-h');
+  var resizeBtn = document.getElementById('resize-btn');
+  var paletteSelect = document.getElementById('palette-select');
+  var gridCanvas = document.getElementById('grid-canvas');
+  var previewCanvas = document.getElementById('preview-canvas');
+  var framesEl = document.getElementById('frames');
+  var saveBtn = document.getElementById('save-btn');
+  var discardBtn = document.getElementById('discard-btn');
+  var revertBtn = document.getElementById('revert-btn');
+  var statusEl = document.getElementById('status');
+  var packName = document.getElementById('pack-name');
+  var importBtn = document.getElementById('import-btn');
+  var importFile = document.getElementById('import-file');
+  var exportBtn = document.getElementById('export-btn');
+  var builtinBtn = document.getElementById('builtin-btn');
+  var packErrors = document.getElementById('pack-errors');
+  var behaviorJson = document.getElementById('behavior-json');
+  var behaviorErrors = document.getElementById('behavior-errors');
+  var behaviorLeftOut = document.getElementById('behavior-left-out');
+  var behaviorSaveBtn = document.getElementById('behavior-save-btn');
+  var behaviorResetBtn = document.getElementById('behavior-reset-btn');
+  var behaviorStatus = document.getElementById('behavior-status');
+
+  var gridCtx = gridCanvas.getContext('2d');
+  var previewCtx = previewCanvas.getContext('2d');
+
+  var pack = SpritePack.builtin();
+  var customSprites = {};
+  var currentKey = 'idle';
+  var draft = null;       // { w, h, rows: string[][] } — rows split into cells while editing
+  var dirty = false;
+  var paintCode = '1';
+  var paletteName = 'black';
+  var pinnedFrame = null; // null = play the animation
+  var painting = null;    // palette code being painted while the mouse is down
+  var shownFrame = -1;    // last frame drawn by the preview loop
+
+  // A stored behavior the cat can no longer use (the format moved on) is
+  // ignored in every tab; say so here, where it can be fixed
+  chrome.storage.local.get({ behavior: null }, function (data) {
+    showBehavior(data.behavior || TinyCat.defaultBehavior);
+    if (data.behavior) {
+      var errors = TinyCat.validateBehavior(data.behavior);
+      showErrorList(behaviorErrors, 'Saved behavior is not in use, the cat runs the built-in one:', errors);
+      if (errors.length === 0) showLeftOut(data.behavior);
+    }
+  });
+
+  chrome.storage.local.get({ spritePack: null, customSprites: {} }, function (data) {
+    if (data.spritePack && SpritePack.validate(data.spritePack).length === 0) {
+      pack = data.spritePack;
+    }
+    customSprites = data.customSprites;
+    showPack();
+    requestAnimationFrame(animatePreview);
+  });
+
+  // --- Sprite packs ---
+
+  importBtn.addEventListener('click', function () {
+    importFile.click();
+  });
+
+  importFile.addEventListener('change', function () {
+    var file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+
+    var reader = new FileReader();
+    reader.onload = function () {
+      var result = SpritePack.parse(reader.result);
+      showErrors(file.name, result.errors);
+      if (!result.pack) return;
+      activatePack(result.pack, 'Imported "' + (result.pack.name || file.name) + '"');
+    };
+    reader.readAsText(file);
+  });
+
+  exportBtn.addEventListener('click', function () {
+    var json = SpritePack.serialize(pack, customSprites);
+    var name = (pack.name || 'tinycat').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    var link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = name + '.tinycat.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+
+  builtinBtn.addEventListener('click', function () {
+    activatePack(null, 'Using built-in sprites');
+  });
+
+  /**
+   * Make a pack (or null for built-in) the active one. Sprite edits were
+   * made against the old pack's shapes, so they are dropped with it.
+   */
+  function activatePack(newPack, message) {
+    var hasEdits = Object.keys(customSprites).length > 0;
+    if (hasEdits && !confirm('Switching packs discards your sprite edits. Export first to keep them. Continue?')) {
+      return;
+    }
+    chrome.storage.local.set({ spritePack: newPack, customSprites: {} }, function () {
+      pack = newPack || SpritePack.builtin();
+      customSprites = {};
+      showPack();
+      showStatus(message);
+    });
+  }
+
+  function showPack() {
+    packName.textContent = pack.name || 'Untitled pack';
+    if (!pack.sprites[currentKey]) {
+      currentKey = pack.stateSprites[TinyCat.States.IDLE];
+    }
+    if (!pack.palettes[paletteName]) {
+      paletteName = Object.keys(pack.palettes)[0];
+    }
+    buildSpriteList();
+    buildPaletteSelect();
+    buildSwatches();
+    loadSprite(currentKey);
+  }
+
+  function showErrors(fileName, errors) {
+    showErrorList(packErrors, fileName + ' was not imported:', errors);
+  }
+
+  function showErrorList(listEl, title, errors) {
+    listEl.innerHTML = '';
+    if (errors.length === 0) return;
+
+    var heading = document.createElement('li');
+    heading.className = 'pack-errors-title';
+    heading.textContent = title;
+    listEl.appendChild(heading);
+
+    errors.forEach(function (message) {
+      var item = document.createElement('li');
+      item.textContent = message;
+      listEl.appendChild(item);
+    });
+  }
+
+  // --- Behavior definition ---
+
+  behaviorSaveBtn.addEventListener('click', function () {
+    var behavior;
+    try {
+      behavior = JSON.parse(behaviorJson.value);
+    } catch (e) {
+      showErrorList(behaviorErrors, 'Behavior was not saved:', ['Invalid JSON: ' + e.message]);
+      return;
+    }
+    var errors = TinyCat.validateBehavior(behavior);
+    showErrorList(behaviorErrors, 'Behavior was not saved:', errors);
+    if (errors.length) return;
+
+    chrome.storage.local.set({ behavior: behavior }, function () {
+      flashStatus(behaviorStatus, 'Saved');
+      showLeftOut(behavior);
+    });
+  });
+
+  behaviorResetBtn.addEventListener('click', function () {
+    chrome.storage.local.remove('behavior', function () {
+      showBehavior(TinyCat.defaultBehavior);
+      showErrorList(behaviorErrors, '', []);
+      showLeftOut(TinyCat.defaultBehavior);
+      flashStatus(behaviorStatus, 'Using built-in behavior');
+    });
+  });
+
+  function showBehavior(behavior) {
+    behaviorJson.value = JSON.stringify(behavior, null, 2);
+  }
+
+  /**
+   * A saved behavior is a copy of the built-in one as it was: states added
+   * by later versions never reach it. Name the states it leaves out.
+   */
+  function showLeftOut(behavior) {
+    var leftOut = TinyCat.defaultBehavior.states.filter(function (state) {
+      return behavior.states.indexOf(state) === -1;
+    });
+    behaviorLeftOut.hidden = leftOut.length === 0;
+    behaviorLeftOut.textContent = 'The saved behavior leaves out ' + leftOut.join(', ') +
+      ': the cat never enters ' + (leftOut.length > 1 ? 'these states' : 'this state') +
+      '. Add them, or use the built-in behavior to get them back.';
+  }
+
+  // --- Sprite selection ---
+
+  function buildSpriteList() {
+    spriteList.innerHTML = '';
+    Object.keys(pack.sprites).forEach(function (key) {
+      var item = document.createElement('button');
+      item.className = 'sprite-item';
+      item.textContent = key;
+      item.dataset.key = key;
+      item.classList.toggle('selected', key === currentKey);
+      item.classList.toggle('custom', !!customSprites[key]);
+      item.addEventListener('click', function () {
+        if (key === currentKey) return;
+        if (dirty && !confirm('Discard unsaved changes to "' + currentKey + '"?')) return;
+        loadSprite(key);
+      });
+      spriteList.appendChild(item);
+    });
+  }
+
+  function loadSprite(key) {
+    var source = customSprites[key] || pack.sprites[key];
+    currentKey = key;
+    draft = {
+      w: source.w,
+      h: source.h,
+      rows: source.rows.map(function (row) { return row.split(''); }),
+    };
+    pinnedFrame = null;
+    setDirty(false);
+    buildSpriteList();
+    buildFrameButtons();
+    drawAll();
+  }
+
+  // --- Palette ---
+
+  paletteSelect.addEventListener('change', function () {
+    paletteName = paletteSelect.value;
+    buildSwatches();
+    drawAll();
+  });
+
+  function buildPaletteSelect() {
+    paletteSelect.innerHTML = '';
+    Object.keys(pack.palettes).forEach(function (name) {
+      var opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      paletteSelect.appendChild(opt);
+    });
+    paletteSelect.value = paletteName;
+  }
+
+  function buildSwatches() {
+    var palette = pack.palettes[paletteName];
+    swatches.innerHTML = '';
+    PALETTE_CODES.forEach(function (code) {
+      if (code !== '0' && !palette[code]) return;
+      var swatch = document.createElement('button');
+      swatch.className = 'swatch' + (code === '0' ? ' transparent' : '');
+      swatch.title = code + ' — ' + CODE_NAMES[code];
+      if (code !== '0') swatch.style.background = palette[code];
+      swatch.classList.toggle('selected', code === paintCode);
+      swatch.addEventListener('click', function () {
+        paintCode = code;
+        buildSwatches();
+      });
+      swatches.appendChild(swatch);
+    });
+  }
+
+  // --- Painting ---
+
+  gridCanvas.addEventListener('contextmenu', function (e) {
+    e.preventDefault();
+  });
+
+  gridCanvas.addEventListener('mousedown', function (e) {
+    painting = e.button === 2 ? '0' : paintCode;
+    paintAt(e);
+  });
+
+  gridCanvas.addEventListener('mousemove', function (e) {
+    if (painting !== null) paintAt(e);
+  });
+
+  window.addEventListener('mouseup', function () {
+    painting = null;
+  });
+
+  function paintAt(e) {
+    var rect = gridCanvas.getBoundingClientRect();
+    var x = Math.floor((e.clientX - rect.left) / CELL);
+    var y = Math.floor((e.clientY - rect.top) / CELL);
+    if (x < 0 || y < 0 || x >= draft.w || y >= draft.h) return;
+    if (draft.rows[y][x] === painting) return;
+    draft.rows[y][x] = painting;
+    setDirty(true);
+    drawAll();
+  }
+
+  // --- Resize ---
+
+  resizeBtn.addEventListener('click', function () {
+    var w = clampSize(parseInt(sizeW.value));
+    var h = clampSize(parseInt(sizeH.value));
+    if (w === draft.w && h === draft.h) return;
+
+    // Anchor top-left so animation patch coordinates still line up
+    var rows = [];
+    for (var y = 0; y < h; y++) {
+      var row = [];
+      for (var x = 0; x < w; x++) {
+        row.push(y < draft.h && x < draft.w ? draft.rows[y][x] : '0');
+      }
+      rows.push(row);
+    }
+    draft = { w: w, h: h, rows: rows };
+    setDirty(true);
+    drawAll();
+  });
+
+  function clampSize(n) {
+    if (isNaN(n)) return 1;
+    return Math.max(1, Math.min(MAX_SIZE, n));
+  }
+
+  // --- Save / discard / revert ---
+
+  saveBtn.addEventListener('click', function () {
+    customSprites[currentKey] = toSprite(draft);
+    chrome.storage.local.set({ customSprites: customSprites }, function () {
+      setDirty(false);
+      buildSpriteList();
+      showStatus('Saved');
+    });
+  });
+
+  discardBtn.addEventListener('click', function () {
+    loadSprite(currentKey);
+  });
+
+  revertBtn.addEventListener('click', function () {
+    delete customSprites[currentKey];
+    chrome.storage.local.set({ customSprites: customSprites }, function () {
+      loadSprite(currentKey);
+      showStatus('Reverted to default');
+    });
+  });
+
+  function toSprite(d) {
+    return {
+      w: d.w,
+      h: d.h,
+      rows: d.rows.map(function (row) { return row.join(''); }),
+    };
+  }
+
+  function setDirty(value) {
+    dirty = value;
+    saveBtn.disabled = !dirty;
+    discardBtn.disabled = !dirty;
+    revertBtn.disabled = !customSprites[currentKey];
+    if (dirty) statusEl.textContent = '';
+  }
+
+  function showStatus(text) {
+    flashStatus(statusEl, text);
+  }
+
+  function flashStatus(el, text) {
+    el.textContent = text;
+    setTimeout(function () {
+      if (el.textContent === text) el.textContent = '';
+    }, 2000);
+  }
+
+  // --- Animation frames ---
+
+  function buildFrameButtons() {
+    var anim = currentAnimation();
+    framesEl.innerHTML = '';
+    if (!anim || !anim.frames || anim.frames.length === 0) return;
+
+    var play = document.createElement('button');
+    play.className = 'frame-btn';
+    play.textContent = 'Play';
+    play.addEventListener('click', function () { pinFrame(null); });
+    framesEl.appendChild(play);
+
+    anim.frames.forEach(function (_, i) {
+      var btn = document.createElement('button');
+      btn.className = 'frame-btn';
+      btn.textContent = String(i + 1);
+      btn.addEventListener('click', function () { pinFrame(i); });
+      framesEl.appendChild(btn);
+    });
+    updateFrameButtons();
+  }
+
+  function pinFrame(index) {
+    pinnedFrame = index;
+    updateFrameButtons();
+    drawAll();
+  }
+
+  function updateFrameButtons() {
+    var btns = framesEl.children;
+    for (var i = 0; i < btns.length; i++) {
+      btns[i].classList.toggle('selected', pinnedFrame === null ? i === 0 : i === pinnedFrame + 1);
+    }
+  }
+
+  function currentAnimation() {
+    return (pack.animations || {})[currentKey] || null;
+  }
+
+  function framePatches(index) {
+    var anim = currentAnimation();
+    if (!anim || !anim.frames || anim.frames.length === 0) return null;
+    return anim.frames[index % anim.frames.length];
+  }
+
+  // --- Drawing ---
+
+  function drawAll() {
+    sizeW.value = draft.w;
+    sizeH.value = draft.h;
+    drawGrid();
+    shownFrame = pinnedFrame === null ? 0 : pinnedFrame;
+    drawPreview(shownFrame);
+  }
+
+  function drawGrid() {
+    var palette = pack.palettes[paletteName];
+    gridCanvas.width = draft.w * CELL;
+    gridCanvas.height = draft.h * CELL;
+
+    for (var y = 0; y < draft.h; y++) {
+      for (var x = 0; x < draft.w; x++) {
+        var code = draft.rows[y][x];
+        if (code === '0') {
+          gridCtx.fillStyle = (x + y) % 2 ? '#2A2520' : '#252220';
+        } else {
+          gridCtx.fillStyle = palette[code];
+        }
+        gridCtx.fillRect(x * CELL, y * CELL, CELL, CELL);
+      }
+    }
+
+    // Cell grid lines
+    gridCtx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+    gridCtx.lineWidth = 1;
+    for (var gx = 1; gx < draft.w; gx++) {
+      gridCtx.beginPath();
+      gridCtx.moveTo(gx * CELL + 0.5, 0);
+      gridCtx.lineTo(gx * CELL + 0.5, gridCanvas.height);
+      gridCtx.stroke();
+    }
+    for (var gy = 1; gy < draft.h; gy++) {
+      gridCtx.beginPath();
+      gridCtx.moveTo(0, gy * CELL + 0.5);
+      gridCtx.lineTo(gridCanvas.width, gy * CELL + 0.5);
+      gridCtx.stroke();
+    }
+
+    // Outline the pixels the pinned frame's patch changes
+    if (pinnedFrame !== null) {
+      var patches = framePatches(pinnedFrame) || [];
+      gridCtx.strokeStyle = '#F5A623';
+      gridCtx.lineWidth = 2;
+      patches.forEach(function (p) {
+        if (p.x >= draft.w || p.y >= draft.h) return;
+        gridCtx.strokeRect(p.x * CELL + 1, p.y * CELL + 1, CELL - 2, CELL - 2);
+      });
+    }
+  }
+
+  function drawPreview(frameIndex) {
+    var sprite = toSprite(draft);
+    previewCanvas.width = sprite.w;
+    previewCanvas.height = sprite.h;
+    previewCanvas.style.width = (sprite.w * TinyCat.PIXEL_SCALE) + 'px';
+    previewCanvas.style.height = (sprite.h * TinyCat.PIXEL_SCALE) + 'px';
+    TinyCat.paintSprite(previewCtx, sprite, pack.palettes[paletteName], framePatches(frameIndex));
+  }
+
+  function animatePreview(now) {
+    var anim = currentAnimation();
+    if (pinnedFrame === null && anim && anim.fps > 0 && anim.frames.length > 0) {
+      var frame = Math.floor(now / (1000 / anim.fps)) % anim.frames.length;
+      if (frame !== shownFrame) {
+        shownFrame = frame;
+        drawPreview(frame);
+      }
+    }
+    requestAnimationFrame(animatePreview);
+  }
+});
@@ -2,36 +2,240 @@ document.addEventListener('DOMContentLoaded', function () {
   var DEFAULTS = {
     enabled: true,
     theme: 'black',
+    customPalette: null,
     catSpeed: 5,
     idleTimeout: 5,
+    roaming: false,
+    roamDistance: 300,
+    avoid: true,
+    home: 'bottom-right',
+    homeOffsetX: 60,
+    homeOffsetY: 40,
+    homeDrop: null,
     disabledStates: [],
+    probabilities: {},
+    energy: 1,
+    deterministic: false,
+    seed: 1,
+    focusWork: 25,
+    focusBreak: 5,
+  };
+
+  /** How often the live status view polls the active tab (ms). */
+  var STATUS_POLL_MS = 500;
+
+  /** How often the focus countdown is redrawn (ms). */
+  var FOCUS_TICK_MS = 1000;
+
+  /** How often the needs bars catch up with their drift (ms). */
+  var NEEDS_TICK_MS = 10000;
+
+  var FocusTimer = window.TinyCat.FocusTimer;
+  var Needs = window.TinyCat.Needs;
+
+  var FOCUS_LABELS = {
+    [FocusTimer.Phases.OFF]:   'Off',
+    [FocusTimer.Phases.WORK]:  'Working',
+    [FocusTimer.Phases.DUE]:   'Break due',
+    [FocusTimer.Phases.BREAK]: 'On break',
+  };
+
+  /**
+   * Theme buttons, in display order. 'auto' contrasts with the page behind
+   * the cat; 'custom' is the user's own palette.
+   */
+  var THEMES = [
+    { id: 'auto',   label: 'Auto' },
+    { id: 'black',  label: 'Dark' },
+    { id: 'white',  label: 'Light' },
+    { id: 'orange', label: 'Tabby' },
+    { id: 'gray',   label: 'Gray' },
+    { id: 'calico', label: 'Calico' },
+    { id: 'custom', label: 'Custom' },
+  ];
+
+  /** Palette slots editable in the custom palette. */
+  var COLOR_SLOTS = [
+    { code: 1, label: 'Body' },
+    { code: 2, label: 'Accent' },
+    { code: 3, label: 'Eye' },
+    { code: 4, label: 'Belly' },
+    { code: 5, label: 'Wide eye' },
+    { code: 6, label: 'Dizzy eye' },
+  ];
+
+  var PREVIEW_SCALE = 4;
+
+  /** Friendly names for the built-in behavior's tunable transitions. */
+  var TUNING_LABELS = {
+    fastPounce:   'Pounce at a fast cursor',
+    nearStretch:  'Stretch when you come near',
+    nearPounce:   'Pounce when you come near',
+    deleteJump:   'Jump at a burst of deletes',
+    flingFall:    'Tumble at a hard scroll',
+    bounceDizzy:  'Get dizzy hitting the page end',
+    readGroom:    'Groom while you read',
+    idleWander:   'Wander off while you rest',
+    idlePerch:    'Hop up onto the page',
+    idleStretch:  'Stretch while you rest',
+    idleGroom:    'Groom while you rest',
+    idleNap:      'Nap while you rest',
+    stretchGroom: 'Groom after stretching',
+    fallGroom:    'Groom after a fall',
+    groomStretch: 'Stretch after grooming',
+    watchDelete:  'Jump at deletes while watching',
+    eatGroom:     'Groom after eating',
+  };
+
+  // Site rules live beside the settings but are not touched by "Reset"
+  var SiteRules = window.TinyCat.SiteRules;
+  var SITE_DEFAULTS = {
+    siteMode: SiteRules.Modes.DENY,
+    siteRules: [],
   };
 
   // DOM refs
   var toggle = document.getElementById('toggle-enabled');
   var dot = document.getElementById('state-dot');
   var stateText = document.getElementById('state-text');
-  var themeBlack = document.getElementById('theme-black');
-  var themeWhite = document.getElementById('theme-white');
+  var timeline = document.getElementById('timeline');
+  var themePicker = document.getElementById('theme-picker');
+  var customPanel = document.getElementById('custom-palette');
+  var palettePreview = document.getElementById('palette-preview');
+  var colorGrid = document.getElementById('color-grid');
   var speedRange = document.getElementById('speed-range');
   var speedVal = document.getElementById('speed-val');
   var idleRange = document.getElementById('idle-range');
   var idleVal = document.getElementById('idle-val');
+  var roamRange = document.getElementById('roam-range');
+  var roamVal = document.getElementById('roam-val');
+  var roamingCb = document.getElementById('roaming');
+  var avoidCb = document.getElementById('avoid');
+  var homeBtns = document.querySelectorAll('[data-home]');
+  var homeOffsets = document.getElementById('home-offsets');
+  var homeXRange = document.getElementById('home-x-range');
+  var homeXVal = document.getElementById('home-x-val');
+  var homeYRange = document.getElementById('home-y-range');
+  var homeYVal = document.getElementById('home-y-val');
+  var energyRange = document.getElementById('energy-range');
+  var energyVal = document.getElementById('energy-val');
+  var tuningList = document.getElementById('tuning-list');
+  var deterministicCb = document.getElementById('deterministic');
+  var seedInput = document.getElementById('seed-input');
+  var seedLive = document.getElementById('seed-live');
+  var seedPin = document.getElementById('seed-pin');
+  var traceBtn = document.getElementById('trace-btn');
+  var focusText = document.getElementById('focus-text');
+  var focusSessions = document.getElementById('focus-sessions');
+  var focusStartBtn = document.getElementById('focus-start');
+  var focusPauseBtn = document.getElementById('focus-pause');
+  var focusSkipBtn = document.getElementById('focus-skip');
+  var focusWorkRange = document.getElementById('focus-work-range');
+  var focusWorkVal = document.getElementById('focus-work-val');
+  var focusBreakRange = document.getElementById('focus-break-range');
+  var focusBreakVal = document.getElementById('focus-break-val');
+  var feedBtn = document.getElementById('feed-btn');
+  var needFills = {};
+  Needs.NAMES.forEach(function (name) {
+    needFills[name] = document.getElementById('need-' + name);
+  });
   var resetBtn = document.getElementById('reset-btn');
+  var optionsLink = document.getElementById('options-link');
   var behaviorCbs = document.querySelectorAll('[data-state]');
+  var siteToggle = document.getElementById('site-toggle');
+  var siteNote = document.getElementById('site-note');
+  var modeBtns = document.querySelectorAll('[data-mode]');
+  var ruleList = document.getElementById('rule-list');
+  var ruleForm = document.getElementById('rule-add');
+  var ruleInput = document.getElementById('rule-input');
+
+  var siteMode = SITE_DEFAULTS.siteMode;
+  var siteRules = [];
+  var activeUrl = null;
+  var activeTabId = null;
+  var currentTheme = DEFAULTS.theme;
+  var customPalette = null;
+  var themeBtns = {};
+  var colorInputs = {};
+  var behavior = window.TinyCat.defaultBehavior;
+  var probabilities = {};
+  var runningSeed = null;
+  var recording = false;
+  var focusTimer = FocusTimer.OFF;
+  var needs = null;
+
+  buildThemePicker();
+  buildColorGrid();
 
   // Load saved settings
   chrome.storage.sync.get(DEFAULTS, function (data) {
     toggle.checked = data.enabled;
     updateDisplay(data.enabled);
+    customPalette = data.customPalette;
     selectTheme(data.theme);
     speedRange.value = data.catSpeed;
     speedVal.textContent = data.catSpeed;
     idleRange.value = data.idleTimeout;
     idleVal.textContent = data.idleTimeout + 's';
+    roamingCb.checked = data.roaming;
+    showRoamDistance(data.roamDistance);
+    avoidCb.checked = data.avoid;
+    showHome(data.home);
+    showHomeOffsets(data.homeOffsetX, data.homeOffsetY);
     for (var i = 0; i < behaviorCbs.length; i++) {
       behaviorCbs[i].checked = data.disabledStates.indexOf(behaviorCbs[i].dataset.state) === -1;
     }
+    showEnergy(data.energy);
+    probabilities = data.probabilities;
+    renderTuning();
+    deterministicCb.checked = data.deterministic;
+    seedInput.value = data.seed;
+    showFocusLengths(data.focusWork, data.focusBreak);
+  });
+
+  // The focus timer is kept by the background worker; follow it and count down
+  chrome.storage.local.get({ focus: null }, function (data) {
+    showFocus(data.focus);
+  });
+
+  // So are the cat's needs, which drift between changes
+  chrome.storage.local.get({ needs: null }, function (data) {
+    showNeeds(data.needs);
+  });
+
+  chrome.storage.onChanged.addListener(function (changes, area) {
+    if (area === 'local' && changes.focus) showFocus(changes.focus.newValue);
+    if (area === 'local' && changes.needs) showNeeds(changes.needs.newValue);
+  });
+
+  setInterval(renderFocus, FOCUS_TICK_MS);
+  setInterval(renderNeeds, NEEDS_TICK_MS);
+
+  // Tuning sliders follow the behavior the cat actually runs
+  chrome.storage.local.get({ behavior: null }, function (data) {
+    if (data.behavior && window.TinyCat.validateBehavior(data.behavior).length === 0) {
+      behavior = data.behavior;
+    }
+    renderTuning();
+  });
+
+  // Load site rules and the active tab's URL
+  chrome.storage.sync.get(SITE_DEFAULTS, function (data) {
+    siteMode = data.siteMode;
+    siteRules = data.siteRules;
+    renderSiteRules();
+  });
+
+  chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+    if (tabs[0] && SiteRules.hostOf(tabs[0].url || '')) {
+      activeUrl = tabs[0].url;
+    }
+    if (tabs[0]) {
+      activeTabId = tabs[0].id;
+      refreshStatus();
+      setInterval(refreshStatus, STATUS_POLL_MS);
+    }
+    renderSiteToggle();
   });
 
   // Enable/disable toggle
@@ -39,19 +243,38 @@ document.addEventListener('DOMContentLoaded', function () {
     var enabled = toggle.checked;
     chrome.storage.sync.set({ enabled: enabled });
     updateDisplay(enabled);
-    sendToActiveTab({ type: 'tinycat:toggle', enabled: enabled });
   });
 
   // Theme buttons
-  themeBlack.addEventListener('click', function () { setTheme('black'); });
-  themeWhite.addEventListener('click', function () { setTheme('white'); });
+  THEMES.forEach(function (theme) {
+    themeBtns[theme.id].addEventListener('click', function () {
+      if (theme.id === 'custom' && !customPalette) {
+        // Seed the custom palette from whichever preset is showing
+        var base = window.TinyCat.palettes[currentTheme] ? currentTheme : DEFAULTS.theme;
+        customPalette = { base: base, colors: Object.assign({}, window.TinyCat.palettes[base]) };
+        chrome.storage.sync.set({ customPalette: customPalette });
+      }
+      setTheme(theme.id);
+    });
+  });
+
+  // Custom palette colors: preview live while dragging, save on release
+  COLOR_SLOTS.forEach(function (slot) {
+    var input = colorInputs[slot.code];
+    input.addEventListener('input', function () {
+      customPalette.colors[slot.code] = input.value.toUpperCase();
+      renderCustomPalette();
+    });
+    input.addEventListener('change', function () {
+      chrome.storage.sync.set({ customPalette: customPalette });
+    });
+  });
 
   // Speed slider
   speedRange.addEventListener('input', function () {
     var val = parseInt(speedRange.value);
     speedVal.textContent = val;
     chrome.storage.sync.set({ catSpeed: val });
-    sendSettings();
   });
 
   // Idle timeout slider
@@ -59,7 +282,117 @@ document.addEventListener('DOMContentLoaded', function () {
     var val = parseInt(idleRange.value);
     idleVal.textContent = val + 's';
     chrome.storage.sync.set({ idleTimeout: val });
-    sendSettings();
+  });
+
+  // Roaming: opt-in walks along the bottom edge, up to this far from home
+  roamingCb.addEventListener('change', function () {
+    chrome.storage.sync.set({ roaming: roamingCb.checked });
+  });
+
+  // Avoiding: peek in from an edge while home is in the way of the page
+  avoidCb.addEventListener('change', function () {
+    chrome.storage.sync.set({ avoid: avoidCb.checked });
+  });
+
+  roamRange.addEventListener('input', function () {
+    var val = parseInt(roamRange.value);
+    showRoamDistance(val);
+    chrome.storage.sync.set({ roamDistance: val });
+  });
+
+  // Home: a corner with gaps from its edges, or wherever the cat was dropped
+  for (var h = 0; h < homeBtns.length; h++) {
+    homeBtns[h].addEventListener('click', function (e) {
+      var home = e.currentTarget.dataset.home;
+      showHome(home);
+      chrome.storage.sync.set({ home: home });
+    });
+  }
+
+  homeXRange.addEventListener('input', function () {
+    var val = parseInt(homeXRange.value);
+    showHomeOffsets(val, parseInt(homeYRange.value));
+    chrome.storage.sync.set({ homeOffsetX: val });
+  });
+
+  homeYRange.addEventListener('input', function () {
+    var val = parseInt(homeYRange.value);
+    showHomeOffsets(parseInt(homeXRange.value), val);
+    chrome.storage.sync.set({ homeOffsetY: val });
+  });
+
+  // Energy dial — scales all playful transitions together
+  energyRange.addEventListener('input', function () {
+    var val = parseInt(energyRange.value) / 100;
+    showEnergy(val);
+    chrome.storage.sync.set({ energy: val });
+  });
+
+  // Deterministic mode: the cat reseeds with a fixed seed so sessions replay
+  deterministicCb.addEventListener('change', function () {
+    chrome.storage.sync.set({ deterministic: deterministicCb.checked });
+  });
+
+  seedInput.addEventListener('change', function () {
+    var seed = Math.max(0, Math.min(4294967295, parseInt(seedInput.value) || 0));
+    seedInput.value = seed;
+    chrome.storage.sync.set({ seed: seed });
+  });
+
+  // Pin the running cat's seed to reproduce what it just did
+  seedPin.addEventListener('click', function () {
+    if (runningSeed === null) return;
+    deterministicCb.checked = true;
+    seedInput.value = runningSeed;
+    chrome.storage.sync.set({ deterministic: true, seed: runningSeed });
+  });
+
+  // Record a session trace in the active tab; stopping downloads it
+  traceBtn.addEventListener('click', function () {
+    var type = recording ? 'tinycat:record-stop' : 'tinycat:record-start';
+    traceBtn.disabled = true;
+    chrome.tabs.sendMessage(activeTabId, { type: type }, function (reply) {
+      if (chrome.runtime.lastError || !reply) return;
+      if (reply.trace) downloadTrace(reply.trace);
+      refreshStatus();
+    });
+  });
+
+  // Focus timer controls
+  focusStartBtn.addEventListener('click', function () {
+    sendFocus(focusTimer.phase === FocusTimer.Phases.OFF ? 'start' : 'stop');
+  });
+
+  focusPauseBtn.addEventListener('click', function () {
+    sendFocus(FocusTimer.isPaused(focusTimer) ? 'resume' : 'pause');
+  });
+
+  focusSkipBtn.addEventListener('click', function () {
+    sendFocus('skip');
+  });
+
+  // Interval lengths take effect from the next interval
+  focusWorkRange.addEventListener('input', function () {
+    var val = parseInt(focusWorkRange.value);
+    showFocusLengths(val, parseInt(focusBreakRange.value));
+    chrome.storage.sync.set({ focusWork: val });
+  });
+
+  focusBreakRange.addEventListener('input', function () {
+    var val = parseInt(focusBreakRange.value);
+    showFocusLengths(parseInt(focusWorkRange.value), val);
+    chrome.storage.sync.set({ focusBreak: val });
+  });
+
+  // Feed the active tab's cat; with no cat there, the food still counts
+  feedBtn.addEventListener('click', function () {
+    if (activeTabId === null) {
+      feedWithoutCat();
+      return;
+    }
+    chrome.tabs.sendMessage(activeTabId, { type: 'tinycat:feed' }, function (reply) {
+      if (chrome.runtime.lastError || !reply || !reply.fed) feedWithoutCat();
+    });
   });
 
   // Behavior toggles
@@ -67,37 +400,370 @@ document.addEventListener('DOMContentLoaded', function () {
     behaviorCbs[i].addEventListener('change', function () {
       var disabled = getDisabledStates();
       chrome.storage.sync.set({ disabledStates: disabled });
-      sendSettings();
     });
   }
 
+  // "Disable/enable on this site" — adds a rule for the page's host or
+  // removes that rule again, depending on the current mode. Broader rules
+  // that match cover other sites too, so they are pointed out, not removed.
+  siteToggle.addEventListener('click', function () {
+    if (!activeUrl) return;
+    var host = SiteRules.hostOf(activeUrl);
+    var allowed = SiteRules.isAllowed(activeUrl, siteRules, siteMode);
+    if (allowed === (siteMode === SiteRules.Modes.DENY)) {
+      siteRules = siteRules.concat([host]);
+    } else {
+      siteRules = siteRules.filter(function (rule) {
+        return !isHostRule(rule, host);
+      });
+    }
+    saveSiteRules();
+  });
+
+  // Site rule mode
+  for (var m = 0; m < modeBtns.length; m++) {
+    modeBtns[m].addEventListener('click', function (e) {
+      siteMode = e.currentTarget.dataset.mode;
+      chrome.storage.sync.set({ siteMode: siteMode });
+      renderSiteRules();
+    });
+  }
+
+  // Add a rule
+  ruleForm.addEventListener('submit', function (e) {
+    e.preventDefault();
+    var pattern = ruleInput.value.trim();
+    if (!pattern) return;
+    if (siteRules.indexOf(pattern) === -1) {
+      siteRules = siteRules.concat([pattern]);
+      saveSiteRules();
+    }
+    ruleInput.value = '';
+  });
+
+  // Sprite editor lives on the options page
+  optionsLink.addEventListener('click', function (e) {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
   // Reset to defaults
   resetBtn.addEventListener('click', function () {
     chrome.storage.sync.set(DEFAULTS);
     toggle.checked = DEFAULTS.enabled;
     updateDisplay(DEFAULTS.enabled);
+    customPalette = DEFAULTS.customPalette;
     selectTheme(DEFAULTS.theme);
     speedRange.value = DEFAULTS.catSpeed;
     speedVal.textContent = DEFAULTS.catSpeed;
     idleRange.value = DEFAULTS.idleTimeout;
     idleVal.textContent = DEFAULTS.idleTimeout + 's';
+    roamingCb.checked = DEFAULTS.roaming;
+    showRoamDistance(DEFAULTS.roamDistance);
+    avoidCb.checked = DEFAULTS.avoid;
+    showHome(DEFAULTS.home);
+    showHomeOffsets(DEFAULTS.homeOffsetX, DEFAULTS.homeOffsetY);
     for (var j = 0; j < behaviorCbs.length; j++) {
       behaviorCbs[j].checked = true;
     }
-    sendToActiveTab({ type: 'tinycat:toggle', enabled: true });
-    sendToActiveTab({ type: 'tinycat:theme', theme: 'black' });
-    sendSettings();
+    showEnergy(DEFAULTS.energy);
+    probabilities = DEFAULTS.probabilities;
+    renderTuning();
+    deterministicCb.checked = DEFAULTS.deterministic;
+    seedInput.value = DEFAULTS.seed;
+    showFocusLengths(DEFAULTS.focusWork, DEFAULTS.focusBreak);
   });
 
+  function showRoamDistance(px) {
+    roamRange.value = px;
+    roamVal.textContent = px + 'px';
+  }
+
+  function showHome(home) {
+    for (var i = 0; i < homeBtns.length; i++) {
+      homeBtns[i].classList.toggle('selected', homeBtns[i].dataset.home === home);
+    }
+    // Gaps only apply to the corners
+    homeOffsets.hidden = home === 'dropped';
+  }
+
+  function showHomeOffsets(x, y) {
+    homeXRange.value = x;
+    homeXVal.textContent = x + 'px';
+    homeYRange.value = y;
+    homeYVal.textContent = y + 'px';
+  }
+
+  function showFocusLengths(work, rest) {
+    focusWorkRange.value = work;
+    focusWorkVal.textContent = work + ' min';
+    focusBreakRange.value = rest;
+    focusBreakVal.textContent = rest + ' min';
+  }
+
+  /** Send a focus timer action to the background worker. */
+  function sendFocus(action) {
+    chrome.runtime.sendMessage({ type: 'tinycat:focus', action: action }, function (timer) {
+      if (chrome.runtime.lastError || !timer) return;
+      showFocus(timer);
+    });
+  }
+
+  function showFocus(timer) {
+    focusTimer = FocusTimer.normalize(timer);
+    renderFocus();
+  }
+
+  function renderFocus() {
+    var off = focusTimer.phase === FocusTimer.Phases.OFF;
+    var paused = FocusTimer.isPaused(focusTimer);
+    var left = FocusTimer.timeLeft(focusTimer, Date.now());
+
+    var text = FOCUS_LABELS[focusTimer.phase];
+    if (left !== null) text += ' \u00B7 ' + formatClock(left);
+    if (paused) text += ' (paused)';
+    focusText.textContent = text;
+    focusSessions.textContent = focusTimer.sessions + (focusTimer.sessions === 1 ? ' session' : ' sessions');
+
+    focusStartBtn.textContent = off ? 'Start' : 'Stop';
+    focusPauseBtn.textContent = paused ? 'Resume' : 'Pause';
+    focusPauseBtn.disabled = off || focusTimer.phase === FocusTimer.Phases.DUE;
+    focusSkipBtn.disabled = off;
+  }
+
+  /** Count a meal straight away, when there is no cat here to eat it. */
+  function feedWithoutCat() {
+    chrome.runtime.sendMessage({ type: 'tinycat:needs', change: Needs.FEED });
+  }
+
+  function showNeeds(stored) {
+    needs = stored;
+    renderNeeds();
+  }
+
+  function renderNeeds() {
+    var now = Needs.at(needs, Date.now());
+    Needs.NAMES.forEach(function (name) {
+      var percent = Math.round(now[name] * 100);
+      needFills[name].style.width = percent + '%';
+      needFills[name].parentNode.title = percent + '%';
+    });
+  }
+
+  /** m:ss, rounding up so the countdown reaches 0:00 as the interval ends. */
+  function formatClock(ms) {
+    var seconds = Math.ceil(ms / 1000);
+    var rest = seconds % 60;
+    return Math.floor(seconds / 60) + ':' + (rest < 10 ? '0' : '') + rest;
+  }
+
+  function showEnergy(energy) {
+    energyRange.value = Math.round(energy * 100);
+    energyVal.textContent = Math.round(energy * 100) + '%';
+  }
+
+  /** One slider per chance transition that has an id in the behavior. */
+  function renderTuning() {
+    tuningList.innerHTML = '';
+    Object.keys(behavior.transitions).forEach(function (from) {
+      behavior.transitions[from].forEach(function (t) {
+        if (!t.id || t.probability === undefined) return;
+        tuningList.appendChild(buildTuningSlider(from, t));
+      });
+    });
+  }
+
+  function buildTuningSlider(from, t) {
+    var percent = Math.round((probabilities[t.id] !== undefined ? probabilities[t.id] : t.probability) * 100);
+
+    var group = document.createElement('div');
+    group.className = 'slider-group';
+
+    var header = document.createElement('div');
+    header.className = 'slider-header';
+
+    var name = document.createElement('span');
+    name.className = 'label';
+    name.textContent = TUNING_LABELS[t.id] || (from + ': ' + t.event + ' \u2192 ' + t.target);
+    if (t.playful) name.title = 'Also scaled by Energy';
+
+    var val = document.createElement('span');
+    val.className = 'slider-val';
+    val.textContent = percent + '%';
+
+    var range = document.createElement('input');
+    range.type = 'range';
+    range.className = 'range';
+    range.min = 0;
+    range.max = 100;
+    range.step = 5;
+    range.value = percent;
+    range.addEventListener('input', function () {
+      var v = parseInt(range.value);
+      val.textContent = v + '%';
+      probabilities = Object.assign({}, probabilities);
+      probabilities[t.id] = v / 100;
+      chrome.storage.sync.set({ probabilities: probabilities });
+    });
+
+    header.appendChild(name);
+    header.appendChild(val);
+    group.appendChild(header);
+    group.appendChild(range);
+    return group;
+  }
+
+  function saveSiteRules() {
+    chrome.storage.sync.set({ siteRules: siteRules });
+    renderSiteRules();
+  }
+
+  function renderSiteRules() {
+    for (var i = 0; i < modeBtns.length; i++) {
+      modeBtns[i].classList.toggle('selected', modeBtns[i].dataset.mode === siteMode);
+    }
+
+    ruleList.innerHTML = '';
+    siteRules.forEach(function (rule, index) {
+      var row = document.createElement('li');
+      row.className = 'rule-row';
+
+      var input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'rule-input';
+      input.value = rule;
+      input.spellcheck = false;
+      input.addEventListener('change', function () {
+        var pattern = input.value.trim();
+        siteRules = siteRules.slice();
+        if (pattern) {
+          siteRules[index] = pattern;
+        } else {
+          siteRules.splice(index, 1);
+        }
+        saveSiteRules();
+      });
+
+      var remove = document.createElement('button');
+      remove.className = 'rule-remove';
+      remove.textContent = '\u00D7';
+      remove.title = 'Remove rule';
+      remove.addEventListener('click', function () {
+        siteRules = siteRules.filter(function (_, k) { return k !== index; });
+        saveSiteRules();
+      });
+
+      row.appendChild(input);
+      row.appendChild(remove);
+      ruleList.appendChild(row);
+    });
+
+    renderSiteToggle();
+  }
+
+  function renderSiteToggle() {
+    if (!activeUrl) {
+      siteToggle.disabled = true;
+      return;
+    }
+    var host = SiteRules.hostOf(activeUrl);
+    var allowed = SiteRules.isAllowed(activeUrl, siteRules, siteMode);
+    var adding = allowed === (siteMode === SiteRules.Modes.DENY);
+    var broader = adding ? [] : siteRules.filter(function (rule) {
+      return !isHostRule(rule, host) && SiteRules.matches(rule, activeUrl);
+    });
+    var hasHostRule = siteRules.some(function (rule) {
+      return isHostRule(rule, host);
+    });
+    siteToggle.disabled = !adding && !hasHostRule;
+    siteToggle.textContent = (allowed ? 'Disable on ' : 'Enable on ') + host;
+    siteNote.hidden = !broader.length;
+    siteNote.textContent = (allowed ? 'Shown' : 'Hidden') + ' here by ' +
+      (broader.length > 1 ? 'broader rules: ' : 'a broader rule: ') + broader.join(', ');
+  }
+
+  /** Is this rule exactly the host rule the site button adds? */
+  function isHostRule(rule, host) {
+    return rule.trim().toLowerCase() === host;
+  }
+
   function setTheme(theme) {
     chrome.storage.sync.set({ theme: theme });
     selectTheme(theme);
-    sendToActiveTab({ type: 'tinycat:theme', theme: theme });
   }
 
   function selectTheme(theme) {
-    themeBlack.classList.toggle('selected', theme === 'black');
-    themeWhite.classList.toggle('selected', theme === 'white');
+    currentTheme = theme;
+    THEMES.forEach(function (t) {
+      themeBtns[t.id].classList.toggle('selected', t.id === theme);
+    });
+    customPanel.hidden = theme !== 'custom' || !customPalette;
+    renderCustomPalette();
+  }
+
+  function buildThemePicker() {
+    THEMES.forEach(function (theme) {
+      var btn = document.createElement('button');
+      btn.className = 'theme-btn';
+      btn.dataset.theme = theme.id;
+
+      var preview = document.createElement('span');
+      preview.className = 'theme-preview';
+      var palettes = window.TinyCat.palettes;
+      if (theme.id === 'auto') {
+        preview.style.background = 'linear-gradient(135deg, ' +
+          palettes.black[1] + ' 50%, ' + palettes.white[1] + ' 50%)';
+      } else if (palettes[theme.id]) {
+        preview.style.background = palettes[theme.id][1];
+      }
+
+      var label = document.createElement('span');
+      label.textContent = theme.label;
+
+      btn.appendChild(preview);
+      btn.appendChild(label);
+      themePicker.appendChild(btn);
+      themeBtns[theme.id] = btn;
+    });
+  }
+
+  function buildColorGrid() {
+    COLOR_SLOTS.forEach(function (slot) {
+      var row = document.createElement('label');
+      row.className = 'color-row';
+
+      var input = document.createElement('input');
+      input.type = 'color';
+
+      var name = document.createElement('span');
+      name.textContent = slot.label;
+
+      row.appendChild(input);
+      row.appendChild(name);
+      colorGrid.appendChild(row);
+      colorInputs[slot.code] = input;
+    });
+  }
+
+  /** Sync color inputs, the Custom swatch and the sprite preview. */
+  function renderCustomPalette() {
+    var customPreview = themeBtns.custom.querySelector('.theme-preview');
+    if (!customPalette) {
+      customPreview.style.background = '';
+      return;
+    }
+
+    COLOR_SLOTS.forEach(function (slot) {
+      colorInputs[slot.code].value = customPalette.colors[slot.code];
+    });
+    customPreview.style.background = customPalette.colors[1];
+
+    var sprite = window.TinyCat.sprites.idle;
+    palettePreview.width = sprite.w;
+    palettePreview.height = sprite.h;
+    palettePreview.style.width = (sprite.w * PREVIEW_SCALE) + 'px';
+    palettePreview.style.height = (sprite.h * PREVIEW_SCALE) + 'px';
+    window.TinyCat.paintSprite(palettePreview.getContext('2d'), sprite, customPalette.colors, null);
   }
 
   function updateDisplay(enabled) {
@@ -105,6 +771,73 @@ document.addEventListener('DOMContentLoaded', function () {
     stateText.textContent = enabled ? 'Active' : 'Disabled';
   }
 
+  function downloadTrace(trace) {
+    var stamp = trace.recordedAt.replace(/[:.]/g, '-');
+    var link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(trace)], { type: 'application/json' }));
+    link.download = 'tinycat-trace-' + stamp + '.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /** Ask the active tab's cat for its live state and recent transitions. */
+  function refreshStatus() {
+    chrome.tabs.sendMessage(activeTabId, { type: 'tinycat:status' }, function (status) {
+      // No content script in this tab (browser pages, store, etc.)
+      if (chrome.runtime.lastError || !status) {
+        renderStatus(null);
+        return;
+      }
+      renderStatus(status);
+    });
+  }
+
+  function renderStatus(status) {
+    runningSeed = status && status.running ? status.seed : null;
+    seedLive.textContent = runningSeed !== null ? runningSeed : '\u2014';
+    seedPin.disabled = runningSeed === null;
+    recording = !!(status && status.running && status.recording);
+    traceBtn.disabled = runningSeed === null;
+    traceBtn.textContent = recording ? 'Stop & save' : 'Record';
+
+    if (!status || !status.running) {
+      updateDisplay(toggle.checked);
+      if (status && toggle.checked) {
+        stateText.textContent = 'Hidden on this site';
+      }
+      timeline.innerHTML = '';
+      return;
+    }
+
+    dot.className = 'state-dot';
+    stateText.textContent = status.state + ' \u00B7 ' + formatDuration(status.now - status.since);
+
+    timeline.innerHTML = '';
+    for (var i = status.history.length - 1; i >= 0; i--) {
+      var entry = status.history[i];
+      var row = document.createElement('li');
+      row.className = 'timeline-row';
+
+      var label = document.createElement('span');
+      label.className = 'timeline-event';
+      label.textContent = entry.event + ' \u2192 ' + entry.to;
+
+      var ago = document.createElement('span');
+      ago.className = 'timeline-ago';
+      ago.textContent = formatDuration(status.now - entry.time) + ' ago';
+
+      row.appendChild(label);
+      row.appendChild(ago);
+      timeline.appendChild(row);
+    }
+  }
+
+  function formatDuration(ms) {
+    var seconds = Math.max(0, ms) / 1000;
+    if (seconds < 60) return seconds.toFixed(1) + 's';
+    return Math.floor(seconds / 60) + 'm ' + Math.floor(seconds % 60) + 's';
+  }
+
   function getDisabledStates() {
     var disabled = [];
     for (var k = 0; k < behaviorCbs.length; k++) {
@@ -114,23 +847,4 @@ document.addEventListener('DOMContentLoaded', function () {
     }
     return disabled;
   }
-
-  function sendSettings() {
-    sendToActiveTab({
-      type: 'tinycat:settings',
-      settings: {
-        catSpeed: parseInt(speedRange.value),
-        idleTimeout: parseInt(idleRange.value),
-        disabledStates: getDisabledStates(),
-      },
-    });
-  }
-
-  function sendToActiveTab(msg) {
-    chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
-      if (tabs[0]) {
-        chrome.tabs.sendMessage(tabs[0].id, msg);
-      }
-    });
-  }
 });
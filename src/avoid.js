@@ -0,0 +1,133 @@
+/**
+ * TinyCat Avoidance
+ *
+ * Works out what on the page the cat's home spot is in the way of: a
+ * focused text field or a fixed-position bar (chat widgets, cookie banners)
+ * overlapping it, or a link or button under it that the pointer is heading
+ * for. The cat then peeks in from the nearest free edge until the spot is
+ * clear again (see Renderer.peekAside).
+ */
+(function () {
+  'use strict';
+
+  /** Elements the user might be about to click. */
+  const INTERACTIVE_SELECTOR = [
+    'a[href]', 'button', 'input', 'select', 'textarea', 'summary', 'label',
+    '[role="button"]', '[role="link"]', '[contenteditable]',
+  ].join(', ');
+
+  const MARGIN = 8;              // px of breathing room around the cat's box
+  const APPROACH_RANGE = 300;    // px — only a pointer this close is heading somewhere
+  const APPROACH_ANGLE = 35;     // degrees either side of straight at the target
+  const APPROACH_SPEED = 2;      // px per sample — slower is resting, not heading
+  const MAX_COVER = 0.5;         // fixed elements covering more of the viewport are the page itself
+
+  function overlaps(a, b, margin) {
+    return a.left - margin < b.right && a.right + margin > b.left &&
+      a.top - margin < b.bottom && a.bottom + margin > b.top;
+  }
+
+  function isEditable(el) {
+    if (!el || el === document.body || el === document.documentElement) return false;
+    if (el.isContentEditable) return true;
+    var tag = el.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+  }
+
+  /**
+   * el or its nearest ancestor with position fixed or sticky, if any. Apps
+   * that pin their whole layout in place don't count: there's nowhere else
+   * to go.
+   */
+  function fixedAncestor(el) {
+    for (var n = el; n && n !== document.body && n !== document.documentElement; n = n.parentNode) {
+      var position = window.getComputedStyle(n).position;
+      if (position !== 'fixed' && position !== 'sticky') continue;
+      var r = n.getBoundingClientRect();
+      return r.width * r.height > MAX_COVER * window.innerWidth * window.innerHeight ? null : n;
+    }
+    return null;
+  }
+
+  /** el or its nearest interactive ancestor, if any. */
+  function interactiveAncestor(el) {
+    for (var n = el; n && n !== document.body && n !== document.documentElement; n = n.parentNode) {
+      if (n.matches && n.matches(INTERACTIVE_SELECTOR)) return n;
+    }
+    return null;
+  }
+
+  /** A few points inside rect: its center and just inside each corner. */
+  function samplePoints(rect) {
+    var inset = 4;
+    return [
+      { x: (rect.left + rect.right) / 2, y: (rect.top + rect.bottom) / 2 },
+      { x: rect.left + inset, y: rect.top + inset },
+      { x: rect.right - inset, y: rect.top + inset },
+      { x: rect.left + inset, y: rect.bottom - inset },
+      { x: rect.right - inset, y: rect.bottom - inset },
+    ];
+  }
+
+  /**
+   * Is the pointer on target, or moving at it from nearby? `pointer` is
+   * { x, y, speed, angle } as the CursorTracker keeps them (angle in degrees).
+   */
+  function headingFor(pointer, target) {
+    if (pointer.x >= target.left && pointer.x <= target.right &&
+        pointer.y >= target.top && pointer.y <= target.bottom) return true;
+
+    var dx = (target.left + target.right) / 2 - pointer.x;
+    var dy = (target.top + target.bottom) / 2 - pointer.y;
+    if (Math.sqrt(dx * dx + dy * dy) > APPROACH_RANGE || pointer.speed < APPROACH_SPEED) return false;
+
+    var off = Math.abs(Math.atan2(dy, dx) * (180 / Math.PI) - pointer.angle) % 360;
+    return Math.min(off, 360 - off) <= APPROACH_ANGLE;
+  }
+
+  /** The topmost page element at (x, y), looking through the cat. */
+  function pageElementAt(x, y, ignoreEl) {
+    var stack = document.elementsFromPoint(x, y);
+    for (var i = 0; i < stack.length; i++) {
+      if (!ignoreEl || !ignoreEl.contains(stack[i])) return stack[i];
+    }
+    return null;
+  }
+
+  /**
+   * Page elements the cat at `rect` would be in the way of, as rects.
+   *
+   * @param {Object} rect – the cat's box ({ left, top, right, bottom }, viewport px)
+   * @param {Element} ignoreEl – the cat itself
+   * @param {Object} pointer – { x, y, speed, angle } from the CursorTracker
+   * @returns {Object[]} rects of what to get out of the way of
+   */
+  function findObstacles(rect, ignoreEl, pointer) {
+    var found = [];
+    var seen = [];
+
+    function add(el) {
+      if (seen.indexOf(el) !== -1) return;
+      seen.push(el);
+      found.push(el.getBoundingClientRect());
+    }
+
+    var focused = document.activeElement;
+    if (isEditable(focused) && overlaps(focused.getBoundingClientRect(), rect, MARGIN)) add(focused);
+
+    samplePoints(rect).forEach(function (p) {
+      var el = pageElementAt(p.x, p.y, ignoreEl);
+      if (!el) return;
+      var fixed = fixedAncestor(el);
+      if (fixed) add(fixed);
+      var target = interactiveAncestor(el);
+      if (target && seen.indexOf(target) === -1 && headingFor(pointer, target.getBoundingClientRect())) {
+        add(target);
+      }
+    });
+    return found;
+  }
+
+  window.TinyCat.findObstacles = findObstacles;
+  window.TinyCat.rectsOverlap = overlaps;
+})();
@@ -4,35 +4,138 @@
  * Wires together the state machine, cursor tracker, and renderer.
  * The cat lives in its corner and does its own thing. It reacts playfully
  * when the cursor comes to it, but never chases the cursor across the screen.
+ * With roaming on, it sometimes wanders along the bottom edge while idle and
+ * walks back home. It may also hop up onto a header, image or card and sit
+ * there until the perch goes away. It can be picked up and dropped
+ * somewhere else, which becomes its new home (kept across pages when the
+ * home setting is 'dropped'). Typing near it makes it sit up and watch,
+ * and hard scrolling jolts it. When its home spot is in the way of what
+ * the user is doing, it peeks in from the nearest free edge instead.
+ * When the focus timer says a break is due, it walks out to the middle and
+ * meows until the user taps it, then sleeps through the break. It sleeps
+ * when the whole system goes idle or locks, not just the page. Its needs
+ * (energy, hunger, affection; see Needs) last across pages and sway what
+ * it feels like doing.
  */
 (function () {
   'use strict';
 
-  const { States, Events, StateMachine, CursorTracker, Renderer } = window.TinyCat;
+  const {
+    States, Events, StateMachine, CursorTracker, Renderer, Trace, Perch, findPerches, DragHandler,
+    findObstacles, FocusTimer, Needs,
+  } = window.TinyCat;
 
   /** Cat returns to its home corner in these states */
   const HOME_STATES = new Set([
     States.IDLE, States.STRETCHING, States.DRINKING,
-    States.GROOMING, States.SLEEP, States.ALERT_SLEEP,
+    States.GROOMING, States.SLEEP, States.ALERT_SLEEP, States.WATCHING, States.ON_BREAK,
+    States.EATING,
   ]);
 
+  /**
+   * The cat is asleep, and so resting (see Needs), in these states;
+   * ALERT_SLEEP only dozes between naps
+   */
+  const SLEEPING_STATES = new Set([States.SLEEP, States.ALERT_SLEEP, States.ON_BREAK]);
+
+  /** Focus timer phases that hold the cat in a state, and the event for each */
+  const FOCUS_STATES = {
+    [FocusTimer.Phases.DUE]:   { state: States.REMINDING, event: Events.BREAK_DUE },
+    [FocusTimer.Phases.BREAK]: { state: States.ON_BREAK,  event: Events.BREAK_STARTED },
+  };
+
+  /** What each system idle state (chrome.idle) means to the cat */
+  const SYSTEM_EVENTS = {
+    active: Events.SYSTEM_ACTIVE,
+    idle:   Events.LONG_IDLE,
+    locked: Events.SYSTEM_LOCKED,
+  };
+
   /** Cat freezes in place (no position change) */
   const FREEZE_STATES = new Set([
     States.POUNCE, States.DIZZY, States.STARTLED, States.FALLING,
+    States.PURRING, States.ANNOYED,
   ]);
 
   /** Only notice fast cursor within this range (px) */
   const FAST_NOTICE_RANGE = 250;
 
+  /**
+   * Only watch typing while the pointer is within this range (px). The
+   * pointer usually rests where the user clicked into the field, so this
+   * stands in for "typing near the cat" without looking at the page.
+   */
+  const TYPING_NOTICE_RANGE = 400;
+
+  /** Default farthest a roaming walk goes from home (px) */
+  const DEFAULT_ROAM_DISTANCE = 300;
+
+  /** Roaming walks stay this far from the viewport edges (px) */
+  const ROAM_EDGE_MARGIN = 40;
+
+  /** Home settings: a corner plus offsets, or 'dropped' to use homeDrop */
+  const HOME_SETTINGS = ['home', 'homeOffsetX', 'homeOffsetY', 'homeDrop'];
+
+  /** How often to look for things the cat is in the way of (ms) */
+  const AVOID_CHECK_MS = 500;
+
+  /** Home must stay clear this long before the cat comes back (ms) */
+  const AVOID_RETURN_MS = 1500;
+
   class Cat {
     constructor() {
       this._sm = new StateMachine();
       this._renderer = new Renderer();
       this._tracker = new CursorTracker(
         this._handleEvent.bind(this),
-        () => this._renderer.position
+        () => this._renderer.position,
+        () => this._renderer.rect
       );
 
+      // Deterministic debug mode: fixed seed applied on every start
+      this._deterministic = false;
+      this._fixedSeed = 1;
+
+      // Settings as last applied, copied into session traces
+      this._settings = {};
+      this._recorder = null;
+
+      // Roaming is opt-in: WALKING stays disabled until it is switched on
+      this._roaming = false;
+      this._roamDistance = DEFAULT_ROAM_DISTANCE;
+      this._disabledStates = [];
+
+      // PERCHED is only allowed once a perch has been picked to sit on
+      this._perchTarget = null;
+      this._perch = null;
+      this._applyDisabledStates();
+
+      // Created on start, once the renderer has an element to grab
+      this._drag = null;
+
+      // Home settings as last applied, and who to tell about new drop spots
+      this._home = { home: 'bottom-right', homeOffsetX: 60, homeOffsetY: 40, homeDrop: null };
+      this._homeListeners = [];
+
+      // Getting out of the way: on unless switched off; when home was last
+      // seen clear while the cat was away from it (0 = not yet)
+      this._avoid = true;
+      this._avoidTimer = null;
+      this._clearSince = 0;
+      this._checkAvoid = this._checkAvoid.bind(this);
+
+      // Focus timer phase as last seen, and who to tell when a break is taken
+      this._focusPhase = FocusTimer.Phases.OFF;
+      this._breakListeners = [];
+
+      // System idle state as last seen; the user is there until told otherwise
+      this._systemIdle = 'active';
+
+      // Needs as last stored, and who to tell when the cat changes them
+      this._needs = Needs.at(null, Date.now());
+      this._needsListeners = [];
+      this._applyMood();
+
       this._eventCooldowns = {};
       this._cooldownMs = {
         [Events.CURSOR_FAST]:      2000,
@@ -40,9 +143,14 @@
         [Events.CURSOR_AWAY]:      2000,
         [Events.MEDIUM_IDLE]:      1000,
         [Events.CIRCULAR_MOTION]:  2000,
+        [Events.BACKSPACE_STORM]:  3000,
+        [Events.SCROLL_FLING]:     2000,
+        [Events.SCROLL_BOUNCE]:    2000,
+        [Events.PETTING_ROUGH]:    3000,
       };
 
       this._sm.onChange((newState, oldState) => {
+        if (this._recorder) this._recorder.state(newState);
         this._renderer.setState(newState);
         this._onStateEnter(newState, oldState);
       });
@@ -51,11 +159,33 @@
     start() {
       this._renderer.mount();
       this._tracker.start();
+      if (!this._drag) {
+        this._drag = new DragHandler(this._renderer.element, {
+          onGrab: this._onGrab.bind(this),
+          onMove: (x, y) => this._renderer.holdAt(x, y),
+          onDrop: this._onDrop.bind(this),
+          onTap: () => this._handleEvent(Events.CLICK),
+        });
+        this._drag.start();
+      }
+      this._reseed();
       this._sm.reset(States.IDLE);
+      this._applyFocus();
+      clearTimeout(this._avoidTimer);
+      this._avoidTimer = setTimeout(this._checkAvoid, AVOID_CHECK_MS);
     }
 
     stop() {
+      this.stopRecording();
+      clearTimeout(this._avoidTimer);
+      this._avoidTimer = null;
+      this._renderer.peekAside(null);
+      this._clearSince = 0;
       this._tracker.stop();
+      if (this._drag) {
+        this._drag.stop();
+        this._drag = null;
+      }
       this._renderer.unmount();
     }
 
@@ -63,32 +193,370 @@
       this._renderer.setTheme(theme);
     }
 
+    setCustomPalette(customPalette) {
+      this._renderer.setCustomPalette(customPalette);
+    }
+
+    setSpritePack(pack) {
+      this._renderer.setSpritePack(pack);
+    }
+
+    setCustomSprites(customSprites) {
+      this._renderer.setCustomSprites(customSprites);
+    }
+
+    /**
+     * Swap the state machine's behavior definition (null = built-in).
+     * Throws if the definition is invalid.
+     */
+    setBehavior(behavior) {
+      this._sm.setBehavior(behavior || window.TinyCat.defaultBehavior);
+    }
+
+    /** Override CursorTracker thresholds (see CursorTracker.DEFAULTS). */
+    setTrackerConfig(config) {
+      this._tracker.setConfig(config);
+    }
+
     applySettings(settings) {
+      Object.assign(this._settings, settings);
       if (settings.catSpeed !== undefined) {
         this._renderer.setSpeed(settings.catSpeed);
       }
       if (settings.idleTimeout !== undefined) {
         this._tracker.setIdleTimeout(settings.idleTimeout);
       }
-      if (settings.disabledStates !== undefined) {
-        this._sm.setDisabledStates(settings.disabledStates);
+      if (settings.disabledStates !== undefined || settings.roaming !== undefined) {
+        if (settings.disabledStates !== undefined) this._disabledStates = settings.disabledStates;
+        if (settings.roaming !== undefined) this._roaming = settings.roaming;
+        this._applyDisabledStates();
+      }
+      if (settings.roamDistance !== undefined) {
+        this._roamDistance = settings.roamDistance;
+      }
+      if (settings.avoid !== undefined) {
+        this._avoid = settings.avoid;
+        if (!this._avoid && this._renderer.isAside) this._comeBack();
+      }
+      if (HOME_SETTINGS.some((key) => settings[key] !== undefined)) {
+        HOME_SETTINGS.forEach((key) => {
+          if (settings[key] !== undefined) this._home[key] = settings[key];
+        });
+        this._renderer.setHome(this._homeAnchor());
+      }
+      if (settings.probabilities !== undefined) {
+        this._sm.setProbabilities(settings.probabilities);
+      }
+      if (settings.energy !== undefined) {
+        this._sm.setEnergy(settings.energy);
+      }
+      if (settings.deterministic !== undefined || settings.seed !== undefined) {
+        if (settings.deterministic !== undefined) this._deterministic = settings.deterministic;
+        if (settings.seed !== undefined) this._fixedSeed = settings.seed;
+        // Restart the sequence now so the session replays from here
+        if (this._deterministic) this._sm.setSeed(this._fixedSeed);
+      }
+    }
+
+    /**
+     * Register fn(anchor) to hear where the user dropped the cat while
+     * the home setting is 'dropped', so the spot can be saved.
+     */
+    onHomeDropped(fn) {
+      this._homeListeners.push(fn);
+    }
+
+    /**
+     * Follow the focus timer ({ phase, ... } from chrome.storage.local; see
+     * FocusTimer). While a break is due the cat asks for one, and while on
+     * a break it sleeps; either way it keeps coming back to that until the
+     * timer moves on.
+     */
+    setFocus(timer) {
+      var phase = FocusTimer.normalize(timer).phase;
+      if (phase === this._focusPhase) return;
+      this._focusPhase = phase;
+      if (this._renderer.element) this._applyFocus();
+    }
+
+    /**
+     * Follow the system's idle state ('active', 'idle' or 'locked', from
+     * chrome.idle via the background worker). Idle sends the cat to sleep
+     * as it would have after a long rest; a locked screen puts it to sleep
+     * whatever it was doing (bar a break, already asleep); and on coming
+     * back it wakes up drowsy.
+     */
+    setSystemIdle(state) {
+      var event = SYSTEM_EVENTS[state];
+      if (!event || state === this._systemIdle) return;
+      this._systemIdle = state;
+      if (this._recorder) this._recorder.system(state);
+      if (!this._renderer.element) return;
+
+      if (event !== Events.SYSTEM_LOCKED) {
+        this._handleEvent(event);
+        return;
       }
+      if (this._recorder) this._recorder.event(event);
+      var current = this._sm.state;
+      if (current === States.SLEEP || current === States.ON_BREAK) return;
+      if (!this._sm.send(event)) this._sm.reset(States.SLEEP, event);
+    }
+
+    /**
+     * Use the cat's needs (as stored; see Needs) to set its mood. While a
+     * trace is recording the mood holds still, so the recording replays.
+     */
+    setNeeds(needs) {
+      this._needs = Needs.at(needs, Date.now());
+      if (!this._recorder) this._applyMood();
+    }
+
+    /**
+     * Register fn(change) to hear how the cat changed its needs
+     * ({ energy: -0.03 } and the like), to be applied to the stored ones.
+     */
+    onNeedsChanged(fn) {
+      this._needsListeners.push(fn);
+    }
+
+    /** Is the cat asleep, and so resting (reported as `resting`; see Needs)? */
+    get resting() {
+      return SLEEPING_STATES.has(this._sm.state);
+    }
+
+    /**
+     * Put food down: the cat drops what it is doing to eat, unless it is
+     * being held. Returns whether it is eating.
+     */
+    feed() {
+      if (!this._renderer.element || this._sm.state === States.HELD) return false;
+      if (!this._sm.send(Events.FED)) this._sm.reset(States.EATING, Events.FED);
+      return true;
+    }
+
+    /** Register fn() to hear when the user taps the cat to take the break. */
+    onBreakAcknowledged(fn) {
+      this._breakListeners.push(fn);
+    }
+
+    /**
+     * Snapshot of the state machine for the popup's live view:
+     * { state, since, now, history, seed, recording }. Times are ms
+     * timestamps.
+     */
+    getStatus() {
+      return {
+        state: this._sm.state,
+        seed: this._sm.seed,
+        since: this._sm.stateSince,
+        now: Date.now(),
+        history: this._sm.history,
+        recording: this._recorder !== null,
+      };
+    }
+
+    /**
+     * Start recording a session trace. The cat restarts from IDLE on a
+     * fresh seed (the fixed one in deterministic mode) with cleared
+     * cooldowns and tracker history, so a replay can begin from the same
+     * point.
+     */
+    startRecording() {
+      this.stopRecording();
+      this._reseed();
+      this._eventCooldowns = {};
+      this._tracker.reset(this._tracker.x, this._tracker.y);
+      this._sm.reset(States.IDLE);
+
+      this._recorder = new Trace.Recorder({
+        viewport: { w: window.innerWidth, h: window.innerHeight },
+        cursor: { x: this._tracker.x, y: this._tracker.y },
+        scroll: CursorTracker.pageScroll(),
+        seed: this._sm.seed,
+        settings: this._settings,
+        tracker: this._tracker.config,
+        needs: Needs.values(this._needs),
+      });
+      this._recorder.start();
+    }
+
+    /**
+     * Input from a child frame, relayed by FrameRelay in this frame's
+     * coordinates: the cursor doesn't vanish while it's over an iframe.
+     */
+    relayInput(type, e) {
+      this._tracker.feed(type, e);
+      if (this._recorder) this._recorder.feed(type, e);
+    }
+
+    /** Stop recording; returns the trace, or null if none was running. */
+    stopRecording() {
+      if (!this._recorder) return null;
+      var trace = this._recorder.stop();
+      this._recorder = null;
+      this._applyMood();
+      return trace;
+    }
+
+    /** Renderer anchor for the home settings; null = the default corner. */
+    _homeAnchor() {
+      var h = this._home;
+      if (h.home === 'dropped') return h.homeDrop;
+      return { corner: h.home, x: h.homeOffsetX, y: h.homeOffsetY };
+    }
+
+    _applyDisabledStates() {
+      var disabled = this._disabledStates.slice();
+      if (!this._roaming) disabled.push(States.WALKING);
+      if (!this._perchTarget && !this._perch) disabled.push(States.PERCHED);
+      this._sm.setDisabledStates(disabled);
+    }
+
+    /**
+     * Walk out along the bottom edge, toward whichever side has more room
+     * more often, then back home. Choices use the state machine's seeded
+     * random so deterministic sessions replay the same walks.
+     */
+    _wander() {
+      var home = this._renderer.homePosition;
+      var roomLeft = Math.max(0, home.x - ROAM_EDGE_MARGIN);
+      var roomRight = Math.max(0, window.innerWidth - ROAM_EDGE_MARGIN - home.x);
+      var goLeft = this._sm.random() * (roomLeft + roomRight) < roomLeft;
+      var room = goLeft ? roomLeft : roomRight;
+      var distance = Math.min(room, this._roamDistance * (0.5 + this._sm.random() * 0.5));
+
+      this._renderer.walkTo(home.x + (goLeft ? -distance : distance), () => {
+        this._renderer.walkTo(home.x, () => this._sm.send(Events.ANIMATION_DONE));
+      });
+    }
+
+    /**
+     * Before an idle roll, look for somewhere to sit so PERCHED can only
+     * win when there is a perch. Skipped when the user disabled perching.
+     */
+    _choosePerch() {
+      this._perchTarget = null;
+      if (this._disabledStates.indexOf(States.PERCHED) === -1 && this._renderer.element) {
+        var perches = findPerches(this._renderer.element);
+        if (perches.length) {
+          this._perchTarget = perches[Math.floor(this._sm.random() * perches.length)];
+        }
+      }
+      this._applyDisabledStates();
+    }
+
+    _hopOnPerch() {
+      this._perch = new Perch(this._perchTarget, this._sm.random());
+      this._perchTarget = null;
+      this._renderer.perchOn(
+        () => this._perch.spot(),
+        () => this._sm.send(Events.PERCH_LOST)
+      );
+    }
+
+    /** Picked up: whatever the cat was doing, it now dangles. */
+    _onGrab(x, y) {
+      this._sm.reset(States.HELD, Events.GRABBED);
+      this._renderer.holdAt(x, y);
+    }
+
+    /** Let go: fall from here, and live here afterwards. */
+    _onDrop() {
+      this._renderer.drop();
+      if (this._home.home === 'dropped') {
+        var anchor = this._renderer.homeAnchor;
+        this._home.homeDrop = anchor;
+        this._homeListeners.forEach((fn) => fn(anchor));
+      }
+      if (!this._sm.send(Events.DROPPED)) this._sm.reset(States.IDLE, Events.DROPPED);
+    }
+
+    _applyMood() {
+      this._sm.setMood(Needs.mood(this._needs));
+    }
+
+    _reportNeeds(change) {
+      this._needsListeners.forEach((fn) => fn(change));
+    }
+
+    /**
+     * Put the cat where the focus timer wants it. A held or falling cat is
+     * left be: it lands in IDLE, which brings it back here.
+     */
+    _applyFocus() {
+      var state = this._sm.state;
+      var focus = FOCUS_STATES[this._focusPhase];
+      if (focus) {
+        if (state === focus.state || state === States.HELD || state === States.FALLING) return;
+        if (!this._sm.send(focus.event)) this._sm.reset(focus.state, focus.event);
+      } else if (state === States.REMINDING || state === States.ON_BREAK) {
+        if (!this._sm.send(Events.BREAK_OVER)) this._sm.reset(States.IDLE, Events.BREAK_OVER);
+      }
+    }
+
+    /**
+     * Periodically: is home in the way of a focused field, a fixed bar, or
+     * a link or button the pointer is heading for? Then peek in from an
+     * edge, and come back once home has stayed clear a while. Only a cat
+     * sitting at home is moved; one out walking or perched isn't in the way.
+     */
+    _checkAvoid() {
+      this._avoidTimer = setTimeout(this._checkAvoid, AVOID_CHECK_MS);
+      if (!this._avoid || !HOME_STATES.has(this._sm.state)) return;
+
+      var t = this._tracker;
+      var obstacles = findObstacles(this._renderer.homeRect, this._renderer.element,
+        { x: t.x, y: t.y, speed: t.speed, angle: t.angle });
+      if (obstacles.length) {
+        this._clearSince = 0;
+        this._renderer.peekAside(obstacles);
+        this._renderer.goHome();
+      } else if (this._renderer.isAside) {
+        var now = Date.now();
+        if (!this._clearSince) {
+          this._clearSince = now;
+        } else if (now - this._clearSince >= AVOID_RETURN_MS) {
+          this._comeBack();
+        }
+      }
+    }
+
+    _comeBack() {
+      this._clearSince = 0;
+      this._renderer.peekAside(null);
+      if (HOME_STATES.has(this._sm.state)) this._renderer.goHome();
+    }
+
+    _reseed() {
+      this._sm.setSeed(this._deterministic ? this._fixedSeed : window.TinyCat.randomSeed());
     }
 
     _handleEvent(event) {
+      if (this._recorder) this._recorder.event(event);
+
       // Track cursor proximity for purr visual (bypass cooldowns)
       if (event === Events.NEAR_CURSOR) {
         this._renderer.setCursorNear(true);
       } else if (event === Events.CURSOR_AWAY) {
         this._renderer.setCursorNear(false);
+      } else if (event === Events.SCROLL_FLING) {
+        // Every fling rocks the cat, whatever the state machine makes of it
+        this._renderer.wobble();
       }
 
-      // Only notice fast cursor movements when nearby
+      // Asking for a break: a tap is the answer, and nothing else distracts it
+      if (this._sm.state === States.REMINDING) {
+        if (event === Events.CLICK) this._breakListeners.forEach((fn) => fn());
+        return;
+      }
+
+      // Only notice fast cursor movements and typing when nearby
       if (event === Events.CURSOR_FAST || event === Events.REPEATED_FAST) {
-        var catPos = this._renderer.position;
-        var dx = this._tracker.x - catPos.x;
-        var dy = this._tracker.y - catPos.y;
-        if (Math.sqrt(dx * dx + dy * dy) > FAST_NOTICE_RANGE) return;
+        if (this._cursorDistance() > FAST_NOTICE_RANGE) return;
+      }
+      if (event === Events.TYPING_BURST || event === Events.TYPING_SUSTAINED) {
+        if (this._cursorDistance() > TYPING_NOTICE_RANGE) return;
       }
 
       var cd = this._cooldownMs[event];
@@ -99,16 +567,62 @@
         this._eventCooldowns[event] = now;
       }
 
+      // Look for a perch first so PERCHED can only win with somewhere to sit
+      var mayPerch = event === Events.MEDIUM_IDLE && this._sm.state === States.IDLE;
+      if (mayPerch) this._choosePerch();
       this._sm.send(event);
+      if (mayPerch && this._perchTarget) {
+        this._perchTarget = null;
+        this._applyDisabledStates();
+      }
     }
 
-    _onStateEnter(state, _oldState) {
+    _cursorDistance() {
+      var catPos = this._renderer.position;
+      var dx = this._tracker.x - catPos.x;
+      var dy = this._tracker.y - catPos.y;
+      return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    _onStateEnter(state, oldState) {
+      if (oldState === States.PERCHED) {
+        this._perch = null;
+        this._applyDisabledStates();
+      }
+
+      if (state === States.POUNCE) {
+        this._reportNeeds(Needs.POUNCE);
+      } else if (state === States.EATING) {
+        this._reportNeeds(Needs.FEED);
+      } else if (state === States.PURRING) {
+        this._reportNeeds(Needs.PET);
+      }
+
+      // A nap on the page rests the cat as the user's absence does
+      if (state === States.SLEEP || state === States.ON_BREAK) {
+        this._reportNeeds({ resting: true });
+      } else if (state !== States.ALERT_SLEEP && SLEEPING_STATES.has(oldState)) {
+        this._reportNeeds({ resting: false });
+      }
+
+      // No settling down while the focus timer wants a break
+      if (state === States.IDLE && FOCUS_STATES[this._focusPhase]) {
+        this._applyFocus();
+        return;
+      }
+
       if (FREEZE_STATES.has(state)) {
         // Stay exactly where we are
         var pos = this._renderer.position;
         this._renderer.setTarget(pos.x, pos.y);
       } else if (HOME_STATES.has(state)) {
         this._renderer.goHome();
+      } else if (state === States.WALKING) {
+        this._wander();
+      } else if (state === States.PERCHED) {
+        this._hopOnPerch();
+      } else if (state === States.REMINDING) {
+        this._renderer.walkToCenter();
       }
     }
   }
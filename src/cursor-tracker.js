@@ -1,38 +1,104 @@
 /**
  * TinyCat Cursor Tracker
  *
- * Tracks mouse position, computes speed/direction, detects idle periods,
- * fast movements, circular motion, and sharp direction changes.
- * Emits state-machine events via a callback.
+ * Tracks the pointer (mouse, pen or finger, via Pointer Events), computes
+ * speed/direction, detects short idle periods, fast movements, circular
+ * motion, and sharp direction changes. Long idle isn't a page matter: the
+ * cat sleeps on the system's idle state instead (see Cat.setSystemIdle).
+ * Some thresholds differ by pointer type, and a finger that has lifted
+ * stops counting as near the cat. Also notices typing (bursts, long runs,
+ * storms of deletes) from key timing alone; which keys were pressed is
+ * never looked at beyond "delete or not".
+ * Page scrolling is followed too: flings, hitting the top or bottom hard,
+ * and pauses after slow, reading-pace scrolling. Slow back-and-forth
+ * strokes across the cat's box read as petting, which can be overdone:
+ * stroking too fast or for too long. Petting needs a hovering pointer (a
+ * finger on the cat drags it instead; see DragHandler).
+ * Emits state-machine events via a callback. Clicks are not tracked here:
+ * only taps on the cat itself count (see DragHandler), so the rest of the
+ * page can be clicked without startling it.
  */
 (function () {
   'use strict';
 
   const { Events } = window.TinyCat;
 
-  /** Thresholds (tweakable via settings later) */
+  /**
+   * Thresholds (tweakable via settings later). A touch* or pen* key
+   * overrides the plain key while that pointer type is in use: a finger
+   * swipe covers far more ground per sample than a mouse flick.
+   */
   const DEFAULTS = {
     fastSpeedThreshold:    25,   // px per sample — "fast" cursor (high bar)
     dirChangeAngle:        120,  // degrees — sharp direction reversal
     mediumIdleMs:          5000, // idle before autonomous activity
-    longIdleMs:            20000,// idle before sleep
     nearDistance:           150,  // px — "near the cat"
     awayDistance:           350,  // px — "away from the cat"
     circularSamples:       30,   // samples to detect circular motion
     circularAngleSum:      500,  // cumulative degrees suggesting circles
     fastBurstWindow:       5000, // ms window for repeated-fast detection
     fastBurstCount:        5,    // bursts in window → repeatedFast
+    typingBurstKeys:       8,    // keys within typingBurstWindow → typingBurst
+    typingBurstWindow:     2000, // ms
+    typingGapMs:           1500, // pause that ends a typing run → typingStopped
+    sustainedTypingMs:     15000,// unbroken typing run → typingSustained
+    deleteStormCount:      6,    // deletes within deleteStormWindow → backspaceStorm
+    deleteStormWindow:     1500, // ms
+    scrollFlingSpeed:      100,  // px scrolled per sample — a hard fling
+    scrollBounceSpeed:     40,   // px per sample arriving at the top/bottom → scrollBounce
+    readingScrollSpeed:    25,   // px per sample — slower scrolling is reading pace
+    readingMinScroll:      300,  // px read before a pause counts
+    readingPauseMs:        4000, // no scrolling this long after reading → readingPause
+    petMinSpeed:           0.5,  // px per sample — slower is resting on the cat, not stroking
+    petRoughSpeed:         12,   // px per sample — stroking faster than this → pettingRough
+    petStrokeDistance:     20,   // px across the cat in one direction → one stroke
+    petStrokes:            3,    // strokes, back and forth → petting
+    petGapMs:              1000, // no stroking this long ends petting → pettingStopped
+    petMaxMs:              8000, // petting longer than this → pettingRough
+    penPetRoughSpeed:      16,   // px per sample
+    touchFastSpeedThreshold: 60, // px per sample — a fast swipe
+    penFastSpeedThreshold: 35,   // px per sample
+    touchNearDistance:     100,  // px — a fingertip near the cat
+    touchLingerMs:         1500, // a lifted finger still counts as there this long
     sampleInterval:        1000 / 60, // ~16ms
   };
 
+  /** Keys that are only modifiers, never typing on their own. */
+  const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'AltGraph', 'Fn'];
+
+  /**
+   * Classify a keydown without keeping its content: 'delete' for Backspace
+   * and Delete, 'key' for other typing, null for modifiers and shortcuts.
+   */
+  function keyKind(e) {
+    if (e.key === 'Backspace' || e.key === 'Delete') return 'delete';
+    if (MODIFIER_KEYS.indexOf(e.key) !== -1 || e.ctrlKey || e.metaKey) return null;
+    return 'key';
+  }
+
+  /** Page scroll position and how far it can go, in px. */
+  function pageScroll() {
+    var root = document.documentElement;
+    return {
+      y: window.scrollY || 0,
+      max: Math.max(0, (root.scrollHeight || 0) - window.innerHeight),
+    };
+  }
+
+  /** Pointer types that get their own thresholds (see DEFAULTS). */
+  const TYPED_POINTERS = ['touch', 'pen'];
+
   class CursorTracker {
     /**
      * @param {Function} emit – called with (eventName) when a trigger fires
      * @param {Function} getCatPos – returns {x, y} of the cat's current position
+     * @param {Function} [getCatRect] – returns the cat's current box
+     *   ({ left, top, right, bottom }); without it there is no petting
      */
-    constructor(emit, getCatPos) {
+    constructor(emit, getCatPos, getCatRect) {
       this._emit = emit;
       this._getCatPos = getCatPos;
+      this._getCatRect = getCatRect || null;
       this._config = { ...DEFAULTS };
 
       // Position state
@@ -41,56 +107,238 @@
       this.speed = 0;
       this.angle = 0;
 
+      // Last pointer type seen; a touch pointer only exists while in contact
+      this.pointerType = 'mouse';
+      this._contact = true;
+      this._liftTime = 0;
+
       // Internal tracking
       this._prevX = this.x;
       this._prevY = this.y;
       this._prevAngle = 0;
       this._lastMoveTime = Date.now();
-      this._idleEmitted = { medium: false, long: false };
+      this._idleEmitted = false;
       this._angleSamples = [];
       this._fastBursts = [];
+      this._resetTyping();
+      this._resetScroll();
+      this._resetPetting();
 
       // Bind handlers
-      this._onMouseMove = this._onMouseMove.bind(this);
-      this._onClick = this._onClick.bind(this);
+      this._onPointerMove = this._onPointerMove.bind(this);
+      this._onPointerDown = this._onPointerDown.bind(this);
+      this._onPointerUp = this._onPointerUp.bind(this);
+      this._onKeyDown = this._onKeyDown.bind(this);
+      this._onScroll = this._onScroll.bind(this);
       this._tick = this._tick.bind(this);
 
       this._started = false;
     }
 
-    /**
-     * Update idle timeout from settings slider (value in seconds).
-     * longIdleMs scales to 4× the medium idle.
-     */
+    /** Update idle timeout from settings slider (value in seconds). */
     setIdleTimeout(seconds) {
       this._config.mediumIdleMs = seconds * 1000;
-      this._config.longIdleMs = seconds * 4000;
+    }
+
+    /** Current thresholds (a copy; see DEFAULTS for the keys). */
+    get config() {
+      return { ...this._config };
+    }
+
+    /** Override thresholds by DEFAULTS key; unknown keys are ignored. */
+    setConfig(overrides) {
+      for (var key in overrides) {
+        if (key in DEFAULTS && typeof overrides[key] === 'number') {
+          this._config[key] = overrides[key];
+        }
+      }
+    }
+
+    /**
+     * Forget motion history and restart the idle clock with the cursor at
+     * (x, y), as if the tracker had just been created there. A typing run
+     * or petting cut short still ends (TYPING_STOPPED, PETTING_STOPPED), so
+     * nothing waits on it.
+     */
+    reset(x, y) {
+      var typing = this._typing;
+      var petting = this._petting;
+      this.x = this._prevX = x;
+      this.y = this._prevY = y;
+      this.speed = 0;
+      this.angle = this._prevAngle = 0;
+      this.pointerType = 'mouse';
+      this._contact = true;
+      this._lastMoveTime = Date.now();
+      this._idleEmitted = false;
+      this._angleSamples = [];
+      this._fastBursts = [];
+      this._resetTyping();
+      this._resetScroll();
+      this._resetPetting();
+      if (typing) this._emit(Events.TYPING_STOPPED);
+      if (petting) this._emit(Events.PETTING_STOPPED);
     }
 
     start() {
       if (this._started) return;
       this._started = true;
-      document.addEventListener('mousemove', this._onMouseMove, { passive: true });
-      document.addEventListener('click', this._onClick, true);
+      document.addEventListener('pointermove', this._onPointerMove, { passive: true });
+      document.addEventListener('pointerdown', this._onPointerDown, { capture: true, passive: true });
+      document.addEventListener('pointerup', this._onPointerUp, { capture: true, passive: true });
+      document.addEventListener('pointercancel', this._onPointerUp, { capture: true, passive: true });
+      document.addEventListener('keydown', this._onKeyDown, { capture: true, passive: true });
+      window.addEventListener('scroll', this._onScroll, { passive: true });
+      this._resetScroll();
       this._rafId = requestAnimationFrame(this._tick);
     }
 
     stop() {
       this._started = false;
-      document.removeEventListener('mousemove', this._onMouseMove);
-      document.removeEventListener('click', this._onClick, true);
+      document.removeEventListener('pointermove', this._onPointerMove);
+      document.removeEventListener('pointerdown', this._onPointerDown, { capture: true });
+      document.removeEventListener('pointerup', this._onPointerUp, { capture: true });
+      document.removeEventListener('pointercancel', this._onPointerUp, { capture: true });
+      document.removeEventListener('keydown', this._onKeyDown, { capture: true });
+      window.removeEventListener('scroll', this._onScroll);
       if (this._rafId) cancelAnimationFrame(this._rafId);
     }
 
-    _onMouseMove(e) {
+    /**
+     * Input relayed from a child frame (see FrameRelay), already in this
+     * frame's coordinates. `type` is the DOM event type it stands for.
+     */
+    feed(type, e) {
+      if (!this._started) return;
+      switch (type) {
+        case 'pointermove': this._onPointerMove(e); break;
+        case 'pointerdown': this._onPointerDown(e); break;
+        case 'pointerup':
+        case 'pointercancel': this._onPointerUp(e); break;
+        case 'keydown': this._onKeyDown(e); break;
+      }
+    }
+
+    // Extra fingers of a multi-touch gesture are ignored throughout
+    _onPointerMove(e) {
+      if (e.isPrimary === false) return;
+      this.pointerType = e.pointerType || 'mouse';
       this.x = e.clientX;
       this.y = e.clientY;
       this._lastMoveTime = Date.now();
-      this._idleEmitted = { medium: false, long: false };
+      this._idleEmitted = false;
+    }
+
+    /**
+     * A finger or pen appears where it touches down. Start motion there so
+     * the jump from wherever the last contact ended isn't read as a flick.
+     */
+    _onPointerDown(e) {
+      if (e.isPrimary === false) return;
+      this.pointerType = e.pointerType || 'mouse';
+      this._lastMoveTime = Date.now();
+      this._idleEmitted = false;
+      if (this.pointerType === 'mouse') return;
+
+      this.x = this._prevX = e.clientX;
+      this.y = this._prevY = e.clientY;
+      this.speed = 0;
+      this._angleSamples = [];
+      this._contact = true;
     }
 
-    _onClick() {
-      this._emit(Events.CLICK);
+    _onPointerUp(e) {
+      if (e.isPrimary === false || (e.pointerType || 'mouse') === 'mouse') return;
+      this._contact = false;
+      this._liftTime = Date.now();
+    }
+
+    /** Threshold `key` for the current pointer type (see DEFAULTS). */
+    _threshold(key) {
+      if (TYPED_POINTERS.indexOf(this.pointerType) !== -1) {
+        var typed = this.pointerType + key.charAt(0).toUpperCase() + key.slice(1);
+        if (typed in this._config) return this._config[typed];
+      }
+      return this._config[key];
+    }
+
+    /** A finger lifted a while ago is not hovering anywhere. */
+    _pointerGone() {
+      return this.pointerType === 'touch' && !this._contact &&
+        Date.now() - this._liftTime > this._config.touchLingerMs;
+    }
+
+    /** Typing is activity too: it holds off the idle timers like movement. */
+    _onKeyDown(e) {
+      var kind = keyKind(e);
+      if (!kind) return;
+
+      var now = Date.now();
+      this._lastMoveTime = now;
+      this._idleEmitted = false;
+
+      // A long enough pause starts a new typing run
+      if (now - this._lastKeyTime > this._config.typingGapMs) {
+        this._typingSince = now;
+        this._keyTimes = [];
+        this._sustainedEmitted = false;
+      }
+      this._lastKeyTime = now;
+
+      var burstWindow = this._config.typingBurstWindow;
+      this._keyTimes.push(now);
+      this._keyTimes = this._keyTimes.filter(function (t) { return now - t < burstWindow; });
+      if (!this._typing && this._keyTimes.length >= this._config.typingBurstKeys) {
+        this._typing = true;
+        this._emit(Events.TYPING_BURST);
+      }
+
+      if (kind === 'delete') {
+        var stormWindow = this._config.deleteStormWindow;
+        this._deleteTimes.push(now);
+        this._deleteTimes = this._deleteTimes.filter(function (t) { return now - t < stormWindow; });
+        if (this._deleteTimes.length >= this._config.deleteStormCount) {
+          this._emit(Events.BACKSPACE_STORM);
+          this._deleteTimes = [];
+        }
+      }
+    }
+
+    /** Scrolling is activity too; speed is measured per tick like the cursor's. */
+    _onScroll() {
+      var scroll = pageScroll();
+      this.scrollY = scroll.y;
+      this._maxScroll = scroll.max;
+      this._lastMoveTime = Date.now();
+      this._idleEmitted = false;
+    }
+
+    _resetScroll() {
+      var scroll = pageScroll();
+      this.scrollY = this._prevScrollY = scroll.y;
+      this._maxScroll = scroll.max;
+      this.scrollSpeed = 0;
+      this._flinging = false;
+      this._lastScrollTime = 0;
+      this._readDistance = 0;
+    }
+
+    _resetTyping() {
+      this._keyTimes = [];
+      this._deleteTimes = [];
+      this._lastKeyTime = 0;
+      this._typingSince = 0;
+      this._typing = false;
+      this._sustainedEmitted = false;
+    }
+
+    _resetPetting() {
+      this._strokeDir = 0;
+      this._strokeRun = 0;
+      this._strokes = 0;
+      this._lastStrokeTime = 0;
+      this._pettingSince = 0;
+      this._petting = false;
     }
 
     _tick() {
@@ -107,8 +355,11 @@
         this._trackCircularMotion();
       }
 
+      this._checkScroll();
       this._checkIdle();
+      this._checkTyping();
       this._checkProximity();
+      this._checkPetting();
 
       this._prevX = this.x;
       this._prevY = this.y;
@@ -118,7 +369,7 @@
     }
 
     _checkSpeed() {
-      if (this.speed >= this._config.fastSpeedThreshold) {
+      if (this.speed >= this._threshold('fastSpeedThreshold')) {
         this._emit(Events.CURSOR_FAST);
         this._recordFastBurst();
       }
@@ -126,10 +377,11 @@
 
     _recordFastBurst() {
       var now = Date.now();
+      var burstWindow = this._config.fastBurstWindow;
       this._fastBursts.push(now);
       // Prune old bursts
       this._fastBursts = this._fastBursts.filter(
-        function (t) { return now - t < 5000; }
+        function (t) { return now - t < burstWindow; }
       );
       if (this._fastBursts.length >= this._config.fastBurstCount) {
         this._emit(Events.REPEATED_FAST);
@@ -163,14 +415,61 @@
       }
     }
 
+    _checkScroll() {
+      var config = this._config;
+      var now = Date.now();
+      var dy = this.scrollY - this._prevScrollY;
+      this.scrollSpeed = Math.abs(dy);
+
+      if (this.scrollSpeed > 0) {
+        this._lastScrollTime = now;
+
+        // One fling per hard scroll; re-armed once it has slowed down
+        if (this.scrollSpeed >= config.scrollFlingSpeed && !this._flinging) {
+          this._flinging = true;
+          this._emit(Events.SCROLL_FLING);
+        } else if (this.scrollSpeed < config.scrollFlingSpeed / 2) {
+          this._flinging = false;
+        }
+
+        var atEdge = dy < 0 ? this.scrollY <= 0 : this.scrollY >= this._maxScroll;
+        if (atEdge && this.scrollSpeed >= config.scrollBounceSpeed) {
+          this._emit(Events.SCROLL_BOUNCE);
+        }
+
+        // Reading is slow scrolling; anything faster starts over
+        if (this.scrollSpeed < config.readingScrollSpeed) {
+          this._readDistance += this.scrollSpeed;
+        } else {
+          this._readDistance = 0;
+        }
+      } else if (this._readDistance >= config.readingMinScroll &&
+                 now - this._lastScrollTime >= config.readingPauseMs) {
+        this._readDistance = 0;
+        this._emit(Events.READING_PAUSE);
+      }
+
+      this._prevScrollY = this.scrollY;
+    }
+
+    /** A typing run ends after a pause, or counts as sustained if it doesn't. */
+    _checkTyping() {
+      if (!this._typing) return;
+      var now = Date.now();
+      if (now - this._lastKeyTime > this._config.typingGapMs) {
+        this._typing = false;
+        this._emit(Events.TYPING_STOPPED);
+      } else if (!this._sustainedEmitted && now - this._typingSince >= this._config.sustainedTypingMs) {
+        this._sustainedEmitted = true;
+        this._emit(Events.TYPING_SUSTAINED);
+      }
+    }
+
     _checkIdle() {
       var elapsed = Date.now() - this._lastMoveTime;
 
-      if (elapsed >= this._config.longIdleMs && !this._idleEmitted.long) {
-        this._idleEmitted.long = true;
-        this._emit(Events.LONG_IDLE);
-      } else if (elapsed >= this._config.mediumIdleMs && !this._idleEmitted.medium) {
-        this._idleEmitted.medium = true;
+      if (elapsed >= this._config.mediumIdleMs && !this._idleEmitted) {
+        this._idleEmitted = true;
         this._emit(Events.MEDIUM_IDLE);
       }
     }
@@ -178,18 +477,83 @@
     _checkProximity() {
       var catPos = this._getCatPos();
       if (!catPos) return;
+      if (this._pointerGone()) {
+        this._emit(Events.CURSOR_AWAY);
+        return;
+      }
 
       var dx = this.x - catPos.x;
       var dy = this.y - catPos.y;
       var dist = Math.sqrt(dx * dx + dy * dy);
 
-      if (dist < this._config.nearDistance) {
+      if (dist < this._threshold('nearDistance')) {
         this._emit(Events.NEAR_CURSOR);
-      } else if (dist > this._config.awayDistance) {
+      } else if (dist > this._threshold('awayDistance')) {
         this._emit(Events.CURSOR_AWAY);
       }
     }
+
+    /**
+     * Count strokes: runs of at least petStrokeDistance in one horizontal
+     * direction over the cat, each the other way from the last. Enough of
+     * them start petting, which lasts until the strokes stop. Stroking too
+     * fast (once it has begun) or petting past petMaxMs is rough; a fast
+     * pass on its own is just the pointer going by.
+     */
+    _checkPetting() {
+      var rect = this._getCatRect ? this._getCatRect() : null;
+      if (!rect) return;
+      var config = this._config;
+      var now = Date.now();
+
+      var over = this.pointerType !== 'touch' &&
+        this.x >= rect.left && this.x <= rect.right &&
+        this.y >= rect.top && this.y <= rect.bottom;
+
+      if (over && this.speed > config.petMinSpeed) {
+        // Too fast to be a stroke; rough if it interrupts stroking
+        if (this.speed > this._threshold('petRoughSpeed')) {
+          if (this._strokes > 0) {
+            this._resetPetting();
+            this._emit(Events.PETTING_ROUGH);
+          }
+          return;
+        }
+
+        var dx = this.x - this._prevX;
+        var dir = dx > 0 ? 1 : dx < 0 ? -1 : 0;
+        if (dir && dir !== this._strokeDir) {
+          this._strokeDir = dir;
+          this._strokeRun = 0;
+        }
+        var before = this._strokeRun;
+        this._strokeRun += Math.abs(dx);
+        if (before < config.petStrokeDistance && this._strokeRun >= config.petStrokeDistance) {
+          this._strokes++;
+          this._lastStrokeTime = now;
+        }
+
+        if (!this._petting && this._strokes >= config.petStrokes) {
+          this._petting = true;
+          this._pettingSince = now;
+          this._emit(Events.PETTING);
+        }
+      }
+
+      if (this._petting && now - this._pettingSince > config.petMaxMs) {
+        this._resetPetting();
+        this._emit(Events.PETTING_ROUGH);
+      } else if (this._strokes > 0 && now - this._lastStrokeTime > config.petGapMs) {
+        var wasPetting = this._petting;
+        this._resetPetting();
+        if (wasPetting) this._emit(Events.PETTING_STOPPED);
+      }
+    }
   }
 
+  CursorTracker.DEFAULTS = DEFAULTS;
+  CursorTracker.keyKind = keyKind;
+  CursorTracker.pageScroll = pageScroll;
+
   window.TinyCat.CursorTracker = CursorTracker;
 })();
@@ -0,0 +1,153 @@
+/**
+ * TinyCat Drag Handler
+ *
+ * Lets the user pick the cat up with a mouse, pen or finger, through
+ * Pointer Events. Only presses that land on the cat are taken, so the rest
+ * of the page keeps its clicks. A press that moves past DRAG_THRESHOLD
+ * becomes a drag (onGrab → onMove… → onDrop); one that doesn't is a tap
+ * (onTap). Fingers and pens are less precise than a mouse, so their taps
+ * also count within TAP_SLOP of the cat, though only a press on the cat
+ * itself can pick it up.
+ */
+(function () {
+  'use strict';
+
+  const DRAG_THRESHOLD = 5;  // px of movement before a press becomes a drag
+  const TAP_SLOP = 40;       // px around the cat a touch or pen tap still hits
+
+  /** Is (x, y) inside rect grown by `slop` px on every side? */
+  function within(rect, x, y, slop) {
+    return x >= rect.left - slop && x <= rect.right + slop &&
+      y >= rect.top - slop && y <= rect.bottom + slop;
+  }
+
+  class DragHandler {
+    /**
+     * @param {Element} el – the cat's element (presses inside it count)
+     * @param {Object} handlers – { onGrab(x, y), onMove(x, y), onDrop(x, y), onTap() }
+     */
+    constructor(el, handlers) {
+      this._el = el;
+      this._handlers = handlers;
+      // { id, x, y, lastX, lastY, canDrag, dragging } while pressed
+      this._press = null;
+
+      this._onPointerDown = this._onPointerDown.bind(this);
+      this._onPointerMove = this._onPointerMove.bind(this);
+      this._onPointerUp = this._onPointerUp.bind(this);
+      this._onPointerCancel = this._onPointerCancel.bind(this);
+      this._onBlur = this._onBlur.bind(this);
+    }
+
+    start() {
+      // Capture on the document: near-misses land on the page, not the cat
+      document.addEventListener('pointerdown', this._onPointerDown, true);
+    }
+
+    stop() {
+      document.removeEventListener('pointerdown', this._onPointerDown, true);
+      this._unlisten();
+      this._press = null;
+    }
+
+    _listen() {
+      document.addEventListener('pointermove', this._onPointerMove, true);
+      document.addEventListener('pointerup', this._onPointerUp, true);
+      document.addEventListener('pointercancel', this._onPointerCancel, true);
+      window.addEventListener('blur', this._onBlur);
+    }
+
+    _unlisten() {
+      document.removeEventListener('pointermove', this._onPointerMove, true);
+      document.removeEventListener('pointerup', this._onPointerUp, true);
+      document.removeEventListener('pointercancel', this._onPointerCancel, true);
+      window.removeEventListener('blur', this._onBlur);
+    }
+
+    _cancel() {
+      this._press = null;
+      this._unlisten();
+    }
+
+    _move(x, y) {
+      var press = this._press;
+      press.lastX = x;
+      press.lastY = y;
+      if (!press.dragging) {
+        var dx = x - press.x;
+        var dy = y - press.y;
+        if (Math.sqrt(dx * dx + dy * dy) < DRAG_THRESHOLD) return;
+        // A near-miss that slides off was a swipe across the page, not a tap
+        if (!press.canDrag) {
+          this._cancel();
+          return;
+        }
+        press.dragging = true;
+        this._handlers.onGrab(x, y);
+      }
+      this._handlers.onMove(x, y);
+    }
+
+    _end(x, y) {
+      var press = this._press;
+      this._cancel();
+      if (press.dragging) {
+        this._handlers.onDrop(x, y);
+      } else {
+        this._handlers.onTap();
+      }
+    }
+
+    _onPointerDown(e) {
+      if (this._press || e.isPrimary === false) return;
+      if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+      var rect = this._el.getBoundingClientRect();
+      var onCat = within(rect, e.clientX, e.clientY, 0);
+      if (!onCat && (e.pointerType === 'mouse' || !within(rect, e.clientX, e.clientY, TAP_SLOP))) return;
+
+      // No text selection or page gestures while holding the cat, and keep
+      // getting the pointer while it's carried over iframes
+      if (onCat) {
+        e.preventDefault();
+        if (this._el.setPointerCapture) this._el.setPointerCapture(e.pointerId);
+      }
+      this._press = {
+        id: e.pointerId, x: e.clientX, y: e.clientY, lastX: e.clientX, lastY: e.clientY,
+        canDrag: onCat, dragging: false,
+      };
+      this._listen();
+    }
+
+    _onPointerMove(e) {
+      if (e.pointerId !== this._press.id) return;
+      this._move(e.clientX, e.clientY);
+    }
+
+    _onPointerUp(e) {
+      if (e.pointerId !== this._press.id) return;
+      this._end(e.clientX, e.clientY);
+    }
+
+    /** The browser took the pointer over (a pan, say): drop, never tap. */
+    _onPointerCancel(e) {
+      if (e.pointerId !== this._press.id) return;
+      if (this._press.dragging) {
+        this._end(this._press.lastX, this._press.lastY);
+      } else {
+        this._cancel();
+      }
+    }
+
+    /** Losing focus mid-press swallows the release: drop where we are. */
+    _onBlur() {
+      if (this._press.dragging) {
+        this._end(this._press.lastX, this._press.lastY);
+      } else {
+        this._cancel();
+      }
+    }
+  }
+
+  window.TinyCat.DragHandler = DragHandler;
+})();
@@ -0,0 +1,123 @@
+/**
+ * TinyCat Focus Timer
+ *
+ * Pomodoro-style work and break intervals, as plain data and pure
+ * functions. The background worker owns the timer: it applies these to the
+ * copy in chrome.storage.local and sets a chrome.alarms alarm for endsAt,
+ * so every tab (and the popup) sees the same timer through storage.
+ *
+ *   { phase, endsAt, remaining, sessions }
+ *
+ *   off   — no timer
+ *   work  — working until endsAt
+ *   due   — work is over; the cat asks for a break until acknowledged
+ *   break — on a break until endsAt, then straight back to work
+ *
+ * A paused timer keeps its phase, with endsAt null and the ms left in
+ * `remaining`. `sessions` counts work intervals finished since the last
+ * start. Shared by the content script, popup and background worker (which
+ * has no `window`, hence `self`).
+ */
+(function () {
+  'use strict';
+
+  const Phases = Object.freeze({
+    OFF:   'off',
+    WORK:  'work',
+    DUE:   'due',
+    BREAK: 'break',
+  });
+
+  const OFF = Object.freeze({ phase: Phases.OFF, endsAt: null, remaining: null, sessions: 0 });
+
+  /** Default interval lengths, in minutes (settings focusWork / focusBreak). */
+  const DEFAULT_WORK_MINUTES = 25;
+  const DEFAULT_BREAK_MINUTES = 5;
+
+  const MINUTE = 60 * 1000;
+
+  /** A known timer, or OFF for anything else (old or missing storage). */
+  function normalize(timer) {
+    if (!timer || typeof timer !== 'object') return OFF;
+    var phases = Object.keys(Phases).map(function (k) { return Phases[k]; });
+    return phases.indexOf(timer.phase) === -1 ? OFF : timer;
+  }
+
+  function isPaused(timer) {
+    timer = normalize(timer);
+    return timer.endsAt === null && timer.remaining !== null;
+  }
+
+  /** ms left in the current interval (null when there is no countdown). */
+  function timeLeft(timer, now) {
+    timer = normalize(timer);
+    if (timer.endsAt !== null) return Math.max(0, timer.endsAt - now);
+    return timer.remaining;
+  }
+
+  function interval(phase, now, minutes, sessions) {
+    return { phase: phase, endsAt: now + minutes * MINUTE, remaining: null, sessions: sessions };
+  }
+
+  /**
+   * Apply a user action or the alarm to a timer; returns the new timer.
+   *
+   * @param {Object} timer – current timer (missing or unknown counts as off)
+   * @param {string} action – 'start', 'stop', 'pause', 'resume', 'skip',
+   *   'acknowledge', or 'elapse' (the alarm went off)
+   * @param {number} now – ms timestamp
+   * @param {{ work: number, break: number }} minutes – interval lengths
+   */
+  function update(timer, action, now, minutes) {
+    timer = normalize(timer);
+    var paused = isPaused(timer);
+
+    switch (action) {
+      case 'start':
+        return interval(Phases.WORK, now, minutes.work, 0);
+
+      case 'stop':
+        return OFF;
+
+      case 'pause':
+        if (paused || timer.endsAt === null) return timer;
+        return { phase: timer.phase, endsAt: null, remaining: timer.endsAt - now, sessions: timer.sessions };
+
+      case 'resume':
+        if (!paused) return timer;
+        return { phase: timer.phase, endsAt: now + timer.remaining, remaining: null, sessions: timer.sessions };
+
+      case 'skip':
+        // On to the next interval; skipped work doesn't count as a session
+        if (timer.phase === Phases.WORK) return interval(Phases.BREAK, now, minutes.break, timer.sessions);
+        if (timer.phase === Phases.DUE) return update(timer, 'acknowledge', now, minutes);
+        if (timer.phase === Phases.BREAK) return interval(Phases.WORK, now, minutes.work, timer.sessions);
+        return timer;
+
+      case 'acknowledge':
+        if (timer.phase !== Phases.DUE) return timer;
+        return interval(Phases.BREAK, now, minutes.break, timer.sessions);
+
+      case 'elapse':
+        if (timer.endsAt === null || timer.endsAt > now) return timer;
+        if (timer.phase === Phases.WORK) {
+          return { phase: Phases.DUE, endsAt: null, remaining: null, sessions: timer.sessions + 1 };
+        }
+        if (timer.phase === Phases.BREAK) return interval(Phases.WORK, now, minutes.work, timer.sessions);
+        return timer;
+    }
+    return timer;
+  }
+
+  var root = self.TinyCat = self.TinyCat || {};
+  root.FocusTimer = {
+    Phases: Phases,
+    OFF: OFF,
+    DEFAULT_WORK_MINUTES: DEFAULT_WORK_MINUTES,
+    DEFAULT_BREAK_MINUTES: DEFAULT_BREAK_MINUTES,
+    normalize: normalize,
+    isPaused: isPaused,
+    timeLeft: timeLeft,
+    update: update,
+  };
+})();
@@ -0,0 +1,250 @@
+/**
+ * TinyCat Frame Relay
+ *
+ * The content script runs in every frame, but only the top frame has a cat.
+ * Pointer input inside an iframe never reaches the top document, so each
+ * child frame sends its primary pointer's moves (at most one per animation
+ * frame) and presses, and the kind of each keystroke, to its parent frame
+ * through the extension: the background worker passes it to that frame of
+ * the tab and nowhere else (see content.js). The parent shifts it by where
+ * the sender's <iframe> sits and passes it on, until it reaches the top
+ * frame in top-frame coordinates. None of the input goes through the page,
+ * so no page, embedding or embedded, gets to watch another's.
+ *
+ * To know which <iframe> a sender is, the frames introduce themselves once
+ * over postMessage: a child posts its extension frame id to its parent, and
+ * the parent notes the <iframe> the message came from and answers with its
+ * own id, for the child to send to. Until then a child sends to the top
+ * frame, which takes its keystrokes but can't place its pointer. Iframes
+ * scaled or rotated by CSS transforms are shifted, not scaled, so positions
+ * there are approximate.
+ *
+ * Messages carry what a trace would (coordinates, pointer type, 'key' or
+ * 'delete'), never anything about the page.
+ */
+(function () {
+  'use strict';
+
+  const { CursorTracker } = window.TinyCat;
+
+  /** Marks our introductions among whatever else the page posts. */
+  const HELLO = 'tinycat:frame-hello';
+  const WELCOME = 'tinycat:frame-welcome';
+
+  /** Introduce a child frame again if no answer came within this (ms). */
+  const HELLO_RETRY_MS = 1000;
+
+  /** The top frame's id, as the extension numbers frames. */
+  const TOP_FRAME_ID = 0;
+
+  const POINTER_EVENTS = ['pointermove', 'pointerdown', 'pointerup', 'pointercancel'];
+
+  /** Stand-in keys for relayed keystrokes; CursorTracker.keyKind maps them back. */
+  const KIND_KEYS = { key: 'Unidentified', delete: 'Backspace' };
+
+  function isTopFrame() {
+    return window.top === window;
+  }
+
+  function isFrameId(v) {
+    return typeof v === 'number' && v >= 0 && Math.floor(v) === v;
+  }
+
+  /** The <iframe> or <frame> in this document whose window is `source`. */
+  function frameOf(source) {
+    var frames = document.querySelectorAll('iframe, frame');
+    for (var i = 0; i < frames.length; i++) {
+      if (frames[i].contentWindow === source) return frames[i];
+    }
+    return null;
+  }
+
+  class FrameRelay {
+    /**
+     * @param {Function} [deliver] – top frame: called with (type, event)
+     *   for input relayed from child frames, where event has clientX/clientY
+     *   in top-frame coordinates (pointer types) or a stand-in key (keydown)
+     * @param {Function} [send] – child frame: called with (input, frameId)
+     *   for each input to pass to that frame's receive()
+     */
+    constructor(deliver, send) {
+      this._deliver = deliver || null;
+      this._send = send || null;
+      this._top = isTopFrame();
+      this._started = false;
+
+      this._frameId = this._top ? TOP_FRAME_ID : null;
+      this._parentId = null;
+      this._helloAt = -Infinity;
+      this._frames = new Map(); // child frame id → its <iframe>
+
+      this._pendingMove = null;
+      this._moveFrame = null;
+
+      this._onPointer = this._onPointer.bind(this);
+      this._onKeyDown = this._onKeyDown.bind(this);
+      this._onMessage = this._onMessage.bind(this);
+      this._flushMove = this._flushMove.bind(this);
+    }
+
+    /** Is this the top frame, where the cat lives? */
+    get isTop() {
+      return this._top;
+    }
+
+    /** Child frame: this frame's id, as the extension numbers frames. */
+    setFrameId(frameId) {
+      if (this._top || !isFrameId(frameId)) return;
+      this._frameId = frameId;
+      if (this._started) this._hello();
+    }
+
+    start() {
+      if (this._started) return;
+      this._started = true;
+      window.addEventListener('message', this._onMessage);
+      if (this._top) return;
+
+      var self = this;
+      POINTER_EVENTS.forEach(function (type) {
+        document.addEventListener(type, self._onPointer, { capture: true, passive: true });
+      });
+      document.addEventListener('keydown', this._onKeyDown, { capture: true, passive: true });
+      if (this._parentId === null) this._hello();
+    }
+
+    stop() {
+      this._started = false;
+      this._pendingMove = null;
+      if (this._moveFrame !== null) {
+        cancelAnimationFrame(this._moveFrame);
+        this._moveFrame = null;
+      }
+      window.removeEventListener('message', this._onMessage);
+      var self = this;
+      POINTER_EVENTS.forEach(function (type) {
+        document.removeEventListener(type, self._onPointer, { capture: true });
+      });
+      document.removeEventListener('keydown', this._onKeyDown, { capture: true });
+    }
+
+    /**
+     * Input a child frame sent, with that frame's id as the browser
+     * reported it (never as the frame itself claims). It is shifted into
+     * this frame's coordinates, then delivered here in the top frame or
+     * passed on up from a child.
+     */
+    receive(input, from) {
+      if (!this._started || !input) return;
+      if (input.type === 'keydown') {
+        if (KIND_KEYS[input.kind]) this._pass({ type: 'keydown', kind: input.kind });
+        return;
+      }
+      if (POINTER_EVENTS.indexOf(input.type) === -1) return;
+      if (!Number.isFinite(input.x) || !Number.isFinite(input.y)) return;
+
+      var frame = this._frameFor(from);
+      if (!frame) return;
+      var rect = frame.getBoundingClientRect();
+      this._pass({
+        type: input.type,
+        x: input.x + rect.left + (frame.clientLeft || 0),
+        y: input.y + rect.top + (frame.clientTop || 0),
+        pointerType: input.pointerType, button: input.button,
+      });
+    }
+
+    /** The <iframe> of a child frame that introduced itself, while it is on the page. */
+    _frameFor(frameId) {
+      var frame = this._frames.get(frameId);
+      if (frame && !frame.isConnected) {
+        this._frames.delete(frameId);
+        frame = null;
+      }
+      return frame || null;
+    }
+
+    /** Input in this frame's coordinates: to the cat here, or on up. */
+    _pass(input) {
+      if (!this._top) {
+        this._post(input);
+        return;
+      }
+      if (!this._deliver) return;
+      if (input.type === 'keydown') {
+        this._deliver('keydown', { key: KIND_KEYS[input.kind] });
+        return;
+      }
+      this._deliver(input.type, {
+        clientX: input.x, clientY: input.y, pointerType: input.pointerType,
+        isPrimary: true, button: input.button,
+      });
+    }
+
+    /** Send input to the parent frame (the top one until it answers). */
+    _post(input) {
+      if (!this._send) return;
+      if (this._pendingMove) this._flushMove();
+      if (this._parentId === null && Date.now() - this._helloAt >= HELLO_RETRY_MS) this._hello();
+      this._send(input, this._parentId !== null ? this._parentId : TOP_FRAME_ID);
+    }
+
+    /** Hold a move until the next animation frame; a later one replaces it. */
+    _queueMove(input) {
+      this._pendingMove = input;
+      if (this._moveFrame === null) this._moveFrame = requestAnimationFrame(this._flushMove);
+    }
+
+    _flushMove() {
+      if (this._moveFrame !== null) {
+        cancelAnimationFrame(this._moveFrame);
+        this._moveFrame = null;
+      }
+      var move = this._pendingMove;
+      this._pendingMove = null;
+      if (move) this._post(move);
+    }
+
+    /** Child frame: tell the parent who we are, once our id is known. */
+    _hello() {
+      if (this._frameId === null) return;
+      this._helloAt = Date.now();
+      window.parent.postMessage({ tinycat: HELLO, frameId: this._frameId }, '*');
+    }
+
+    _onMessage(e) {
+      var data = e.data;
+      if (!data || typeof data !== 'object' || !isFrameId(data.frameId)) return;
+
+      if (data.tinycat === HELLO && this._frameId !== null) {
+        var frame = frameOf(e.source);
+        if (!frame) return;
+        this._frames.set(data.frameId, frame);
+        e.source.postMessage({ tinycat: WELCOME, frameId: this._frameId }, '*');
+      } else if (data.tinycat === WELCOME && !this._top && e.source === window.parent) {
+        this._parentId = data.frameId;
+      }
+    }
+
+    _onPointer(e) {
+      if (e.isPrimary === false) return;
+      if (e.type === 'pointerdown' && e.pointerType === 'mouse' && e.button !== 0) return;
+      var input = {
+        type: e.type, x: e.clientX, y: e.clientY,
+        pointerType: e.pointerType || 'mouse', button: e.button || 0,
+      };
+      if (e.type === 'pointermove') {
+        this._queueMove(input);
+      } else {
+        this._post(input);
+      }
+    }
+
+    _onKeyDown(e) {
+      var kind = CursorTracker.keyKind(e);
+      if (kind) this._post({ type: 'keydown', kind: kind });
+    }
+  }
+
+  window.TinyCat.FrameRelay = FrameRelay;
+})();
@@ -0,0 +1,125 @@
+/**
+ * TinyCat Needs
+ *
+ * The cat's lasting needs, as plain data and pure functions. The background
+ * worker keeps them in chrome.storage.local and applies every change, so
+ * all tabs share one cat with one memory:
+ *
+ *   { energy, hunger, affection, resting, updatedAt }
+ *
+ * Each need runs from 0 to 1 and drifts over real time from updatedAt:
+ * energy slowly drains while the user is about and comes back while the
+ * cat sleeps (`resting`: through their absence, the system being idle or
+ * locked, or in a nap on the page in view); hunger rises until the cat is
+ * fed; affection fades unless topped up by feeding and petting. Pouncing
+ * costs energy on top.
+ *
+ * mood() turns needs into multipliers for the state machine's chance
+ * transitions: a tired cat naps more and plays less, a lonely one plays
+ * more to get attention, and a hungry one is too grumpy to play much.
+ * Shared by the content script, popup and background worker (which has no
+ * `window`, hence `self`).
+ */
+(function () {
+  'use strict';
+
+  const NAMES = ['energy', 'hunger', 'affection'];
+
+  /** Needs of a cat never seen before. */
+  const START = Object.freeze({ energy: 0.8, hunger: 0.3, affection: 0.5 });
+
+  /** Drift per hour of real time. */
+  const RATES = Object.freeze({
+    energy:    -0.06, // while the user is about
+    resting:    0.25, // energy while the cat sleeps
+    hunger:     0.1,
+    affection: -0.04,
+  });
+
+  /** Changes the cat reports (see Cat.onNeedsChanged). */
+  const FEED = Object.freeze({ hunger: -0.6, affection: 0.05 });
+  const POUNCE = Object.freeze({ energy: -0.03 });
+  const PET = Object.freeze({ affection: 0.08 });
+
+  const HOUR = 60 * 60 * 1000;
+
+  function clamp01(v) {
+    return Math.max(0, Math.min(1, v));
+  }
+
+  /**
+   * Known needs, filling in whatever is missing (old or missing storage).
+   * Without updatedAt they count as current at `now`.
+   */
+  function normalize(needs, now) {
+    needs = needs && typeof needs === 'object' ? needs : {};
+    var out = {};
+    NAMES.forEach(function (name) {
+      out[name] = typeof needs[name] === 'number' && isFinite(needs[name]) ? clamp01(needs[name]) : START[name];
+    });
+    out.resting = needs.resting === true;
+    out.updatedAt = typeof needs.updatedAt === 'number' ? needs.updatedAt : now;
+    return out;
+  }
+
+  /** Needs drifted to `now`. */
+  function at(needs, now) {
+    needs = normalize(needs, now);
+    var hours = Math.max(0, now - needs.updatedAt) / HOUR;
+    return {
+      energy: clamp01(needs.energy + hours * (needs.resting ? RATES.resting : RATES.energy)),
+      hunger: clamp01(needs.hunger + hours * RATES.hunger),
+      affection: clamp01(needs.affection + hours * RATES.affection),
+      resting: needs.resting,
+      updatedAt: now,
+    };
+  }
+
+  /**
+   * Drift needs to `now`, then apply a change: amounts to add to any of the
+   * needs, and optionally `resting` to switch energy drift over.
+   */
+  function change(needs, delta, now) {
+    var out = at(needs, now);
+    delta = delta || {};
+    NAMES.forEach(function (name) {
+      if (typeof delta[name] === 'number' && isFinite(delta[name])) out[name] = clamp01(out[name] + delta[name]);
+    });
+    if (typeof delta.resting === 'boolean') out.resting = delta.resting;
+    return out;
+  }
+
+  /** Just the need values, for traces and display. */
+  function values(needs) {
+    return { energy: needs.energy, hunger: needs.hunger, affection: needs.affection };
+  }
+
+  /**
+   * Transition multipliers for needs (as of now): `playful` scales playful
+   * transitions and `restful` ones like napping. Both are 1 for a cat
+   * with middling needs.
+   */
+  function mood(needs) {
+    var tired = 1 - needs.energy;
+    var lonely = 1 - needs.affection;
+    return {
+      playful: (0.4 + 1.2 * needs.energy) * (0.75 + 0.5 * lonely) * (1.25 - 0.5 * needs.hunger),
+      restful: 2 * tired,
+    };
+  }
+
+  var root = self.TinyCat = self.TinyCat || {};
+  root.Needs = {
+    NAMES: NAMES,
+    START: START,
+    RATES: RATES,
+    FEED: FEED,
+    POUNCE: POUNCE,
+    PET: PET,
+    normalize: normalize,
+    at: at,
+    change: change,
+    values: values,
+    mood: mood,
+  };
+})();
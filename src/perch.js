@@ -0,0 +1,95 @@
+/**
+ * TinyCat Perches
+ *
+ * Finds horizontal surfaces on the page the cat can sit on — the top edges
+ * of visible headers, navbars, images, cards and the like — and tracks one
+ * while the cat sits there, so it rides along with scrolling and notices
+ * when the element scrolls away, resizes or is removed.
+ */
+(function () {
+  'use strict';
+
+  /** Elements whose top edge makes a plausible seat. */
+  const PERCH_SELECTOR = [
+    'header', 'nav', 'img', 'video', 'figure', 'article', 'aside',
+    'h1', 'h2', '[class*="card"]',
+  ].join(', ');
+
+  const MIN_WIDTH = 100;         // px — narrower tops are too small to sit on
+  const MIN_HEIGHT = 20;         // px
+  const HEADROOM = 60;           // px above the top edge the cat needs in view
+  const BOTTOM_MARGIN = 120;     // px — ignore tops this close to the bottom
+  const MAX_SCAN = 300;          // elements checked per search
+  const RESIZE_TOLERANCE = 4;    // px a perch may change size before it's "gone"
+  const SEAT_MIN = 0.15;         // seat range along the top edge, as a fraction
+  const SEAT_MAX = 0.85;
+
+  /** Is the top edge of el actually visible, not covered by something else? */
+  function topIsExposed(el, rect) {
+    var probe = document.elementFromPoint(rect.left + rect.width / 2, rect.top + 1);
+    return !!probe && (probe === el || el.contains(probe));
+  }
+
+  /**
+   * Elements in the viewport whose top edge the cat could sit on, skipping
+   * anything inside ignoreEl (the cat itself).
+   * @returns {Element[]}
+   */
+  function findPerches(ignoreEl) {
+    var found = [];
+    var candidates = document.querySelectorAll(PERCH_SELECTOR);
+    var count = Math.min(candidates.length, MAX_SCAN);
+
+    for (var i = 0; i < count; i++) {
+      var el = candidates[i];
+      if (ignoreEl && ignoreEl.contains(el)) continue;
+
+      var rect = el.getBoundingClientRect();
+      if (rect.width < MIN_WIDTH || rect.height < MIN_HEIGHT) continue;
+      if (rect.top < HEADROOM || rect.top > window.innerHeight - BOTTOM_MARGIN) continue;
+      if (rect.right < 0 || rect.left > window.innerWidth) continue;
+
+      var style = getComputedStyle(el);
+      if (style.visibility === 'hidden' || style.opacity === '0') continue;
+      if (!topIsExposed(el, rect)) continue;
+
+      found.push(el);
+    }
+    return found;
+  }
+
+  class Perch {
+    /**
+     * @param {Element} el – the element to sit on
+     * @param {number} seat – 0..1, where along the top edge to sit; mapped
+     *   into the middle of the edge so the cat never hangs off the end
+     */
+    constructor(el, seat) {
+      var rect = el.getBoundingClientRect();
+      this.el = el;
+      this._seat = SEAT_MIN + (SEAT_MAX - SEAT_MIN) * seat;
+      this._width = rect.width;
+      this._height = rect.height;
+    }
+
+    /**
+     * Where the cat's feet go now: { x, y } in viewport px at the top edge,
+     * or null once the perch is gone (removed, resized or scrolled away).
+     */
+    spot() {
+      if (!this.el.isConnected) return null;
+
+      var rect = this.el.getBoundingClientRect();
+      if (Math.abs(rect.width - this._width) > RESIZE_TOLERANCE ||
+          Math.abs(rect.height - this._height) > RESIZE_TOLERANCE) {
+        return null;
+      }
+      if (rect.top < 0 || rect.top > window.innerHeight) return null;
+
+      return { x: rect.left + this._seat * rect.width, y: rect.top };
+    }
+  }
+
+  window.TinyCat.findPerches = findPerches;
+  window.TinyCat.Perch = Perch;
+})();
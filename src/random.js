@@ -0,0 +1,34 @@
+/**
+ * TinyCat Seeded Randomness
+ *
+ * Small deterministic PRNG (mulberry32) so a cat's choices can be replayed
+ * from a seed. createRandom(seed) returns a Math.random-style function with
+ * the seed it started from attached as `.seed`.
+ */
+(function () {
+  'use strict';
+
+  const SEED_RANGE = 4294967296; // 2^32
+
+  function createRandom(seed) {
+    var state = seed >>> 0;
+    function random() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      var t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+    }
+    random.seed = seed >>> 0;
+    return random;
+  }
+
+  /** A fresh unsigned 32-bit seed. */
+  function randomSeed() {
+    return Math.floor(Math.random() * SEED_RANGE);
+  }
+
+  window.TinyCat = window.TinyCat || {};
+  window.TinyCat.createRandom = createRandom;
+  window.TinyCat.randomSeed = randomSeed;
+})();
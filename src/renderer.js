@@ -2,15 +2,49 @@
  * TinyCat Renderer
  *
  * Canvas-based pixel art renderer with per-state sprite animations,
- * CSS motion effects, and DOM overlays (floating Z's, orbiting stars).
+ * CSS motion effects, and DOM overlays (floating Z's, orbiting stars,
+ * rising hearts, a speech bubble).
+ * Samples the page background behind the cat to keep it (and its label)
+ * visible: the 'auto' theme picks a contrasting palette from that.
+ * Home is anchored to a corner of the visible viewport and re-laid out
+ * whenever the window or the visual viewport (pinch zoom) changes.
  */
 (function () {
   'use strict';
 
-  const { States } = window.TinyCat;
+  const { States, rectsOverlap } = window.TinyCat;
 
   const PIXEL_SCALE = 5;  // CSS pixels per sprite pixel
   const DEFAULT_LERP = 0.08;
+  const DEFAULT_WALK_SPEED = 80;  // px per second
+  const JUMP_LERP = 0.2;          // quicker lerp for hopping onto a perch
+  const LANDED_PX = 1;            // this close to the perch spot = landed
+  const HOLD_OFFSET = 4;          // px below the pointer the scruff hangs
+  const GRAVITY = 0.003;          // px/ms² for a dropped cat
+  const WOBBLE_MS = 700;          // how long a jolt from the page takes to settle
+  const PEEK = 0.4;               // share of the cat left showing when it peeks in from an edge
+  const PEEK_STEP = 20;           // px between spots tried along an edge
+
+  /**
+   * Home offsets are measured from the viewport edges to the sides of a
+   * box this big (px), the size of the largest sprite, so every corner
+   * leaves the same gap whatever pose the cat is in.
+   */
+  const HOME_BOX = 60;
+
+  const CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+  /** Where home is until told otherwise: { corner, x, y } offsets in px. */
+  const DEFAULT_HOME = { corner: 'bottom-right', x: 60, y: 40 };
+
+  /** Palette the 'auto' theme uses on each page tone. */
+  const AUTO_PALETTES = { light: 'black', dark: 'white' };
+
+  /** Relative luminance above which a background counts as light. */
+  const LIGHT_LUMINANCE = 0.179;
+
+  /** Debounce (ms) for re-sampling the background while scrolling. */
+  const SCROLL_SAMPLE_MS = 150;
 
   /** State labels shown below the cat */
   const stateLabels = {
@@ -24,20 +58,123 @@
     [States.DIZZY]:       '@_@',
     [States.SLEEP]:       'zzz',
     [States.ALERT_SLEEP]: 'z..?',
+    [States.WALKING]:     'walk',
+    [States.PERCHED]:     'perch',
+    [States.HELD]:        'hey!',
+    [States.WATCHING]:    'watch',
+    [States.REMINDING]:   'meow!',
+    [States.ON_BREAK]:    'break',
+    [States.EATING]:      'nom',
+    [States.PURRING]:     'purr',
+    [States.ANNOYED]:     'hss!',
   };
 
+  /**
+   * Paint a sprite onto a 2D context at 1 canvas px per grid cell, with
+   * optional animation frame patches applied on top. Patches outside the
+   * sprite bounds are ignored (custom sprites may be smaller than the
+   * built-in ones the animations were written for).
+   */
+  function paintSprite(ctx, sprite, palette, patches) {
+    ctx.clearRect(0, 0, sprite.w, sprite.h);
+
+    for (var y = 0; y < sprite.h; y++) {
+      var row = sprite.rows[y];
+      for (var x = 0; x < sprite.w; x++) {
+        var code = row[x];
+        if (code === '0') continue;
+        ctx.fillStyle = palette[parseInt(code)];
+        ctx.fillRect(x, y, 1, 1);
+      }
+    }
+
+    if (!patches) return;
+    for (var i = 0; i < patches.length; i++) {
+      var p = patches[i];
+      if (p.x >= sprite.w || p.y >= sprite.h) continue;
+      if (p.c === '0') {
+        ctx.clearRect(p.x, p.y, 1, 1);
+      } else {
+        ctx.fillStyle = palette[parseInt(p.c)];
+        ctx.fillRect(p.x, p.y, 1, 1);
+      }
+    }
+  }
+
+  /** Parse a computed 'rgb()' / 'rgba()' color into { r, g, b, a }. */
+  function parseColor(value) {
+    var m = /^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:[,\s/]+([\d.]+))?\s*\)$/.exec(value);
+    if (!m) return null;
+    return {
+      r: parseFloat(m[1]),
+      g: parseFloat(m[2]),
+      b: parseFloat(m[3]),
+      a: m[4] === undefined ? 1 : parseFloat(m[4]),
+    };
+  }
+
+  /** WCAG relative luminance of an sRGB color (0 = black, 1 = white). */
+  function relativeLuminance(c) {
+    function channel(v) {
+      v /= 255;
+      return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    }
+    return 0.2126 * channel(c.r) + 0.7152 * channel(c.g) + 0.0722 * channel(c.b);
+  }
+
+  function clamp(v, min, max) {
+    return Math.max(min, Math.min(v, max));
+  }
+
+  /**
+   * The part of the layout viewport actually on screen, in the same px as
+   * position: fixed. Differs from the window only while pinch-zoomed.
+   */
+  function visibleBounds() {
+    var vv = window.visualViewport;
+    if (vv) {
+      return {
+        left: vv.offsetLeft, top: vv.offsetTop,
+        right: vv.offsetLeft + vv.width, bottom: vv.offsetTop + vv.height,
+      };
+    }
+    return { left: 0, top: 0, right: window.innerWidth, bottom: window.innerHeight };
+  }
+
+  /**
+   * Is the page 'light' or 'dark' at viewport point (x, y)? Walks the
+   * element stack top-down for the first mostly-opaque computed background,
+   * skipping the cat itself. Falls back to prefers-color-scheme.
+   */
+  function pageToneAt(x, y, ignoreEl) {
+    var px = Math.max(0, Math.min(window.innerWidth - 1, x));
+    var py = Math.max(0, Math.min(window.innerHeight - 1, y));
+    var stack = document.elementsFromPoint(px, py);
+
+    for (var i = 0; i < stack.length; i++) {
+      if (ignoreEl && ignoreEl.contains(stack[i])) continue;
+      var color = parseColor(getComputedStyle(stack[i]).backgroundColor);
+      if (color && color.a >= 0.5) {
+        return relativeLuminance(color) > LIGHT_LUMINANCE ? 'light' : 'dark';
+      }
+    }
+
+    var prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    return prefersDark ? 'dark' : 'light';
+  }
+
   class Renderer {
     constructor() {
       this._currentState = States.IDLE;
       this._theme = 'black';
-
-      // Start near bottom-right
-      this._x = window.innerWidth - 120;
-      this._y = window.innerHeight - 100;
-      this._targetX = this._x;
-      this._targetY = this._y;
-      this._homeX = this._x;
-      this._homeY = this._y;
+      this._customPalette = null;
+      this._pageTone = 'light';
+
+      // Start at home, bottom-right unless configured otherwise
+      this._home = Object.assign({}, DEFAULT_HOME);
+      this._layoutHome();
+      this._x = this._targetX = this._homeX;
+      this._y = this._targetY = this._homeY;
       this._rotation = 0;
 
       this._canvas = null;
@@ -50,14 +187,91 @@
 
       // Configurable speed
       this._lerpSpeed = DEFAULT_LERP;
+      this._walkSpeed = DEFAULT_WALK_SPEED;
+
+      // Walking: { x, onArrive } while heading somewhere
+      this._walk = null;
+
+      // Perching: { getSpot, onLost, landed } while sitting on the page
+      this._perch = null;
+
+      // Dropped: { vy } while falling under gravity to the home row;
+      // _dropped keeps FALLING from adding its own fake drop on top
+      this._fall = null;
+      this._dropped = false;
+      this._lastTickTime = 0;
 
       // Cursor proximity for purr effect
       this._cursorNear = false;
 
+      // When the page last jolted the cat (0 = settled)
+      this._wobbleStart = 0;
+
+      // Out of the way: { x, y, facing } spot at an edge that stands in for
+      // home while something on the page needs the home spot
+      this._aside = null;
+
+      // Background sampling
+      this._colorScheme = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+      this._scrollTimer = null;
+      this._onScroll = this._onScroll.bind(this);
+      this._onColorSchemeChange = this._onColorSchemeChange.bind(this);
+      this._onViewportChange = this._onViewportChange.bind(this);
+
       // Animation frame tracking
       this._frameIndex = 0;
       this._lastFrameTime = 0;
       this._currentSpriteKey = 'idle';
+
+      // Active sprite pack (null = built-in) and user-edited sprites on top
+      this._pack = null;
+      this._customSprites = {};
+    }
+
+    /** Center of the cat's home spot, in viewport px. */
+    get homePosition() {
+      var sprite = this._getCurrentSprite();
+      return {
+        x: this._homeX + (sprite.w * PIXEL_SCALE) / 2,
+        y: this._homeY + (sprite.h * PIXEL_SCALE) / 2,
+      };
+    }
+
+    /** The box the cat takes up at home ({ left, top, right, bottom }, viewport px). */
+    get homeRect() {
+      var sprite = this._getCurrentSprite();
+      return {
+        left: this._homeX,
+        top: this._homeY,
+        right: this._homeX + sprite.w * PIXEL_SCALE,
+        bottom: this._homeY + sprite.h * PIXEL_SCALE,
+      };
+    }
+
+    /** Is the cat keeping out of the way (see peekAside)? */
+    get isAside() {
+      return this._aside !== null;
+    }
+
+    /** Home as { corner, x, y }: px offsets from that corner's edges. */
+    get homeAnchor() {
+      return Object.assign({}, this._home);
+    }
+
+    /** The cat's root element (null while unmounted). */
+    get element() {
+      return this._container;
+    }
+
+    /** The box the cat takes up right now, in viewport px. */
+    get rect() {
+      var sprite = this._getCurrentSprite();
+      return {
+        left: this._x,
+        top: this._y,
+        right: this._x + sprite.w * PIXEL_SCALE,
+        bottom: this._y + sprite.h * PIXEL_SCALE,
+      };
     }
 
     get position() {
@@ -97,6 +311,20 @@
       this._frameIndex = 0;
       this._lastFrameTime = Date.now();
       this._stateStartTime = Date.now();
+      this._lastTickTime = Date.now();
+      window.addEventListener('scroll', this._onScroll, { passive: true });
+      window.addEventListener('resize', this._onViewportChange);
+      if (window.visualViewport) {
+        window.visualViewport.addEventListener('resize', this._onViewportChange);
+        window.visualViewport.addEventListener('scroll', this._onViewportChange);
+      }
+      if (this._colorScheme) {
+        this._colorScheme.addEventListener('change', this._onColorSchemeChange);
+      }
+      this._onViewportChange();
+      var pos = this.position;
+      this._refreshTone(pos.x, pos.y);
+
       this._drawFrame();
       this._updateOverlay();
       this._rafId = requestAnimationFrame(this._animate.bind(this));
@@ -104,6 +332,16 @@
 
     unmount() {
       if (this._rafId) cancelAnimationFrame(this._rafId);
+      window.removeEventListener('scroll', this._onScroll);
+      window.removeEventListener('resize', this._onViewportChange);
+      if (window.visualViewport) {
+        window.visualViewport.removeEventListener('resize', this._onViewportChange);
+        window.visualViewport.removeEventListener('scroll', this._onViewportChange);
+      }
+      if (this._colorScheme) {
+        this._colorScheme.removeEventListener('change', this._onColorSchemeChange);
+      }
+      clearTimeout(this._scrollTimer);
       if (this._container && this._container.parentNode) {
         this._container.parentNode.removeChild(this._container);
       }
@@ -113,9 +351,30 @@
       this._overlayEl = null;
     }
 
-    /** Map speed slider (1–10) to lerp factor. */
+    /** Map speed slider (1–10) to lerp factor and walking pace. */
     setSpeed(value) {
       this._lerpSpeed = 0.02 + (value - 1) * 0.02;
+      this._walkSpeed = 40 + (value - 1) * 10;
+    }
+
+    /**
+     * Anchor home to a corner: { corner, x, y } with x/y the gap in px
+     * between that corner's edges and the cat. Null restores the default.
+     * A cat sitting at home moves along with it.
+     */
+    setHome(anchor) {
+      anchor = anchor || DEFAULT_HOME;
+      this._home = {
+        corner: CORNERS.indexOf(anchor.corner) !== -1 ? anchor.corner : DEFAULT_HOME.corner,
+        x: Math.max(0, Number(anchor.x) || 0),
+        y: Math.max(0, Number(anchor.y) || 0),
+      };
+      this._onViewportChange();
+    }
+
+    /** Rock the cat briefly, on top of whatever it is doing (page flings). */
+    wobble() {
+      this._wobbleStart = Date.now();
     }
 
     /** Track whether cursor is near the cat (for purr wobble). */
@@ -129,8 +388,39 @@
       this._drawFrame();
     }
 
+    /**
+     * Set the user-defined palette used by the 'custom' theme:
+     * { base, colors: { 1..6 } }. Sprite overrides come from the base palette.
+     */
+    setCustomPalette(customPalette) {
+      this._customPalette = customPalette || null;
+      this._currentSpriteKey = this._getSpriteKey();
+      this._drawFrame();
+    }
+
+    /**
+     * Replace the set of user-edited sprites. Keys missing from the map
+     * fall back to the built-in sprite.
+     */
+    setCustomSprites(customSprites) {
+      this._customSprites = customSprites || {};
+      this._drawFrame();
+    }
+
+    /** Swap in an imported sprite pack, or null for the built-in sprites. */
+    setSpritePack(pack) {
+      this._pack = pack || null;
+      this._currentSpriteKey = this._getSpriteKey();
+      this._drawFrame();
+      this._updateOverlay();
+    }
+
     setState(state) {
       if (state === this._currentState) return;
+      if (state !== States.WALKING) this._stopWalking();
+      if (state !== States.PERCHED) this._perch = null;
+      if (state !== States.FALLING) this._dropped = false;
+      if (this._container) this._container.classList.toggle('tinycat-held', state === States.HELD);
       this._currentState = state;
       this._stateStartTime = Date.now();
       this._frameIndex = 0;
@@ -149,38 +439,343 @@
       this._targetY = y - hh;
     }
 
-    goHome() {
-      this._targetX = this._homeX;
+    /**
+     * Walk at a steady pace to center x along the home row, facing the way
+     * of travel, then call onArrive. Any state change but WALKING cancels
+     * the walk where the cat stands. Outside WALKING the cat still uses the
+     * walk sprite on the way, and its state's sprite once there.
+     */
+    walkTo(x, onArrive) {
+      var sprite = this._getCurrentSprite();
+      var left = x - (sprite.w * PIXEL_SCALE) / 2;
+      this._walk = { x: left, onArrive: onArrive || null };
       this._targetY = this._homeY;
+      this._setFacing(left < this._x ? -1 : 1);
+      this._refreshSprite();
+    }
+
+    /** Walk to the middle of the bottom edge, on the default home row. */
+    walkToCenter(onArrive) {
+      var b = visibleBounds();
+      this.walkTo((b.left + b.right) / 2, onArrive);
+      this._targetY = clamp(b.bottom - DEFAULT_HOME.y - HOME_BOX, b.top, b.bottom - HOME_BOX);
+    }
+
+    _stopWalking() {
+      if (this._walk) {
+        this._walk = null;
+        this._targetX = this._x;
+        this._refreshSprite();
+      }
+      this._setFacing(1);
+    }
+
+    /** Redraw after the sprite key may have changed outside setState. */
+    _refreshSprite() {
+      var key = this._getSpriteKey();
+      if (key === this._currentSpriteKey) return;
+      this._currentSpriteKey = key;
+      this._frameIndex = 0;
+      this._drawFrame();
+      this._updateOverlay();
+    }
+
+    /** Mirror the sprite to face left (-1) or right (1). */
+    _setFacing(facing) {
+      if (this._canvas) {
+        this._canvas.style.transform = facing < 0 ? 'scaleX(-1)' : '';
+      }
+    }
+
+    /** Advance a walk by dt ms; calls onArrive on reaching the spot. */
+    _stepWalk(dt) {
+      var walk = this._walk;
+      var step = this._walkSpeed * dt / 1000;
+      var dx = walk.x - this._x;
+
+      if (Math.abs(dx) <= step) {
+        this._x = this._targetX = walk.x;
+        this._walk = null;
+        this._refreshSprite();
+        if (walk.onArrive) walk.onArrive();
+        return;
+      }
+      this._x += dx > 0 ? step : -step;
+      this._targetX = this._x;
+    }
+
+    /**
+     * Hop onto a perch and ride along with it. getSpot() returns where the
+     * cat's feet go ({ x, y } viewport px) or null once the perch is gone,
+     * which calls onLost. Any state change but PERCHED gets the cat off.
+     */
+    perchOn(getSpot, onLost) {
+      this._perch = { getSpot: getSpot, onLost: onLost, landed: false };
+    }
+
+    /** Aim at the perch spot; once landed, stick to it exactly. */
+    _followPerch() {
+      var perch = this._perch;
+      var spot = perch.getSpot();
+      if (!spot) {
+        this._perch = null;
+        perch.onLost();
+        return;
+      }
+
+      var sprite = this._getCurrentSprite();
+      this._targetX = spot.x - (sprite.w * PIXEL_SCALE) / 2;
+      this._targetY = spot.y - sprite.h * PIXEL_SCALE;
+
+      if (perch.landed) {
+        this._x = this._targetX;
+        this._y = this._targetY;
+      } else if (Math.abs(this._targetX - this._x) < LANDED_PX &&
+                 Math.abs(this._targetY - this._y) < LANDED_PX) {
+        perch.landed = true;
+      }
+    }
+
+    /** Hang the cat from the pointer at (x, y) by its scruff. */
+    holdAt(x, y) {
+      var sprite = this._getCurrentSprite();
+      this._fall = null;
+      this._x = this._targetX = x - (sprite.w * PIXEL_SCALE) / 2;
+      this._y = this._targetY = y - HOLD_OFFSET;
+    }
+
+    /**
+     * Let go: the cat falls under gravity to the home row, and the spot
+     * below where it was dropped becomes its new home, anchored to the
+     * nearest corner (see homeAnchor). Dropped below the home row, it
+     * stays at the height it was let go.
+     */
+    drop() {
+      var b = visibleBounds();
+      var sprite = this._getCurrentSprite();
+      this._homeX = this._targetX = this._x = clamp(this._x, b.left, b.right - sprite.w * PIXEL_SCALE);
+      if (this._y > this._homeY) this._homeY = clamp(this._y, b.top, b.bottom - HOME_BOX);
+      this._home = this._anchorAt(this._homeX, this._homeY, b);
+      this._layoutHome();
+      this._targetX = this._x = this._homeX;
+      this._fall = { vy: 0 };
+      this._dropped = true;
+      this._aside = null;
+    }
+
+    /**
+     * Get out of the way of `obstacles` (viewport rects): home becomes a spot
+     * where the cat peeks in from an edge, mostly hidden, the nearest one to
+     * home that's clear of all of them (or the nearest edge, if none is).
+     * null brings home back. Takes effect at the next goHome().
+     */
+    peekAside(obstacles) {
+      if (!obstacles) {
+        this._aside = null;
+        return;
+      }
+      var b = visibleBounds();
+      var sprite = this._getCurrentSprite();
+      var w = sprite.w * PIXEL_SCALE;
+      var h = sprite.h * PIXEL_SCALE;
+      var hx = this._homeX;
+      var hy = this._homeY;
+
+      function clear(x, y) {
+        var box = { left: x, top: y, right: x + w, bottom: y + h };
+        return obstacles.every(function (r) { return !rectsOverlap(box, r, 0); });
+      }
+
+      // Each edge, sliding along it from level with home
+      var edges = [
+        { x: b.left - w * (1 - PEEK), y: hy, facing: 1, slide: 'y' },
+        { x: b.right - w * PEEK, y: hy, facing: -1, slide: 'y' },
+        { x: hx, y: b.top - h * (1 - PEEK), facing: 1, slide: 'x' },
+        { x: hx, y: b.bottom - h * PEEK, facing: 1, slide: 'x' },
+      ];
+      var best = null;
+      var bestDist = Infinity;
+      edges.forEach(function (edge) {
+        var min = edge.slide === 'x' ? b.left : b.top;
+        var max = edge.slide === 'x' ? b.right - w : b.bottom - h;
+        for (var off = 0; off <= max - min; off += PEEK_STEP) {
+          for (var sign = -1; sign <= 1; sign += 2) {
+            var spot = { x: edge.x, y: edge.y, facing: edge.facing };
+            spot[edge.slide] += sign * off;
+            if (spot[edge.slide] < min || spot[edge.slide] > max || !clear(spot.x, spot.y)) continue;
+            var dist = Math.sqrt((spot.x - hx) * (spot.x - hx) + (spot.y - hy) * (spot.y - hy));
+            if (dist < bestDist) {
+              best = spot;
+              bestDist = dist;
+            }
+          }
+        }
+      });
+      if (!best) {
+        edges.forEach(function (edge) {
+          var dist = Math.sqrt((edge.x - hx) * (edge.x - hx) + (edge.y - hy) * (edge.y - hy));
+          if (dist < bestDist) {
+            best = { x: edge.x, y: edge.y, facing: edge.facing };
+            bestDist = dist;
+          }
+        });
+      }
+      this._aside = best;
+    }
+
+    _stepFall(dt) {
+      this._fall.vy += GRAVITY * dt;
+      this._y += this._fall.vy * dt;
+      if (this._y >= this._homeY) {
+        this._y = this._homeY;
+        this._fall = null;
+      }
+      this._targetY = this._y;
+    }
+
+    /** Place _homeX/_homeY from the anchor, inside the visible viewport. */
+    _layoutHome() {
+      var b = visibleBounds();
+      var a = this._home;
+      var x = a.corner.indexOf('right') !== -1 ? b.right - a.x - HOME_BOX : b.left + a.x;
+      var y = a.corner.indexOf('bottom') === 0 ? b.bottom - a.y - HOME_BOX : b.top + a.y;
+      this._homeX = clamp(x, b.left, b.right - HOME_BOX);
+      this._homeY = clamp(y, b.top, b.bottom - HOME_BOX);
+    }
+
+    /** The anchor that lays home out at (x, y): offsets from the nearest corner. */
+    _anchorAt(x, y, b) {
+      var right = x + HOME_BOX / 2 > (b.left + b.right) / 2;
+      var bottom = y + HOME_BOX / 2 > (b.top + b.bottom) / 2;
+      return {
+        corner: (bottom ? 'bottom-' : 'top-') + (right ? 'right' : 'left'),
+        x: Math.max(0, Math.round(right ? b.right - x - HOME_BOX : x - b.left)),
+        y: Math.max(0, Math.round(bottom ? b.bottom - y - HOME_BOX : y - b.top)),
+      };
+    }
+
+    _onViewportChange() {
+      var atHome = this._aside ? this._targetX === this._aside.x && this._targetY === this._aside.y
+        : this._targetX === this._homeX && this._targetY === this._homeY;
+      this._layoutHome();
+      if (atHome) this.goHome();
+    }
+
+    /** Keep wherever the cat is headed on screen, bar peeking in from an edge. */
+    _clampTarget() {
+      if (this._aside && this._targetX === this._aside.x && this._targetY === this._aside.y) return;
+      var b = visibleBounds();
+      var sprite = this._getCurrentSprite();
+      this._targetX = clamp(this._targetX, b.left, b.right - sprite.w * PIXEL_SCALE);
+      this._targetY = clamp(this._targetY, b.top, b.bottom - sprite.h * PIXEL_SCALE);
+    }
+
+    /** Head home, or to the spot standing in for it while out of the way. */
+    goHome() {
+      var spot = this._aside || { x: this._homeX, y: this._homeY, facing: 1 };
+      this._targetX = spot.x;
+      this._targetY = spot.y;
+      this._setFacing(spot.facing);
+
+      // Judge the background where the cat is headed, not where it is
+      var sprite = this._getCurrentSprite();
+      this._refreshTone(spot.x + (sprite.w * PIXEL_SCALE) / 2, spot.y + (sprite.h * PIXEL_SCALE) / 2);
+    }
+
+    // --- Background contrast ---
+
+    /**
+     * Sample the page tone at viewport point (x, y). Updates the label/overlay
+     * contrast class, and the palette when the theme is 'auto'.
+     */
+    _refreshTone(x, y) {
+      if (!this._container) return;
+      var tone = pageToneAt(x, y, this._container);
+      this._container.classList.toggle('tinycat-on-light', tone === 'light');
+      this._container.classList.toggle('tinycat-on-dark', tone === 'dark');
+      if (tone === this._pageTone) return;
+
+      this._pageTone = tone;
+      if (this._theme === 'auto') {
+        this._currentSpriteKey = this._getSpriteKey();
+        this._drawFrame();
+      }
+    }
+
+    _onScroll() {
+      clearTimeout(this._scrollTimer);
+      this._scrollTimer = setTimeout(() => {
+        var pos = this.position;
+        this._refreshTone(pos.x, pos.y);
+      }, SCROLL_SAMPLE_MS);
+    }
+
+    _onColorSchemeChange() {
+      var pos = this.position;
+      this._refreshTone(pos.x, pos.y);
     }
 
     // --- Private helpers ---
 
+    /**
+     * Palettes, sprites, animations and stateSprites to draw from. A pack
+     * has the same shape as the built-in window.TinyCat exports.
+     */
+    _assets() {
+      return this._pack || window.TinyCat;
+    }
+
     _getSpriteKey() {
-      var stateSprites = window.TinyCat.stateSprites;
-      var key = stateSprites[this._currentState];
-      if (this._currentState === States.FALLING && this._theme === 'white') {
-        key = 'scaredWhite';
+      var assets = this._assets();
+      var state = this._walk ? States.WALKING : this._currentState;
+      var key = assets.stateSprites[state] || assets.stateSprites[States.IDLE];
+      var overrides = (assets.paletteSprites || {})[this._getPaletteName()];
+      if (overrides && overrides[key] && assets.sprites[overrides[key]]) {
+        key = overrides[key];
       }
       return key;
     }
 
+    /**
+     * Palette whose colors and sprite overrides apply. Custom palettes use
+     * their base's overrides; 'auto' follows the sampled page tone.
+     */
+    _getPaletteName() {
+      if (this._theme === 'custom' && this._customPalette) {
+        return this._customPalette.base;
+      }
+      if (this._theme === 'auto') {
+        return AUTO_PALETTES[this._pageTone];
+      }
+      return this._theme;
+    }
+
     _getCurrentSprite() {
-      return window.TinyCat.sprites[this._currentSpriteKey] || window.TinyCat.sprites.idle;
+      var assets = this._assets();
+      var key = this._currentSpriteKey;
+      return this._customSprites[key] || assets.sprites[key] ||
+        assets.sprites[assets.stateSprites[States.IDLE]];
+    }
+
+    _getPalette() {
+      if (this._theme === 'custom' && this._customPalette) {
+        return this._customPalette.colors;
+      }
+      var palettes = this._assets().palettes;
+      return palettes[this._getPaletteName()] || palettes[Object.keys(palettes)[0]];
     }
 
     _getAnimation() {
-      return window.TinyCat.animations[this._currentSpriteKey] || null;
+      var animations = this._assets().animations || {};
+      return animations[this._currentSpriteKey] || null;
     }
 
     /** Draw the base sprite with current animation frame patches applied. */
     _drawFrame() {
       if (!this._ctx) return;
 
-      var sprites = window.TinyCat.sprites;
-      var palettes = window.TinyCat.palettes;
-      var sprite = sprites[this._currentSpriteKey] || sprites.idle;
-      var palette = palettes[this._theme];
+      var sprite = this._getCurrentSprite();
+      var palette = this._getPalette();
       var anim = this._getAnimation();
 
       // Resize canvas to sprite dimensions (1 canvas px = 1 grid cell)
@@ -189,33 +784,11 @@
       this._canvas.style.width = (sprite.w * PIXEL_SCALE) + 'px';
       this._canvas.style.height = (sprite.h * PIXEL_SCALE) + 'px';
 
-      var ctx = this._ctx;
-      ctx.clearRect(0, 0, sprite.w, sprite.h);
-
-      // Draw base sprite
-      for (var y = 0; y < sprite.h; y++) {
-        var row = sprite.rows[y];
-        for (var x = 0; x < sprite.w; x++) {
-          var code = row[x];
-          if (code === '0') continue;
-          ctx.fillStyle = palette[parseInt(code)];
-          ctx.fillRect(x, y, 1, 1);
-        }
-      }
-
-      // Apply animation frame patches
+      var patches = null;
       if (anim && anim.frames && anim.frames.length > 0) {
-        var patches = anim.frames[this._frameIndex % anim.frames.length];
-        for (var i = 0; i < patches.length; i++) {
-          var p = patches[i];
-          if (p.c === '0') {
-            ctx.clearRect(p.x, p.y, 1, 1);
-          } else {
-            ctx.fillStyle = palette[parseInt(p.c)];
-            ctx.fillRect(p.x, p.y, 1, 1);
-          }
-        }
+        patches = anim.frames[this._frameIndex % anim.frames.length];
       }
+      paintSprite(this._ctx, sprite, palette, patches);
     }
 
     // --- Overlay management ---
@@ -231,6 +804,10 @@
         this._createZzzOverlay();
       } else if (anim.overlay === 'stars') {
         this._createStarsOverlay();
+      } else if (anim.overlay === 'hearts') {
+        this._createHeartsOverlay();
+      } else if (anim.overlay === 'bubble') {
+        this._createBubbleOverlay();
       }
     }
 
@@ -257,12 +834,34 @@
       }
     }
 
+    _createHeartsOverlay() {
+      var delays = [0, 0.6, 1.2];
+      var offsets = [-10, 6, -2];
+      for (var i = 0; i < 3; i++) {
+        var heart = document.createElement('span');
+        heart.className = 'tinycat-heart';
+        heart.textContent = '\u2665';
+        heart.style.animationDelay = delays[i] + 's';
+        heart.style.marginLeft = offsets[i] + 'px';
+        this._overlayEl.appendChild(heart);
+      }
+    }
+
+    _createBubbleOverlay() {
+      var bubble = document.createElement('span');
+      bubble.className = 'tinycat-bubble';
+      bubble.textContent = 'Break time!';
+      this._overlayEl.appendChild(bubble);
+    }
+
     // --- Animation loop ---
 
     _animate() {
       var state = this._currentState;
       var elapsed = Date.now() - this._stateStartTime;
       var now = Date.now();
+      var dt = now - this._lastTickTime;
+      this._lastTickTime = now;
 
       // Advance sprite animation frame
       var anim = this._getAnimation();
@@ -275,9 +874,14 @@
         }
       }
 
-      // Lerp position
-      this._x += (this._targetX - this._x) * this._lerpSpeed;
-      this._y += (this._targetY - this._y) * this._lerpSpeed;
+      // Walk at a steady pace, ride a perch, or lerp toward the target
+      if (this._walk) this._stepWalk(dt);
+      if (this._perch) this._followPerch();
+      if (this._fall) this._stepFall(dt);
+      this._clampTarget();
+      var lerp = this._perch && !this._perch.landed ? JUMP_LERP : this._lerpSpeed;
+      this._x += (this._targetX - this._x) * lerp;
+      this._y += (this._targetY - this._y) * lerp;
 
       // Per-state motion effects
       var extraX = 0;
@@ -299,6 +903,19 @@
         case States.DRINKING:
           extraX = Math.sin(elapsed / 400) * 2;
           break;
+        case States.EATING:
+          extraY = Math.abs(Math.sin(elapsed / 330 * Math.PI)) * 1.5;
+          break;
+        case States.PURRING:
+          // A steady purr, stronger than the one for a cursor nearby
+          extraX = Math.sin(elapsed / 25) * 0.6 + Math.sin(elapsed / 41) * 0.4;
+          extraY = Math.sin(elapsed / 33) * 0.5;
+          break;
+        case States.ANNOYED:
+          // Bristling: a quick shake with the head pulled back
+          extraX = Math.sin(elapsed / 35) * 1.5;
+          extraRotation = -6;
+          break;
         case States.POUNCE:
           extraY = -Math.abs(Math.sin(elapsed / 200 * Math.PI)) * 10;
           break;
@@ -306,7 +923,8 @@
           extraY = -Math.sin(elapsed / 600 * Math.PI) * 30;
           break;
         case States.FALLING:
-          extraY = Math.min(elapsed * 0.15, 60);
+          // A dropped cat already falls for real; only tumble
+          if (!this._dropped) extraY = Math.min(elapsed * 0.15, 60);
           extraX = Math.sin(elapsed / 50) * 2;
           extraRotation = Math.sin(elapsed / 200) * 20;
           break;
@@ -321,6 +939,25 @@
         case States.ALERT_SLEEP:
           extraY = Math.sin(elapsed / 1500) * 2;
           break;
+        case States.HELD:
+          extraRotation = Math.sin(elapsed / 400) * 8;
+          break;
+        case States.WATCHING:
+          // Head cocked, nodding along now and then
+          extraRotation = -4 + Math.sin(elapsed / 900) * 2;
+          break;
+        case States.WALKING:
+          extraY = -Math.abs(Math.sin(elapsed / 160)) * 1.5;
+          break;
+      }
+
+      if (this._wobbleStart) {
+        var jolt = now - this._wobbleStart;
+        if (jolt >= WOBBLE_MS) {
+          this._wobbleStart = 0;
+        } else {
+          extraRotation += Math.sin(jolt / 40) * 12 * (1 - jolt / WOBBLE_MS);
+        }
       }
 
       this._rotation += (extraRotation - this._rotation) * 0.15;
@@ -334,4 +971,5 @@
 
   window.TinyCat.Renderer = Renderer;
   window.TinyCat.PIXEL_SCALE = PIXEL_SCALE;
+  window.TinyCat.paintSprite = paintSprite;
 })();
@@ -0,0 +1,137 @@
+/**
+ * TinyCat Site Rules
+ *
+ * Decides whether the cat may appear on a page. A rule is a host or URL
+ * pattern where '*' matches any run of characters:
+ *   example.com          — that host and all of its subdomains
+ *   *.example.com        — subdomains only
+ *   example.com/admin/*  — paths under /admin on that host
+ *   http://intranet/*    — a specific scheme
+ *   localhost:8080       — a specific port
+ *
+ * In 'deny' mode the cat is hidden on matching pages; in 'allow' mode it
+ * only appears on matching pages. Shared by the content script and popup.
+ */
+(function () {
+  'use strict';
+
+  const Modes = Object.freeze({
+    DENY:  'deny',
+    ALLOW: 'allow',
+  });
+
+  /** Protocols whose pages can host a cat and be named by a host rule. */
+  const WEB_PROTOCOLS = ['http:', 'https:', 'file:'];
+
+  /** Ports a URL leaves out; a pattern may still spell them. */
+  const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+  /** Turn a '*' glob into an anchored, case-insensitive RegExp. */
+  function globToRegExp(glob) {
+    var escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp('^' + escaped + '$', 'i');
+  }
+
+  /**
+   * Split a pattern into { scheme, host, port, path } parts.
+   * Missing parts are null and match anything.
+   */
+  function parsePattern(pattern) {
+    var rest = pattern.trim();
+    var scheme = null;
+    var port = null;
+    var path = null;
+
+    var schemeEnd = rest.indexOf('://');
+    if (schemeEnd !== -1) {
+      scheme = rest.slice(0, schemeEnd);
+      rest = rest.slice(schemeEnd + 3);
+    }
+
+    var slash = rest.indexOf('/');
+    if (slash !== -1) {
+      path = rest.slice(slash);
+      rest = rest.slice(0, slash);
+    }
+
+    var colon = rest.match(/:(\d+|\*)$/);
+    if (colon) {
+      port = colon[1];
+      rest = rest.slice(0, colon.index);
+    }
+
+    return { scheme: scheme, host: rest.toLowerCase(), port: port, path: path };
+  }
+
+  function hostMatches(patternHost, host) {
+    if (!patternHost || patternHost === '*') return true;
+    if (patternHost.indexOf('*') === -1) {
+      // Bare hosts cover their subdomains too
+      return host === patternHost || host.slice(-(patternHost.length + 1)) === '.' + patternHost;
+    }
+    return globToRegExp(patternHost).test(host);
+  }
+
+  /** Does a single pattern match the given URL string? */
+  function matches(pattern, url) {
+    if (!pattern || !pattern.trim()) return false;
+
+    var parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return false;
+    }
+
+    var p = parsePattern(pattern);
+    if (p.scheme && !globToRegExp(p.scheme).test(parsed.protocol.slice(0, -1))) return false;
+    if (!hostMatches(p.host, parsed.hostname.toLowerCase())) return false;
+    if (p.port && !globToRegExp(p.port).test(parsed.port || DEFAULT_PORTS[parsed.protocol] || '')) return false;
+    if (p.path && !globToRegExp(p.path).test(parsed.pathname + parsed.search)) return false;
+    return true;
+  }
+
+  /** Does any rule in the list match the URL? */
+  function matchesAny(rules, url) {
+    for (var i = 0; i < rules.length; i++) {
+      if (matches(rules[i], url)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Should the cat appear on this URL given the rule list and mode?
+   * @param {string} url
+   * @param {string[]} rules
+   * @param {string} mode – 'deny' (default) or 'allow'
+   */
+  function isAllowed(url, rules, mode) {
+    var hit = matchesAny(rules || [], url);
+    return mode === Modes.ALLOW ? hit : !hit;
+  }
+
+  /**
+   * Hostname of a web page's URL, or null for pages without one: local
+   * files, and browser or extension pages (chrome://settings has a
+   * "hostname", but no rule should be made from it).
+   */
+  function hostOf(url) {
+    var parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return null;
+    }
+    if (WEB_PROTOCOLS.indexOf(parsed.protocol) === -1) return null;
+    return parsed.hostname || null;
+  }
+
+  window.TinyCat = window.TinyCat || {};
+  window.TinyCat.SiteRules = {
+    Modes: Modes,
+    matches: matches,
+    matchesAny: matchesAny,
+    isAllowed: isAllowed,
+    hostOf: hostOf,
+  };
+})();
@@ -0,0 +1,298 @@
+/**
+ * TinyCat Sprite Packs
+ *
+ * A sprite pack is a shareable JSON bundle of everything the Renderer draws
+ * from, structured exactly like src/sprites.js:
+ *
+ *   {
+ *     format:       'tinycat-sprite-pack',
+ *     version:      1,
+ *     name:         'Ginger',           // optional, shown in the options page
+ *     palettes:     { name: { 1: '#rrggbb', ... } },
+ *     paletteSprites: { name: { spriteKey: replacementKey } },  // optional
+ *     sprites:      { key: { w, h, rows[] } },
+ *     animations:   { key: { fps, frames[[{x, y, c}]], overlay? } | null },
+ *     stateSprites: { state: spriteKey },
+ *   }
+ *
+ * The active pack is stored in chrome.storage.local as `spritePack`
+ * (absent = built-in sprites).
+ */
+(function () {
+  'use strict';
+
+  const { States } = window.TinyCat;
+
+  const FORMAT = 'tinycat-sprite-pack';
+  const VERSION = 1;
+  const OVERLAYS = ['zzz', 'stars', 'bubble', 'hearts'];
+
+  /**
+   * States added after packs were first shared. A pack may leave them out
+   * of stateSprites; the renderer then draws the idle sprite for them.
+   */
+  const OPTIONAL_STATES = [
+    States.WALKING, States.PERCHED, States.HELD, States.WATCHING, States.REMINDING, States.ON_BREAK,
+    States.EATING, States.PURRING, States.ANNOYED,
+  ];
+
+  /** Deep copy of the built-in sprites as a pack. */
+  function builtin() {
+    var T = window.TinyCat;
+    return JSON.parse(JSON.stringify({
+      format: FORMAT,
+      version: VERSION,
+      name: 'TinyCat',
+      palettes: T.palettes,
+      paletteSprites: T.paletteSprites,
+      sprites: T.sprites,
+      animations: T.animations,
+      stateSprites: T.stateSprites,
+    }));
+  }
+
+  function isObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+  }
+
+  function isCount(v) {
+    return typeof v === 'number' && v > 0 && Math.floor(v) === v;
+  }
+
+  function isCoord(v, max) {
+    return typeof v === 'number' && v >= 0 && v < max && Math.floor(v) === v;
+  }
+
+  /**
+   * Palette codes usable in rows and patches: '0' plus every code that all
+   * palettes define, so a sprite never hits a missing color on any theme.
+   */
+  function usableCodes(palettes) {
+    var names = Object.keys(palettes);
+    var codes = { '0': true };
+    if (names.length === 0) return codes;
+    Object.keys(palettes[names[0]]).forEach(function (code) {
+      var everywhere = names.every(function (n) { return palettes[n][code] !== undefined; });
+      if (everywhere && /^[1-9]$/.test(code)) codes[code] = true;
+    });
+    return codes;
+  }
+
+  function validatePalettes(palettes, errors) {
+    if (!isObject(palettes) || Object.keys(palettes).length === 0) {
+      errors.push('palettes: must define at least one palette');
+      return;
+    }
+    Object.keys(palettes).forEach(function (name) {
+      var palette = palettes[name];
+      if (!isObject(palette)) {
+        errors.push('palettes.' + name + ': must be an object of code → color');
+        return;
+      }
+      Object.keys(palette).forEach(function (code) {
+        if (!/^[1-9]$/.test(code)) {
+          errors.push('palettes.' + name + ': code "' + code + '" must be a digit 1–9');
+        } else if (typeof palette[code] !== 'string') {
+          errors.push('palettes.' + name + '.' + code + ': color must be a string');
+        }
+      });
+    });
+  }
+
+  function validatePaletteSprites(paletteSprites, palettes, sprites, errors) {
+    if (!isObject(paletteSprites)) {
+      errors.push('paletteSprites: must be an object of palette → sprite overrides');
+      return;
+    }
+    Object.keys(paletteSprites).forEach(function (name) {
+      var where = 'paletteSprites.' + name;
+      var overrides = paletteSprites[name];
+      if (!isObject(palettes) || !palettes[name]) {
+        errors.push(where + ': no palette named "' + name + '"');
+      }
+      if (!isObject(overrides)) {
+        errors.push(where + ': must map sprite keys to replacement sprite keys');
+        return;
+      }
+      Object.keys(overrides).forEach(function (key) {
+        if (!sprites[key]) {
+          errors.push(where + '.' + key + ': no sprite named "' + key + '"');
+        } else if (!sprites[overrides[key]]) {
+          errors.push(where + '.' + key + ': no sprite named "' + overrides[key] + '"');
+        }
+      });
+    });
+  }
+
+  function validateSprite(key, sprite, codes, errors) {
+    var where = 'sprites.' + key;
+    if (!isObject(sprite)) {
+      errors.push(where + ': must be an object with w, h and rows');
+      return;
+    }
+    if (!isCount(sprite.w) || !isCount(sprite.h)) {
+      errors.push(where + ': w and h must be positive integers');
+      return;
+    }
+    if (!Array.isArray(sprite.rows) || sprite.rows.length !== sprite.h) {
+      errors.push(where + ': expected ' + sprite.h + ' rows, got ' +
+        (Array.isArray(sprite.rows) ? sprite.rows.length : 'none'));
+      return;
+    }
+    sprite.rows.forEach(function (row, y) {
+      if (typeof row !== 'string' || row.length !== sprite.w) {
+        errors.push(where + '.rows[' + y + ']: length must be ' + sprite.w);
+        return;
+      }
+      for (var x = 0; x < row.length; x++) {
+        if (!codes[row[x]]) {
+          errors.push(where + '.rows[' + y + ']: palette code "' + row[x] + '" at column ' + x + ' is out of range');
+          return;
+        }
+      }
+    });
+  }
+
+  function validateAnimation(key, anim, sprite, codes, errors) {
+    var where = 'animations.' + key;
+    if (anim === null) return;
+    if (!sprite) {
+      errors.push(where + ': no sprite named "' + key + '"');
+      return;
+    }
+    if (!isObject(anim)) {
+      errors.push(where + ': must be an object or null');
+      return;
+    }
+    if (typeof anim.fps !== 'number' || anim.fps < 0) {
+      errors.push(where + '.fps: must be a number ≥ 0');
+    }
+    if (anim.overlay !== undefined && OVERLAYS.indexOf(anim.overlay) === -1) {
+      errors.push(where + '.overlay: must be one of ' + OVERLAYS.join(', '));
+    }
+    if (!Array.isArray(anim.frames)) {
+      errors.push(where + '.frames: must be an array of patch lists');
+      return;
+    }
+    anim.frames.forEach(function (patches, f) {
+      if (!Array.isArray(patches)) {
+        errors.push(where + '.frames[' + f + ']: must be an array of patches');
+        return;
+      }
+      patches.forEach(function (p, i) {
+        var at = where + '.frames[' + f + '][' + i + ']';
+        if (!isObject(p) || !isCoord(p.x, sprite.w) || !isCoord(p.y, sprite.h)) {
+          errors.push(at + ': patch is outside the ' + sprite.w + '×' + sprite.h + ' sprite');
+        } else if (!codes[p.c]) {
+          errors.push(at + ': palette code "' + p.c + '" is out of range');
+        }
+      });
+    });
+  }
+
+  /**
+   * Check a parsed pack. Returns a list of human-readable problems;
+   * an empty list means the pack is safe to activate.
+   */
+  function validate(pack) {
+    var errors = [];
+    if (!isObject(pack)) return ['Not a sprite pack: expected a JSON object'];
+
+    if (pack.format !== FORMAT) {
+      errors.push('format: expected "' + FORMAT + '"');
+    }
+    if (pack.version !== VERSION) {
+      errors.push('version: unsupported version ' + JSON.stringify(pack.version) + ' (expected ' + VERSION + ')');
+    }
+    if (errors.length) return errors;
+
+    validatePalettes(pack.palettes, errors);
+    var codes = isObject(pack.palettes) ? usableCodes(pack.palettes) : { '0': true };
+
+    var sprites = isObject(pack.sprites) ? pack.sprites : {};
+    if (!isObject(pack.sprites) || Object.keys(sprites).length === 0) {
+      errors.push('sprites: must define at least one sprite');
+    }
+    Object.keys(sprites).forEach(function (key) {
+      validateSprite(key, sprites[key], codes, errors);
+    });
+
+    if (pack.paletteSprites !== undefined) {
+      validatePaletteSprites(pack.paletteSprites, pack.palettes, sprites, errors);
+    }
+
+    if (pack.animations !== undefined) {
+      if (!isObject(pack.animations)) {
+        errors.push('animations: must be an object');
+      } else {
+        Object.keys(pack.animations).forEach(function (key) {
+          validateAnimation(key, pack.animations[key], sprites[key], codes, errors);
+        });
+      }
+    }
+
+    if (!isObject(pack.stateSprites)) {
+      errors.push('stateSprites: must map every state to a sprite');
+    } else {
+      Object.keys(States).forEach(function (name) {
+        var state = States[name];
+        var key = pack.stateSprites[state];
+        if (key === undefined) {
+          if (OPTIONAL_STATES.indexOf(state) !== -1) return;
+          errors.push('stateSprites.' + state + ': missing — every state needs a sprite');
+        } else if (!sprites[key]) {
+          errors.push('stateSprites.' + state + ': no sprite named "' + key + '"');
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Parse pack JSON text. Returns { pack, errors }; pack is null when
+   * the text is not valid JSON or the pack fails validation.
+   */
+  function parse(text) {
+    var pack;
+    try {
+      pack = JSON.parse(text);
+    } catch (e) {
+      return { pack: null, errors: ['Invalid JSON: ' + e.message] };
+    }
+    var errors = validate(pack);
+    return { pack: errors.length ? null : pack, errors: errors };
+  }
+
+  /**
+   * Serialize a pack with per-sprite edits from the editor folded in,
+   * so an export is exactly what the cat is currently drawing.
+   */
+  function serialize(pack, customSprites) {
+    var out = JSON.parse(JSON.stringify(pack));
+    out.format = FORMAT;
+    out.version = VERSION;
+    Object.keys(customSprites || {}).forEach(function (key) {
+      var sprite = customSprites[key];
+      out.sprites[key] = sprite;
+
+      // The renderer skips patches that fall outside a resized sprite;
+      // drop them here too so the export passes validation on import.
+      var anim = out.animations && out.animations[key];
+      if (!anim || !anim.frames) return;
+      anim.frames = anim.frames.map(function (patches) {
+        return patches.filter(function (p) { return p.x < sprite.w && p.y < sprite.h; });
+      });
+    });
+    return JSON.stringify(out, null, 2);
+  }
+
+  window.TinyCat.SpritePack = {
+    FORMAT: FORMAT,
+    VERSION: VERSION,
+    builtin: builtin,
+    validate: validate,
+    parse: parse,
+    serialize: serialize,
+  };
+})();
@@ -1,7 +1,9 @@
 /**
  * TinyCat Pixel Art Sprites
  *
- * Encoded pixel grids for all 10 cat states, extracted from TinyCat.pen.
+ * Encoded pixel grids for the cat states, extracted from TinyCat.pen
+ * (the walk cycle, dangling held cat and watching cat were drawn later to
+ * match).
  * Each grid cell maps to a color palette index:
  *   0 = transparent
  *   1 = body
@@ -11,7 +13,9 @@
  *   5 = eye (wide/startled - white)
  *   6 = eye (dizzy - gold)
  *
- * Two color palettes: black cat (for light BGs) and white cat (for dark BGs).
+ * Palettes: black cat (for light BGs), white cat (for dark BGs), plus
+ * orange tabby, gray and calico presets. Users can also define their own
+ * six-color palette from the popup.
  */
 (function () {
   'use strict';
@@ -33,6 +37,40 @@
       5: '#FFFFFF',
       6: '#FFD700',
     },
+    orange: {
+      1: '#D9843A',
+      2: '#F28B82',
+      3: '#A8D8A8',
+      4: '#F4C48C',
+      5: '#FFFFFF',
+      6: '#FFD700',
+    },
+    gray: {
+      1: '#7D7873',
+      2: '#F28B82',
+      3: '#E8C35A',
+      4: '#A9A49F',
+      5: '#FFFFFF',
+      6: '#FFD700',
+    },
+    calico: {
+      1: '#F2EDE6',
+      2: '#F28B82',
+      3: '#C9A227',
+      4: '#D9822B',
+      5: '#FFFFFF',
+      6: '#3D3835',
+    },
+  };
+
+  /**
+   * Per-palette sprite overrides: { palette: { spriteKey: replacementKey } }.
+   * Light-bodied cats swap the white wide-eyed scared sprite for one with
+   * normal eyes, since white eyes vanish against a white face.
+   */
+  const paletteSprites = {
+    white:  { scared: 'scaredWhite' },
+    calico: { scared: 'scaredWhite' },
   };
 
   // Each sprite: { w, h, rows[] }
@@ -132,7 +170,7 @@
       ],
     },
 
-    // Scared/peeking — white cat variant (normal teal eyes)
+    // Scared/peeking — light cat variant (normal eyes)
     scaredWhite: {
       w: 6, h: 8,
       rows: [
@@ -193,6 +231,127 @@
       ],
     },
 
+    // Side view, facing right; the renderer mirrors it to walk left
+    walk: {
+      w: 12, h: 8,
+      rows: [
+        '000000001001',
+        '000000001221',
+        '100000001111',
+        '011111111131',
+        '011444411112',
+        '011111111110',
+        '001100001100',
+        '001100001100',
+      ],
+    },
+
+    // Sitting up, head cocked, eyes down on what you're typing
+    watch: {
+      w: 9, h: 11,
+      rows: [
+        '010000010',
+        '012000210',
+        '011111110',
+        '111111111',
+        '131113111',
+        '011121110',
+        '001111100',
+        '011444110',
+        '011444110',
+        '011111101',
+        '001101100',
+      ],
+    },
+
+    // Sitting up tall, looking right at you, mouth open mid-meow
+    meow: {
+      w: 9, h: 11,
+      rows: [
+        '010000010',
+        '012000210',
+        '011111110',
+        '111111111',
+        '113111311',
+        '111121111',
+        '001222100',
+        '011444110',
+        '011444110',
+        '011111101',
+        '001101100',
+      ],
+    },
+
+    // Crouched over the food bowl, eyes shut in bliss
+    eat: {
+      w: 14, h: 8,
+      rows: [
+        '00000000000000',
+        '00100010000000',
+        '00120210000000',
+        '00111110000000',
+        '00112111111100',
+        '22221144411111',
+        '02201111111110',
+        '00001100110010',
+      ],
+    },
+
+    // Sitting contentedly, eyes squeezed shut into happy arcs
+    purr: {
+      w: 9, h: 11,
+      rows: [
+        '010000010',
+        '012000210',
+        '013111310',
+        '131313131',
+        '111121111',
+        '011111110',
+        '001111100',
+        '011444110',
+        '011444110',
+        '101111100',
+        '001101100',
+      ],
+    },
+
+    // Ears flattened, eyes narrowed, hissing with the tail puffed up
+    annoyed: {
+      w: 9, h: 11,
+      rows: [
+        '000000000',
+        '110000011',
+        '011111110',
+        '111111111',
+        '113111311',
+        '111121111',
+        '011222110',
+        '011444110',
+        '011444110',
+        '111111111',
+        '001101101',
+      ],
+    },
+
+    // Dangling by the scruff, legs and tail hanging
+    held: {
+      w: 9, h: 12,
+      rows: [
+        '010000010',
+        '012000210',
+        '011111110',
+        '113111311',
+        '111121111',
+        '011111110',
+        '001111100',
+        '001444100',
+        '001444100',
+        '001111100',
+        '001010100',
+        '001010100',
+      ],
+    },
+
     alert: {
       w: 9, h: 11,
       rows: [
@@ -224,6 +383,15 @@
     dizzy:      'dizzy',
     sleep:      'sleep',
     alertSleep: 'alert',
+    walking:    'walk',
+    perched:    'idle',
+    held:       'held',
+    watching:   'watch',
+    reminding:  'meow',
+    onBreak:    'sleep',
+    eating:     'eat',
+    purring:    'purr',
+    annoyed:    'annoyed',
   };
 
   /**
@@ -231,7 +399,7 @@
    *   fps     — frame advance rate
    *   frames  — array of patch arrays; each patch is {x, y, c} overriding the
    *             base sprite pixel at (x,y) with palette code c ('0' = clear)
-   *   overlay — optional 'zzz' or 'stars' DOM overlay effect
+   *   overlay — optional 'zzz', 'stars' or 'bubble' DOM overlay effect
    *
    * null = no sprite animation (CSS motion only).
    */
@@ -295,7 +463,7 @@
       ],
     },
 
-    // Nervous blink while peeking (white cat — teal eyes)
+    // Nervous blink while peeking (light cat — normal eyes)
     scaredWhite: {
       fps: 2,
       frames: [
@@ -339,6 +507,84 @@
       ],
     },
 
+    // Four-step walk cycle — paws spread, pass, step forward, pass
+    walk: {
+      fps: 6,
+      frames: [
+        [],
+        [{ x: 2, y: 7, c: '0' }, { x: 3, y: 7, c: '0' }, { x: 1, y: 7, c: '1' }, { x: 4, y: 7, c: '1' },
+         { x: 8, y: 7, c: '0' }, { x: 9, y: 7, c: '0' }, { x: 7, y: 7, c: '1' }, { x: 10, y: 7, c: '1' }],
+        [],
+        [{ x: 2, y: 7, c: '0' }, { x: 4, y: 7, c: '1' }, { x: 8, y: 7, c: '0' }, { x: 10, y: 7, c: '1' }],
+      ],
+    },
+
+    // Eyes follow the text along, then flick back; tail twitches
+    watch: {
+      fps: 3,
+      frames: [
+        [],
+        [],
+        [{ x: 1, y: 4, c: '1' }, { x: 2, y: 4, c: '3' }, { x: 5, y: 4, c: '1' }, { x: 6, y: 4, c: '3' }],
+        [{ x: 1, y: 4, c: '1' }, { x: 2, y: 4, c: '3' }, { x: 5, y: 4, c: '1' }, { x: 6, y: 4, c: '3' }],
+        [{ x: 2, y: 4, c: '1' }, { x: 3, y: 4, c: '3' }, { x: 6, y: 4, c: '1' }, { x: 7, y: 4, c: '3' },
+         { x: 8, y: 9, c: '0' }, { x: 8, y: 8, c: '1' }],
+        [],
+      ],
+    },
+
+    // Meows on and off, with a speech bubble asking for a break
+    meow: {
+      fps: 2,
+      overlay: 'bubble',
+      frames: [
+        [],
+        [{ x: 3, y: 6, c: '1' }, { x: 5, y: 6, c: '1' }],
+        [],
+        [{ x: 3, y: 6, c: '1' }, { x: 5, y: 6, c: '1' }],
+        [{ x: 3, y: 6, c: '1' }, { x: 5, y: 6, c: '1' }],
+      ],
+    },
+
+    // Nose dips into the bowl and comes up chewing
+    eat: {
+      fps: 3,
+      frames: [
+        [],
+        [{ x: 2, y: 1, c: '0' }, { x: 6, y: 1, c: '0' }, { x: 4, y: 4, c: '1' }],
+        [{ x: 2, y: 1, c: '0' }, { x: 6, y: 1, c: '0' }, { x: 4, y: 4, c: '1' }],
+        [],
+      ],
+    },
+
+    // Tail swaying slowly while hearts rise
+    purr: {
+      fps: 1.5,
+      overlay: 'hearts',
+      frames: [
+        [],
+        [{ x: 0, y: 9, c: '0' }, { x: 0, y: 8, c: '1' }],
+      ],
+    },
+
+    // Hiss on and off, tail lashing
+    annoyed: {
+      fps: 4,
+      frames: [
+        [],
+        [{ x: 3, y: 6, c: '1' }, { x: 5, y: 6, c: '1' }, { x: 8, y: 10, c: '0' }, { x: 8, y: 8, c: '1' }],
+      ],
+    },
+
+    // Paws kick out and back while dangling
+    held: {
+      fps: 2,
+      frames: [
+        [],
+        [{ x: 2, y: 11, c: '0' }, { x: 1, y: 11, c: '1' }, { x: 6, y: 11, c: '0' }, { x: 7, y: 11, c: '1' }],
+      ],
+    },
+
     // Drowsy eye open/close cycle + floating Z's
     alert: {
       fps: 1,
@@ -357,6 +603,7 @@
 
   window.TinyCat = window.TinyCat || {};
   window.TinyCat.palettes = palettes;
+  window.TinyCat.paletteSprites = paletteSprites;
   window.TinyCat.sprites = sprites;
   window.TinyCat.stateSprites = stateSprites;
   window.TinyCat.animations = animations;
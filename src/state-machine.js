@@ -2,13 +2,17 @@
  * TinyCat State Machine
  *
  * Pure state machine with no side effects. Accepts events, evaluates
- * transition guards, and returns the next state.
+ * transition probabilities, and returns the next state. Behavior (the
+ * transition table and state durations) is data and can be swapped at
+ * runtime; the built-in definition is `defaultBehavior`.
  *
  * States and transitions derived from the TinyCat.pen state diagram.
  */
 (function () {
   'use strict';
 
+  const { createRandom, randomSeed } = window.TinyCat;
+
   const States = Object.freeze({
     IDLE:        'idle',
     STRETCHING:  'stretching',
@@ -20,6 +24,15 @@
     DIZZY:       'dizzy',
     SLEEP:       'sleep',
     ALERT_SLEEP: 'alertSleep',
+    WALKING:     'walking',
+    PERCHED:     'perched',
+    HELD:        'held',
+    WATCHING:    'watching',
+    REMINDING:   'reminding',
+    ON_BREAK:    'onBreak',
+    EATING:      'eating',
+    PURRING:     'purring',
+    ANNOYED:     'annoyed',
   });
 
   const Events = Object.freeze({
@@ -35,105 +48,474 @@
     CURSOR_AWAY:       'cursorAway',
     ANIMATION_DONE:    'animationDone',
     REPEATED_FAST:     'repeatedFast',
+    PERCH_LOST:        'perchLost',
+    GRABBED:           'grabbed',
+    DROPPED:           'dropped',
+    TYPING_BURST:      'typingBurst',
+    TYPING_SUSTAINED:  'typingSustained',
+    TYPING_STOPPED:    'typingStopped',
+    BACKSPACE_STORM:   'backspaceStorm',
+    SCROLL_FLING:      'scrollFling',
+    SCROLL_BOUNCE:     'scrollBounce',
+    READING_PAUSE:     'readingPause',
+    BREAK_DUE:         'breakDue',
+    BREAK_STARTED:     'breakStarted',
+    BREAK_OVER:        'breakOver',
+    SYSTEM_LOCKED:     'systemLocked',
+    SYSTEM_ACTIVE:     'systemActive',
+    FED:               'fed',
+    PETTING:           'petting',
+    PETTING_STOPPED:   'pettingStopped',
+    PETTING_ROUGH:     'pettingRough',
   });
 
   /**
-   * Transition table.
-   * Each key is a state. Value is an array of { event, target, guard? }.
-   * First matching transition wins (order matters for priority).
+   * Built-in behavior definition. A behavior is plain serializable data:
+   *   states      — states the cat may enter (must be known States)
+   *   transitions — per state, an ordered list of
+   *                 { event, target, probability?, id?, playful?, restful? };
+   *                 the first entry whose event matches and whose
+   *                 probability roll (default 1) passes wins, so order
+   *                 matters for priority. `id` names a chance transition for
+   *                 tuning; `playful` ones scale with the energy setting and
+   *                 the cat's mood, `restful` ones with its mood only
+   *   durations   — ms each timed state plays before emitting ANIMATION_DONE
    */
-  const transitions = {
-    [States.IDLE]: [
-      { event: Events.CLICK,           target: States.STARTLED },
-      { event: Events.CURSOR_FAST,     target: States.POUNCE,
-        guard: () => Math.random() < 0.4 },
-      { event: Events.NEAR_CURSOR,     target: States.STRETCHING,
-        guard: () => Math.random() < 0.3 },
-      { event: Events.NEAR_CURSOR,     target: States.POUNCE,
-        guard: () => Math.random() < 0.25 },
-      { event: Events.LONG_IDLE,       target: States.SLEEP },
-      { event: Events.MEDIUM_IDLE,     target: States.STRETCHING,
-        guard: () => Math.random() < 0.35 },
-      { event: Events.MEDIUM_IDLE,     target: States.GROOMING,
-        guard: () => Math.random() < 0.5 },
-      { event: Events.MEDIUM_IDLE,     target: States.DRINKING },
-    ],
-
-    [States.STRETCHING]: [
-      { event: Events.CLICK,           target: States.STARTLED },
-      { event: Events.CURSOR_FAST,     target: States.POUNCE },
-      { event: Events.ANIMATION_DONE,  target: States.GROOMING,
-        guard: () => Math.random() < 0.3 },
-      { event: Events.ANIMATION_DONE,  target: States.IDLE },
-    ],
-
-    [States.DRINKING]: [
-      { event: Events.CLICK,           target: States.STARTLED },
-      { event: Events.ANIMATION_DONE,  target: States.IDLE },
-    ],
-
-    [States.POUNCE]: [
-      { event: Events.REPEATED_FAST,   target: States.DIZZY },
-      { event: Events.ANIMATION_DONE,  target: States.IDLE },
-    ],
-
-    [States.STARTLED]: [
-      { event: Events.ANIMATION_DONE,  target: States.FALLING },
-    ],
-
-    [States.FALLING]: [
-      { event: Events.ANIMATION_DONE,  target: States.GROOMING,
-        guard: () => Math.random() < 0.6 },
-      { event: Events.ANIMATION_DONE,  target: States.IDLE },
-    ],
-
-    [States.GROOMING]: [
-      { event: Events.CLICK,           target: States.STARTLED },
-      { event: Events.ANIMATION_DONE,  target: States.STRETCHING,
-        guard: () => Math.random() < 0.2 },
-      { event: Events.ANIMATION_DONE,  target: States.IDLE },
-    ],
-
-    [States.DIZZY]: [
-      { event: Events.ANIMATION_DONE,  target: States.IDLE },
-    ],
-
-    [States.SLEEP]: [
-      { event: Events.NEAR_CURSOR,     target: States.ALERT_SLEEP },
-      { event: Events.CLICK,           target: States.STARTLED },
-    ],
-
-    [States.ALERT_SLEEP]: [
-      { event: Events.NEAR_CURSOR,     target: States.IDLE },
-      { event: Events.CLICK,           target: States.STARTLED },
-      { event: Events.CURSOR_AWAY,     target: States.SLEEP },
-      { event: Events.LONG_IDLE,       target: States.SLEEP },
-    ],
-  };
+  const defaultBehavior = {
+    version: 1,
+    states: Object.keys(States).map(function (k) { return States[k]; }),
+
+    transitions: {
+      [States.IDLE]: [
+        { event: Events.CLICK,           target: States.STARTLED },
+        { event: Events.PETTING,         target: States.PURRING },
+        { event: Events.PETTING_ROUGH,   target: States.ANNOYED },
+        { event: Events.CURSOR_FAST,     target: States.POUNCE,      probability: 0.4,
+          id: 'fastPounce', playful: true },
+        { event: Events.NEAR_CURSOR,     target: States.STRETCHING,  probability: 0.3,
+          id: 'nearStretch', playful: true },
+        { event: Events.NEAR_CURSOR,     target: States.POUNCE,      probability: 0.25,
+          id: 'nearPounce', playful: true },
+        { event: Events.BACKSPACE_STORM, target: States.STARTLED,    probability: 0.7,
+          id: 'deleteJump' },
+        { event: Events.TYPING_BURST,    target: States.WATCHING },
+        { event: Events.TYPING_SUSTAINED, target: States.WATCHING },
+        { event: Events.SCROLL_FLING,    target: States.FALLING,     probability: 0.4,
+          id: 'flingFall', playful: true },
+        { event: Events.SCROLL_BOUNCE,   target: States.DIZZY,       probability: 0.3,
+          id: 'bounceDizzy', playful: true },
+        { event: Events.READING_PAUSE,   target: States.GROOMING,    probability: 0.6,
+          id: 'readGroom' },
+        { event: Events.LONG_IDLE,       target: States.SLEEP },
+        { event: Events.MEDIUM_IDLE,     target: States.WALKING,     probability: 0.3,
+          id: 'idleWander' },
+        { event: Events.MEDIUM_IDLE,     target: States.PERCHED,     probability: 0.25,
+          id: 'idlePerch' },
+        { event: Events.MEDIUM_IDLE,     target: States.STRETCHING,  probability: 0.35,
+          id: 'idleStretch' },
+        { event: Events.MEDIUM_IDLE,     target: States.GROOMING,    probability: 0.5,
+          id: 'idleGroom' },
+        { event: Events.MEDIUM_IDLE,     target: States.SLEEP,       probability: 0.1,
+          id: 'idleNap', restful: true },
+        { event: Events.MEDIUM_IDLE,     target: States.DRINKING },
+      ],
+
+      [States.STRETCHING]: [
+        { event: Events.CLICK,           target: States.STARTLED },
+        { event: Events.PETTING,         target: States.PURRING },
+        { event: Events.CURSOR_FAST,     target: States.POUNCE },
+        { event: Events.ANIMATION_DONE,  target: States.GROOMING,    probability: 0.3,
+          id: 'stretchGroom' },
+        { event: Events.ANIMATION_DONE,  target: States.IDLE },
+      ],
+
+      [States.DRINKING]: [
+        { event: Events.CLICK,           target: States.STARTLED },
+        { event: Events.ANIMATION_DONE,  target: States.IDLE },
+      ],
+
+      [States.POUNCE]: [
+        { event: Events.REPEATED_FAST,   target: States.DIZZY },
+        { event: Events.ANIMATION_DONE,  target: States.IDLE },
+      ],
+
+      [States.STARTLED]: [
+        { event: Events.ANIMATION_DONE,  target: States.FALLING },
+      ],
+
+      [States.FALLING]: [
+        { event: Events.ANIMATION_DONE,  target: States.GROOMING,    probability: 0.6,
+          id: 'fallGroom' },
+        { event: Events.ANIMATION_DONE,  target: States.IDLE },
+      ],
+
+      [States.GROOMING]: [
+        { event: Events.CLICK,           target: States.STARTLED },
+        { event: Events.PETTING,         target: States.PURRING },
+        { event: Events.ANIMATION_DONE,  target: States.STRETCHING,  probability: 0.2,
+          id: 'groomStretch' },
+        { event: Events.ANIMATION_DONE,  target: States.IDLE },
+      ],
+
+      [States.DIZZY]: [
+        { event: Events.ANIMATION_DONE,  target: States.IDLE },
+      ],
+
+      // Also entered from any state when the screen locks (see Cat)
+      [States.SLEEP]: [
+        { event: Events.NEAR_CURSOR,     target: States.ALERT_SLEEP },
+        { event: Events.CLICK,           target: States.STARTLED },
+        { event: Events.TYPING_SUSTAINED, target: States.ALERT_SLEEP },
+        { event: Events.SCROLL_BOUNCE,   target: States.ALERT_SLEEP },
+        { event: Events.SYSTEM_ACTIVE,   target: States.ALERT_SLEEP },
+        { event: Events.PETTING,         target: States.PURRING },
+      ],
+
+      [States.ALERT_SLEEP]: [
+        { event: Events.PETTING,         target: States.PURRING },
+        { event: Events.NEAR_CURSOR,     target: States.IDLE },
+        { event: Events.TYPING_BURST,    target: States.WATCHING },
+        { event: Events.CLICK,           target: States.STARTLED },
+        { event: Events.CURSOR_AWAY,     target: States.SLEEP },
+        { event: Events.LONG_IDLE,       target: States.SLEEP },
+      ],
+
+      // Untimed: the Cat sends ANIMATION_DONE once it has walked back home
+      [States.WALKING]: [
+        { event: Events.CLICK,           target: States.STARTLED },
+        { event: Events.LONG_IDLE,       target: States.SLEEP },
+        { event: Events.ANIMATION_DONE,  target: States.IDLE },
+      ],
 
-  /** Duration (ms) each timed state plays before emitting ANIMATION_DONE. */
-  const stateDurations = {
-    [States.STRETCHING]:  3000,
-    [States.DRINKING]:    3500,
-    [States.POUNCE]:      800,
-    [States.STARTLED]:    600,
-    [States.FALLING]:     1000,
-    [States.GROOMING]:    4000,
-    [States.DIZZY]:       2500,
+      // The Cat only lets this fire when it has found somewhere to sit
+      [States.PERCHED]: [
+        { event: Events.CLICK,           target: States.STARTLED },
+        { event: Events.PERCH_LOST,      target: States.FALLING },
+        { event: Events.LONG_IDLE,       target: States.SLEEP },
+        { event: Events.ANIMATION_DONE,  target: States.IDLE },
+      ],
+
+      // Untimed: lasts as long as the typing near the cat does
+      [States.WATCHING]: [
+        { event: Events.CLICK,           target: States.STARTLED },
+        { event: Events.BACKSPACE_STORM, target: States.STARTLED,    probability: 0.7,
+          id: 'watchDelete' },
+        { event: Events.TYPING_STOPPED,  target: States.IDLE },
+      ],
+
+      // Entered from any state when the user picks the cat up (see Cat)
+      [States.HELD]: [
+        { event: Events.DROPPED,         target: States.FALLING },
+      ],
+
+      // The focus timer (see Cat.setFocus) puts the cat in these from any
+      // state; nothing else gets it to settle until the timer moves on
+      [States.REMINDING]: [
+        { event: Events.BREAK_STARTED,   target: States.ON_BREAK },
+        { event: Events.BREAK_OVER,      target: States.IDLE },
+      ],
+
+      [States.ON_BREAK]: [
+        { event: Events.BREAK_OVER,      target: States.IDLE },
+      ],
+
+      // Untimed: lasts as long as the stroking does, unless overdone
+      [States.PURRING]: [
+        { event: Events.CLICK,           target: States.STARTLED },
+        { event: Events.PETTING_ROUGH,   target: States.ANNOYED },
+        { event: Events.PETTING_STOPPED, target: States.IDLE },
+        { event: Events.LONG_IDLE,       target: States.SLEEP },
+      ],
+
+      [States.ANNOYED]: [
+        { event: Events.ANIMATION_DONE,  target: States.IDLE },
+      ],
+
+      // Entered from any state when the user feeds the cat (see Cat.feed)
+      [States.EATING]: [
+        { event: Events.ANIMATION_DONE,  target: States.GROOMING,    probability: 0.5,
+          id: 'eatGroom' },
+        { event: Events.ANIMATION_DONE,  target: States.IDLE },
+      ],
+    },
+
+    durations: {
+      [States.STRETCHING]:  3000,
+      [States.DRINKING]:    3500,
+      [States.POUNCE]:      800,
+      [States.STARTLED]:    600,
+      [States.FALLING]:     1000,
+      [States.GROOMING]:    4000,
+      [States.DIZZY]:       2500,
+      [States.PERCHED]:     15000,
+      [States.EATING]:      4000,
+      [States.ANNOYED]:     1500,
+    },
   };
 
+  const BEHAVIOR_VERSION = 1;
+
+  /**
+   * States the Cat puts the machine in from outside the behavior (feeding,
+   * grabbing, the focus timer, the screen locking). A behavior written
+   * before one of them existed has no duration for it, so a timed one
+   * plays for its default duration rather than for good.
+   */
+  const FORCED_STATES = [States.SLEEP, States.HELD, States.REMINDING, States.ON_BREAK, States.EATING];
+
+  /** Range of the energy multiplier applied to playful transitions. */
+  const MIN_ENERGY = 0;
+  const MAX_ENERGY = 2;
+
+  function isObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+  }
+
+  function valuesOf(obj) {
+    return Object.keys(obj).map(function (k) { return obj[k]; });
+  }
+
+  /**
+   * Check a behavior definition. Returns a list of problems; an empty list
+   * means the StateMachine will accept it.
+   */
+  function validateBehavior(def) {
+    if (!isObject(def)) return ['Behavior must be an object'];
+
+    var errors = [];
+    var knownStates = valuesOf(States);
+    var knownEvents = valuesOf(Events);
+
+    if (def.version !== BEHAVIOR_VERSION) {
+      errors.push('version: unsupported version ' + JSON.stringify(def.version) + ' (expected ' + BEHAVIOR_VERSION + ')');
+    }
+
+    var states = Array.isArray(def.states) ? def.states : [];
+    if (!Array.isArray(def.states)) {
+      errors.push('states: must be an array of state names');
+    }
+    states.forEach(function (state) {
+      if (knownStates.indexOf(state) === -1) {
+        errors.push('states: unknown state "' + state + '"');
+      }
+    });
+    if (states.indexOf(States.IDLE) === -1) {
+      errors.push('states: must include "' + States.IDLE + '"');
+    }
+
+    var ids = {};
+
+    if (!isObject(def.transitions)) {
+      errors.push('transitions: must be an object of state → transition list');
+    } else {
+      Object.keys(def.transitions).forEach(function (from) {
+        var where = 'transitions.' + from;
+        if (states.indexOf(from) === -1) {
+          errors.push(where + ': unknown state "' + from + '"');
+        }
+        var list = def.transitions[from];
+        if (!Array.isArray(list)) {
+          errors.push(where + ': must be an array');
+          return;
+        }
+        list.forEach(function (t, i) {
+          var at = where + '[' + i + ']';
+          if (!isObject(t)) {
+            errors.push(at + ': must be { event, target, probability? }');
+            return;
+          }
+          if (knownEvents.indexOf(t.event) === -1) {
+            errors.push(at + ': unknown event "' + t.event + '"');
+          }
+          if (states.indexOf(t.target) === -1) {
+            errors.push(at + ': unknown target state "' + t.target + '"');
+          }
+          if (t.probability !== undefined &&
+              (typeof t.probability !== 'number' || t.probability < 0 || t.probability > 1)) {
+            errors.push(at + ': probability must be a number from 0 to 1');
+          }
+          if (t.id !== undefined) {
+            if (typeof t.id !== 'string' || !t.id) {
+              errors.push(at + ': id must be a non-empty string');
+            } else if (ids[t.id]) {
+              errors.push(at + ': duplicate id "' + t.id + '"');
+            }
+            ids[t.id] = true;
+          }
+          if (t.playful !== undefined && typeof t.playful !== 'boolean') {
+            errors.push(at + ': playful must be true or false');
+          }
+          if (t.restful !== undefined && typeof t.restful !== 'boolean') {
+            errors.push(at + ': restful must be true or false');
+          }
+        });
+      });
+    }
+
+    if (def.durations !== undefined) {
+      if (!isObject(def.durations)) {
+        errors.push('durations: must be an object of state → ms');
+      } else {
+        Object.keys(def.durations).forEach(function (state) {
+          if (states.indexOf(state) === -1) {
+            errors.push('durations.' + state + ': unknown state "' + state + '"');
+          } else if (typeof def.durations[state] !== 'number' || def.durations[state] <= 0) {
+            errors.push('durations.' + state + ': must be a positive number of ms');
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /** Number of recent transitions kept for inspection. */
+  const HISTORY_LIMIT = 10;
+
   class StateMachine {
-    constructor() {
+    /**
+     * @param {Object} [behavior] – behavior definition; defaults to
+     *   defaultBehavior. Throws if the definition is invalid.
+     * @param {Object} [options]
+     * @param {Function} [options.random] – Math.random-style source; its
+     *   `.seed` property, if any, is reported by `seed`
+     * @param {number} [options.seed] – seed for the built-in PRNG (a fresh
+     *   random seed when neither option is given)
+     */
+    constructor(behavior, options) {
+      options = options || {};
+      this._transitions = null;
+      this._durations = null;
+      this.setBehavior(behavior || defaultBehavior);
+
+      this._random = null;
+      if (options.random) {
+        this.setRandom(options.random);
+      } else {
+        this.setSeed(options.seed !== undefined ? options.seed : randomSeed());
+      }
+
       this._state = States.IDLE;
+      this._stateSince = Date.now();
+      this._history = [];
       this._listeners = [];
       this._timer = null;
       this._disabledStates = new Set();
+      this._probabilities = {};
+      this._energy = 1;
+      this._mood = { playful: 1, restful: 1 };
     }
 
     get state() {
       return this._state;
     }
 
+    /**
+     * Seed the current random source started from, or null for an injected
+     * source without one. Re-seeding with it replays the same choices.
+     */
+    get seed() {
+      return this._random.seed !== undefined ? this._random.seed : null;
+    }
+
+    /** Restart the built-in PRNG from a seed. */
+    setSeed(seed) {
+      this._random = createRandom(seed);
+    }
+
+    /** Use a custom Math.random-style source for probability rolls. */
+    setRandom(random) {
+      this._random = random;
+    }
+
+    /**
+     * Next number in [0, 1) from the machine's random source, for choices
+     * made outside the transition table that should replay with the seed.
+     */
+    random() {
+      return this._random();
+    }
+
+    /** Timestamp (ms) when the current state was entered. */
+    get stateSince() {
+      return this._stateSince;
+    }
+
+    /**
+     * Recent transitions, oldest first. Each entry is
+     * { from, to, event, time }; event is the triggering event name, or
+     * 'reset' / 'disabled' / 'behavior' for forced changes.
+     */
+    get history() {
+      return this._history.slice();
+    }
+
+    /**
+     * Replace the behavior definition. Throws an Error listing the problems
+     * if it references unknown states or events. If the current state is
+     * one the new behavior leaves out, or gives neither transitions nor a
+     * duration, the cat could never leave it, so it snaps back to IDLE.
+     * Forced states it gives no duration keep the default one (see
+     * FORCED_STATES).
+     */
+    setBehavior(behavior) {
+      var errors = validateBehavior(behavior);
+      if (errors.length) {
+        throw new Error('Invalid behavior definition:\n  ' + errors.join('\n  '));
+      }
+      // Copy so later edits to the caller's object can't leak in
+      var copy = JSON.parse(JSON.stringify(behavior));
+      this._transitions = copy.transitions;
+      this._durations = copy.durations || {};
+      FORCED_STATES.forEach((state) => {
+        var fallback = defaultBehavior.durations[state];
+        if (fallback && !(state in this._durations)) this._durations[state] = fallback;
+      });
+
+      // Not yet set while the constructor loads the first behavior
+      var current = this._state;
+      if (!current || current === States.IDLE) return;
+      var stranded = copy.states.indexOf(current) === -1 ||
+        (!(this._transitions[current] || []).length && !this._durations[current]);
+      if (stranded) this._transition(States.IDLE, 'behavior');
+    }
+
+    /**
+     * Override the probability of chance transitions by id
+     * ({ id: 0..1 }). Ids missing from the map use the behavior's value.
+     */
+    setProbabilities(probabilities) {
+      this._probabilities = Object.assign({}, probabilities);
+    }
+
+    /**
+     * Scale every playful transition's probability together
+     * (0 = never, 1 = as defined, 2 = twice as often).
+     */
+    setEnergy(energy) {
+      this._energy = Math.max(MIN_ENERGY, Math.min(MAX_ENERGY, energy));
+    }
+
+    /**
+     * Scale playful and restful transitions by the cat's mood
+     * ({ playful, restful } multipliers from its needs; see Needs.mood).
+     */
+    setMood(mood) {
+      this._mood = {
+        playful: Math.max(0, mood && mood.playful !== undefined ? mood.playful : 1),
+        restful: Math.max(0, mood && mood.restful !== undefined ? mood.restful : 1),
+      };
+    }
+
+    /** Effective chance (0..1) of a transition after tuning. */
+    _chance(t) {
+      if (t.probability === undefined) return 1;
+      var p = t.id && this._probabilities[t.id] !== undefined ? this._probabilities[t.id] : t.probability;
+      if (t.playful) p *= this._energy * this._mood.playful;
+      if (t.restful) p *= this._mood.restful;
+      return Math.max(0, Math.min(1, p));
+    }
+
     /**
      * Set which states are disabled. Transitions to disabled states are
      * skipped. IDLE can never be disabled.
@@ -143,11 +525,7 @@
       this._disabledStates.delete(States.IDLE);
       // If currently in a disabled state, snap to IDLE
       if (this._disabledStates.has(this._state)) {
-        var old = this._state;
-        this._state = States.IDLE;
-        this._clearTimer();
-        this._startTimerIfNeeded();
-        this._notify(this._state, old);
+        this._transition(States.IDLE, 'disabled');
       }
     }
 
@@ -165,48 +543,60 @@
      * Returns true if a transition occurred.
      */
     send(event) {
-      var candidates = transitions[this._state];
-      if (!candidates) return false;
+      // A state the behavior gives no transitions still times out below
+      var candidates = this._transitions[this._state] || [];
 
       for (var i = 0; i < candidates.length; i++) {
         var t = candidates[i];
         if (t.event !== event) continue;
-        if (t.guard && !t.guard()) continue;
+        if (t.probability !== undefined && !(this._random() < this._chance(t))) continue;
         if (this._disabledStates.has(t.target)) continue;
 
-        var oldState = this._state;
-        this._state = t.target;
-        this._clearTimer();
-        this._startTimerIfNeeded();
-        this._notify(this._state, oldState);
+        this._transition(t.target, event);
         return true;
       }
 
       // Fallback: timed states always resolve — go to IDLE if target disabled
       if (event === Events.ANIMATION_DONE && this._state !== States.IDLE) {
-        var old = this._state;
-        this._state = States.IDLE;
-        this._clearTimer();
-        this._startTimerIfNeeded();
-        this._notify(this._state, old);
+        this._transition(States.IDLE, event);
         return true;
       }
       return false;
     }
 
-    /** Force-set state (for initialization or debugging). */
-    reset(state) {
-      var old = this._state;
-      this._state = state || States.IDLE;
+    /**
+     * Force-set state, for initialization, debugging or input that trumps
+     * the behavior (the user grabbing the cat). `reason` is recorded in
+     * history as the triggering event (default 'reset').
+     */
+    reset(state, reason) {
+      var target = state || States.IDLE;
+      if (target !== this._state) {
+        this._transition(target, reason || 'reset');
+        return;
+      }
+      this._stateSince = Date.now();
       this._clearTimer();
       this._startTimerIfNeeded();
-      if (this._state !== old) {
-        this._notify(this._state, old);
+    }
+
+    /** Enter a new state, record it, restart timers and notify listeners. */
+    _transition(target, event) {
+      var oldState = this._state;
+      var now = Date.now();
+      this._state = target;
+      this._stateSince = now;
+      this._history.push({ from: oldState, to: target, event: event, time: now });
+      if (this._history.length > HISTORY_LIMIT) {
+        this._history.shift();
       }
+      this._clearTimer();
+      this._startTimerIfNeeded();
+      this._notify(target, oldState);
     }
 
     _startTimerIfNeeded() {
-      var duration = stateDurations[this._state];
+      var duration = this._durations[this._state];
       if (duration) {
         this._timer = setTimeout(() => {
           this.send(Events.ANIMATION_DONE);
@@ -233,5 +623,7 @@
   window.TinyCat.States = States;
   window.TinyCat.Events = Events;
   window.TinyCat.StateMachine = StateMachine;
-  window.TinyCat.stateDurations = stateDurations;
+  window.TinyCat.defaultBehavior = defaultBehavior;
+  window.TinyCat.stateDurations = defaultBehavior.durations;
+  window.TinyCat.validateBehavior = validateBehavior;
 })();
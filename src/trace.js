@@ -0,0 +1,331 @@
+/**
+ * TinyCat Session Traces
+ *
+ * A trace is a compact JSON recording of one cursor session: the raw input,
+ * the events the CursorTracker made of it and the states the cat went
+ * through. test/replay.js feeds a trace back through the tracker and Cat on
+ * a virtual clock, so threshold changes can be compared on real sessions.
+ *
+ *   {
+ *     format:     'tinycat-trace',
+ *     version:    2,
+ *     recordedAt: '2026-01-01T12:00:00.000Z',
+ *     viewport:   { w, h },
+ *     cursor:     { x, y },            // cursor position at the start
+ *     scroll:     { y, max },          // optional: page scroll at the start
+ *     seed:       1234,                // state machine seed at the start
+ *     settings:   { catSpeed, ... },   // values given to Cat.applySettings
+ *     tracker:    { fastSpeedThreshold, ... },  // CursorTracker config
+ *     needs:      { energy, hunger, affection }, // optional: the cat's needs
+ *     duration:   ms,
+ *     input:      [[t, x, y], [t, x, y, 1], ...], // move, or press (1) /
+ *                                                 // release (0) / cancel (-1),
+ *                 [t, x, y, 'touch'], [t, x, y, 1, 'pen'], // same, not a mouse,
+ *                 [t, 'key'], [t, 'delete'],      // a keystroke,
+ *                 [t, 'scroll', y, max],          // the page scrolled,
+ *                 [t, 'system', 'idle'],          // or the system went
+ *                                                 // 'active', 'idle' or 'locked'
+ *     events:     [[t, 'cursorFast'], ...],     // tracker output, pre-cooldown
+ *     states:     [[t, 'pounce'], ...],
+ *     truncated:  true,                // optional: input hit MAX_INPUT
+ *   }
+ *
+ * Times are whole ms since recording started. Only pointer and scroll
+ * coordinates are kept, never anything about the page, and keystrokes only
+ * as 'key' or 'delete' (see CursorTracker.keyKind). Only the primary
+ * pointer is recorded; entries without a pointer type are the mouse. Presses
+ * are recorded wherever they land, since a finger tapping beside the cat
+ * still reaches it; on replay the cat's position decides whether they hit.
+ * Version 1 traces recorded page-wide clicks and can't be replayed any more.
+ */
+(function () {
+  'use strict';
+
+  const { Events, States, CursorTracker } = window.TinyCat;
+
+  const FORMAT = 'tinycat-trace';
+  const VERSION = 2;
+
+  /** Input entries kept per trace (~30 min of constant 60 Hz movement). */
+  const MAX_INPUT = 100000;
+
+  /** Pointer types other than the mouse, as named in input entries. */
+  const POINTER_TYPES = ['touch', 'pen'];
+
+  /** System idle states (chrome.idle), as named in input entries. */
+  const SYSTEM_STATES = ['active', 'idle', 'locked'];
+
+  class TraceRecorder {
+    /**
+     * @param {Object} meta – viewport, cursor, seed, settings and tracker
+     *   fields copied into the trace
+     */
+    constructor(meta) {
+      this._meta = JSON.parse(JSON.stringify(meta));
+      this._start = Date.now();
+      this._input = [];
+      this._events = [];
+      this._states = [];
+      this._truncated = false;
+
+      this._onPointerMove = this._onPointerMove.bind(this);
+      this._onPointerDown = this._onPointerDown.bind(this);
+      this._onPointerUp = this._onPointerUp.bind(this);
+      this._onPointerCancel = this._onPointerCancel.bind(this);
+      this._onKeyDown = this._onKeyDown.bind(this);
+      this._onScroll = this._onScroll.bind(this);
+    }
+
+    start() {
+      document.addEventListener('pointermove', this._onPointerMove, { passive: true });
+      document.addEventListener('pointerdown', this._onPointerDown, { capture: true, passive: true });
+      document.addEventListener('pointerup', this._onPointerUp, { capture: true, passive: true });
+      document.addEventListener('pointercancel', this._onPointerCancel, { capture: true, passive: true });
+      document.addEventListener('keydown', this._onKeyDown, { capture: true, passive: true });
+      window.addEventListener('scroll', this._onScroll, { passive: true });
+    }
+
+    /** Stop listening and return the finished trace. */
+    stop() {
+      document.removeEventListener('pointermove', this._onPointerMove);
+      document.removeEventListener('pointerdown', this._onPointerDown, { capture: true });
+      document.removeEventListener('pointerup', this._onPointerUp, { capture: true });
+      document.removeEventListener('pointercancel', this._onPointerCancel, { capture: true });
+      document.removeEventListener('keydown', this._onKeyDown, { capture: true });
+      window.removeEventListener('scroll', this._onScroll);
+      return this.trace();
+    }
+
+    /** Record input relayed from a child frame, as if it happened here. */
+    feed(type, e) {
+      switch (type) {
+        case 'pointermove': this._onPointerMove(e); break;
+        case 'pointerdown': this._onPointerDown(e); break;
+        case 'pointerup': this._onPointerUp(e); break;
+        case 'pointercancel': this._onPointerCancel(e); break;
+        case 'keydown': this._onKeyDown(e); break;
+      }
+    }
+
+    /** Record a change in the system's idle state (see Cat.setSystemIdle). */
+    system(state) {
+      this._pushInput([this._elapsed(), 'system', state]);
+    }
+
+    /** Record an event emitted by the tracker. */
+    event(name) {
+      this._events.push([this._elapsed(), name]);
+    }
+
+    /** Record a state the cat entered. */
+    state(name) {
+      this._states.push([this._elapsed(), name]);
+    }
+
+    trace() {
+      var trace = {
+        format: FORMAT,
+        version: VERSION,
+        recordedAt: new Date(this._start).toISOString(),
+      };
+      Object.assign(trace, JSON.parse(JSON.stringify(this._meta)));
+      trace.duration = this._elapsed();
+      trace.input = this._input.slice();
+      trace.events = this._events.slice();
+      trace.states = this._states.slice();
+      if (this._truncated) trace.truncated = true;
+      return trace;
+    }
+
+    _elapsed() {
+      return Math.round(Date.now() - this._start);
+    }
+
+    _pushInput(entry) {
+      if (this._input.length >= MAX_INPUT) {
+        this._truncated = true;
+        return;
+      }
+      this._input.push(entry);
+    }
+
+    /** [t, x, y, ...rest], tagged with the pointer type unless a mouse. */
+    _pushPointer(e, rest) {
+      if (e.isPrimary === false) return;
+      var entry = [this._elapsed(), Math.round(e.clientX), Math.round(e.clientY)].concat(rest);
+      if (POINTER_TYPES.indexOf(e.pointerType) !== -1) entry.push(e.pointerType);
+      this._pushInput(entry);
+    }
+
+    _onPointerMove(e) {
+      this._pushPointer(e, []);
+    }
+
+    _onPointerDown(e) {
+      if (e.pointerType === 'mouse' && e.button !== 0) return;
+      this._pushPointer(e, [1]);
+    }
+
+    _onPointerUp(e) {
+      this._pushPointer(e, [0]);
+    }
+
+    _onPointerCancel(e) {
+      this._pushPointer(e, [-1]);
+    }
+
+    _onKeyDown(e) {
+      var kind = CursorTracker.keyKind(e);
+      if (kind) this._pushInput([this._elapsed(), kind]);
+    }
+
+    _onScroll() {
+      var scroll = CursorTracker.pageScroll();
+      this._pushInput([this._elapsed(), 'scroll', Math.round(scroll.y), Math.round(scroll.max)]);
+    }
+  }
+
+  function isObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+  }
+
+  function isTime(v) {
+    return typeof v === 'number' && v >= 0 && Math.floor(v) === v;
+  }
+
+  function isNumber(v) {
+    return typeof v === 'number' && isFinite(v);
+  }
+
+  /** Check a [[t, ...], ...] list: whole-ms times that never go backwards. */
+  function validateTimeline(list, field, checkEntry, errors) {
+    if (!Array.isArray(list)) {
+      errors.push(field + ' must be an array');
+      return;
+    }
+    var last = 0;
+    for (var i = 0; i < list.length; i++) {
+      var entry = list[i];
+      var where = field + '[' + i + ']';
+      if (!Array.isArray(entry) || !isTime(entry[0])) {
+        errors.push(where + ' must start with a time in ms');
+        return;
+      }
+      if (entry[0] < last) {
+        errors.push(where + ' goes back in time');
+        return;
+      }
+      last = entry[0];
+      var problem = checkEntry(entry);
+      if (problem) {
+        errors.push(where + ' ' + problem);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Validate a trace. Returns a list of human-readable problems (empty if
+   * the trace is usable). Stops at the first bad entry of each timeline.
+   */
+  function validate(trace) {
+    var errors = [];
+    if (!isObject(trace)) return ['Trace must be a JSON object'];
+
+    if (trace.format !== FORMAT) {
+      errors.push('format must be "' + FORMAT + '"');
+    }
+    if (trace.version !== VERSION) {
+      errors.push('Unsupported version ' + trace.version + ' (expected ' + VERSION + ')');
+      return errors;
+    }
+
+    if (!isObject(trace.viewport) || !(trace.viewport.w > 0) || !(trace.viewport.h > 0)) {
+      errors.push('viewport must be { w, h } with positive sizes');
+    }
+    if (!isObject(trace.cursor) || !isNumber(trace.cursor.x) || !isNumber(trace.cursor.y)) {
+      errors.push('cursor must be { x, y }');
+    }
+    if (trace.scroll !== undefined &&
+        (!isObject(trace.scroll) || !isNumber(trace.scroll.y) || !isNumber(trace.scroll.max))) {
+      errors.push('scroll must be { y, max }');
+    }
+    if (trace.needs !== undefined &&
+        (!isObject(trace.needs) || !isNumber(trace.needs.energy) || !isNumber(trace.needs.hunger) ||
+         !isNumber(trace.needs.affection))) {
+      errors.push('needs must be { energy, hunger, affection }');
+    }
+    if (!isTime(trace.seed)) {
+      errors.push('seed must be a non-negative integer');
+    }
+    if (!isObject(trace.settings)) {
+      errors.push('settings must be an object');
+    }
+    if (!isObject(trace.tracker)) {
+      errors.push('tracker must be an object');
+    } else {
+      Object.keys(trace.tracker).forEach(function (key) {
+        if (!isNumber(trace.tracker[key])) errors.push('tracker.' + key + ' must be a number');
+      });
+    }
+    if (!isTime(trace.duration)) {
+      errors.push('duration must be a time in ms');
+    }
+
+    var events = Object.values(Events);
+    var states = Object.values(States);
+
+    validateTimeline(trace.input, 'input', function (entry) {
+      if (entry[1] === 'key' || entry[1] === 'delete') {
+        return entry.length === 2 ? null : 'must be [t, \'' + entry[1] + '\'] (keystroke)';
+      }
+      if (entry[1] === 'scroll') {
+        if (entry.length === 4 && isNumber(entry[2]) && isNumber(entry[3])) return null;
+        return 'must be [t, \'scroll\', y, max] (scroll)';
+      }
+      if (entry[1] === 'system') {
+        if (entry.length === 3 && SYSTEM_STATES.indexOf(entry[2]) !== -1) return null;
+        return 'must be [t, \'system\', ' + SYSTEM_STATES.join('|') + '] (system idle)';
+      }
+      if (!isNumber(entry[1]) || !isNumber(entry[2])) return 'must be [t, x, y] with numeric x and y';
+      var rest = entry.slice(3);
+      if (POINTER_TYPES.indexOf(rest[rest.length - 1]) !== -1) rest.pop();
+      if (rest.length === 0) return null;
+      if (rest.length === 1 && (rest[0] === 1 || rest[0] === 0 || rest[0] === -1)) return null;
+      return 'must be [t, x, y] (move) or [t, x, y, 1|0|-1] (press/release/cancel)';
+    }, errors);
+
+    validateTimeline(trace.events, 'events', function (entry) {
+      return events.indexOf(entry[1]) === -1 ? 'has unknown event "' + entry[1] + '"' : null;
+    }, errors);
+
+    validateTimeline(trace.states, 'states', function (entry) {
+      return states.indexOf(entry[1]) === -1 ? 'has unknown state "' + entry[1] + '"' : null;
+    }, errors);
+
+    return errors;
+  }
+
+  /** Parse trace JSON. Returns { trace, errors }; trace is null on failure. */
+  function parse(text) {
+    var trace;
+    try {
+      trace = JSON.parse(text);
+    } catch (e) {
+      return { trace: null, errors: ['Invalid JSON: ' + e.message] };
+    }
+    var errors = validate(trace);
+    return { trace: errors.length ? null : trace, errors: errors };
+  }
+
+  window.TinyCat.Trace = {
+    FORMAT: FORMAT,
+    VERSION: VERSION,
+    MAX_INPUT: MAX_INPUT,
+    POINTER_TYPES: POINTER_TYPES,
+    SYSTEM_STATES: SYSTEM_STATES,
+    Recorder: TraceRecorder,
+    validate: validate,
+    parse: parse,
+  };
+})();
@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTinyCat, startedCat, place } = require('./harness');
+const { drive } = require('./replay');
+
+/** A started cat settled at home in the default bottom-right corner. */
+function homeCat(settings) {
+  const env = startedCat(settings);
+  drive(env, [], 1000);
+  return Object.assign(env, { renderer: env.cat._renderer });
+}
+
+/** A bar pinned over the page at rect, as chat widgets and cookie banners are. */
+function pinned(env, rect) {
+  const el = place(env, 'div', rect);
+  el.style.position = 'fixed';
+  return el;
+}
+
+/** Is the cat's box partly off the viewport, with part still showing? */
+function peeking(env) {
+  const r = env.document.getElementById('tinycat-container').getBoundingClientRect();
+  const off = r.left < 0 || r.top < 0 || r.right > 1280 || r.bottom > 800;
+  const showing = r.right > 0 && r.bottom > 0 && r.left < 1280 && r.top < 800;
+  return off && showing;
+}
+
+test('a fixed bar over home sends the cat to peek from the nearest free edge', () => {
+  const env = homeCat();
+  const home = env.renderer.homeRect;
+  assert.strictEqual(peeking(env), false);
+
+  // A chat widget pinned over the corner, not reaching the right edge's upper part
+  const widget = pinned(env, { left: 1000, top: 560, width: 280, height: 240 });
+  drive(env, [], 3000);
+  assert.strictEqual(env.renderer.isAside, true);
+  assert.strictEqual(peeking(env), true);
+  const r = env.document.getElementById('tinycat-container').getBoundingClientRect();
+  assert.ok(r.right > 1280, 'from the right edge, the nearest');
+  assert.ok(r.bottom <= 560, 'above the widget');
+  assert.strictEqual(env.cat.getStatus().state, env.TinyCat.States.IDLE, 'whatever it was doing');
+
+  // Gone: the cat waits a moment, then comes back
+  env.document.body.removeChild(widget);
+  drive(env, [], 1000);
+  assert.strictEqual(env.renderer.isAside, true, 'not straight away');
+  drive(env, [], 4000);
+  assert.strictEqual(env.renderer.isAside, false);
+  const at = env.renderer.position;
+  const back = env.renderer.homePosition;
+  assert.ok(Math.abs(at.x - back.x) < 2 && Math.abs(at.y - back.y) < 2, 'back home');
+  assert.strictEqual(env.renderer.homeRect.top, home.top);
+});
+
+test('a focused field under the cat moves it; leaving the field brings it back', () => {
+  const env = homeCat();
+  const home = env.renderer.homeRect;
+  const input = place(env, 'input', { left: home.left - 200, top: home.top + 10, width: 240, height: 30 });
+
+  drive(env, [], 1000);
+  assert.strictEqual(env.renderer.isAside, false, 'just being there is fine');
+
+  env.document.activeElement = input;
+  drive(env, [], 1000);
+  assert.strictEqual(env.renderer.isAside, true);
+
+  env.document.activeElement = env.document.body;
+  drive(env, [], 3000);
+  assert.strictEqual(env.renderer.isAside, false);
+});
+
+test('a button under the cat only matters when the pointer heads for it', () => {
+  const env = homeCat();
+  const home = env.renderer.homeRect;
+  place(env, 'button', { left: home.left + 5, top: home.top + 5, width: 40, height: 30 });
+
+  // Resting far off, or moving away
+  drive(env, [[10, 200, 200], [30, 180, 190]], 1500);
+  assert.strictEqual(env.renderer.isAside, false);
+
+  // Moving straight at it from nearby
+  const input = [];
+  for (let i = 0; i <= 30; i++) input.push([i * 17, home.left - 250 + i * 5, home.top + 20]);
+  drive(env, input, 600);
+  assert.strictEqual(env.renderer.isAside, true);
+});
+
+test('full-page fixed layouts are not in the way, and avoiding can be switched off', () => {
+  const env = homeCat();
+  pinned(env, { left: 0, top: 0, width: 1280, height: 800 });
+  drive(env, [], 2000);
+  assert.strictEqual(env.renderer.isAside, false);
+
+  pinned(env, { left: 0, top: 700, width: 1280, height: 100 });
+  drive(env, [], 1000);
+  assert.strictEqual(env.renderer.isAside, true);
+  env.cat.applySettings({ avoid: false });
+  assert.strictEqual(env.renderer.isAside, false);
+  drive(env, [], 2000);
+  assert.strictEqual(env.renderer.isAside, false);
+});
+
+test('with nowhere clear, the cat still peeks from the nearest edge', () => {
+  const env = loadTinyCat();
+  const { Renderer } = env.TinyCat;
+  const r = new Renderer();
+  const home = r.homeRect;
+  r.peekAside([{ left: -100, top: -100, right: 2000, bottom: 2000 }]);
+  r.goHome();
+  const b = r._aside;
+  // Home is nearer the bottom (40 px) than the right (60 px)
+  assert.strictEqual(b.x, home.left);
+  assert.ok(b.y > 800 - (home.bottom - home.top), 'mostly below the bottom edge');
+});
@@ -0,0 +1,339 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTinyCat, startedCat, plain } = require('./harness');
+const { drive } = require('./replay');
+
+/** A started cat that always takes the wander roll when idle. */
+function idleCat(settings) {
+  const env = startedCat(Object.assign({ seed: 3, probabilities: { idleWander: 1 } }, settings));
+  const states = [];
+  env.cat._sm.onChange((to) => states.push(to));
+  return Object.assign(env, { states });
+}
+
+test('roaming is off by default, so an idle cat stays home', () => {
+  const env = idleCat();
+  drive(env, [], 6000);
+  assert.ok(env.states.length > 0);
+  assert.strictEqual(env.states.indexOf(env.TinyCat.States.WALKING), -1);
+});
+
+test('a roaming cat walks out along the bottom and back home', () => {
+  const env = idleCat({ roaming: true, roamDistance: 200 });
+  const { States } = env.TinyCat;
+  const renderer = env.cat._renderer;
+  const home = renderer.homePosition;
+
+  let farthest = 0;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  drive(env, [], 5100);
+  assert.deepStrictEqual(env.states.slice(), [States.WALKING]);
+
+  for (let t = 0; t < 10000 && env.cat.getStatus().state === States.WALKING; t += 100) {
+    drive(env, [], 100);
+    if (env.cat.getStatus().state !== States.WALKING) break;
+    farthest = Math.max(farthest, Math.abs(renderer.position.x - home.x));
+    minY = Math.min(minY, renderer.position.y);
+    maxY = Math.max(maxY, renderer.position.y);
+  }
+
+  assert.deepStrictEqual(env.states.slice(), [States.WALKING, States.IDLE]);
+  assert.ok(farthest >= 100 && farthest <= 200, 'walked ' + farthest + 'px');
+  assert.ok(maxY - minY < 1, 'stayed on the home row');
+  assert.ok(Math.abs(renderer.position.x - home.x) < 0.5, 'back home');
+});
+
+test('turning roaming off mid-walk stops the cat', () => {
+  const env = idleCat({ roaming: true });
+  const { States } = env.TinyCat;
+  drive(env, [], 5500);
+  assert.strictEqual(env.cat.getStatus().state, States.WALKING);
+  env.cat.applySettings({ roaming: false });
+  assert.strictEqual(env.cat.getStatus().state, States.IDLE);
+});
+
+/** Type `count` keys `gap` ms apart, stepping frames. */
+function type(env, count, gap, key) {
+  for (let i = 0; i < count; i++) {
+    env.document.dispatch('keydown', { key: key || 'a' });
+    drive(env, [], gap);
+  }
+}
+
+test('typing near the cat makes it watch until the typing stops', () => {
+  const env = idleCat();
+  const { States } = env.TinyCat;
+  const home = env.cat._renderer.homePosition;
+  drive(env, [[16, home.x - 150, home.y - 100]], 100);
+
+  type(env, 10, 150);
+  assert.strictEqual(env.cat.getStatus().state, States.WATCHING);
+  type(env, 40, 150);
+  assert.strictEqual(env.cat.getStatus().state, States.WATCHING, 'still watching mid-run');
+  drive(env, [], 2000);
+  assert.strictEqual(env.cat.getStatus().state, States.IDLE);
+});
+
+test('a watching cat is not left waiting when the tracker resets mid-run', () => {
+  const env = idleCat();
+  const { States } = env.TinyCat;
+  const home = env.cat._renderer.homePosition;
+  drive(env, [[16, home.x - 150, home.y - 100]], 100);
+
+  type(env, 10, 150);
+  assert.strictEqual(env.cat.getStatus().state, States.WATCHING);
+  env.cat._tracker.reset(env.cat._tracker.x, env.cat._tracker.y);
+  assert.strictEqual(env.cat.getStatus().state, States.IDLE);
+
+  // Typing on is a new run, watched and ended as usual
+  type(env, 10, 150);
+  assert.strictEqual(env.cat.getStatus().state, States.WATCHING);
+  drive(env, [], 2000);
+  assert.strictEqual(env.cat.getStatus().state, States.IDLE);
+});
+
+test('typing far from the cat is ignored, but a storm of deletes startles it', () => {
+  const env = idleCat({ probabilities: { deleteJump: 1 } });
+  const { States } = env.TinyCat;
+  drive(env, [[16, 100, 100]], 100);
+
+  type(env, 10, 150);
+  assert.strictEqual(env.cat.getStatus().state, States.IDLE);
+  type(env, 6, 100, 'Backspace');
+  assert.strictEqual(env.cat.getStatus().state, States.STARTLED);
+});
+
+test('a hard fling jolts the cat and may knock it over; reading relaxes it', () => {
+  const env = idleCat({ probabilities: { flingFall: 1, readGroom: 1 } });
+  const { States } = env.TinyCat;
+  const scroll = (y) => drive(env, [[1, 'scroll', y, 5000]], 20);
+
+  scroll(0);
+  scroll(200);
+  assert.strictEqual(env.cat.getStatus().state, States.FALLING);
+  assert.ok(env.cat._renderer._wobbleStart > 0, 'rocked by the fling');
+
+  drive(env, [], 3000);
+  for (let y = 210; y <= 600; y += 10) drive(env, [[16, 'scroll', y, 5000]], 100);
+  drive(env, [], 4100);
+  assert.strictEqual(env.cat.getStatus().state, States.GROOMING);
+});
+
+test('a due break walks the cat to the middle, meowing until tapped', () => {
+  const env = idleCat();
+  const { States } = env.TinyCat;
+  const renderer = env.cat._renderer;
+  const acknowledged = [];
+  env.cat.onBreakAcknowledged(() => acknowledged.push(true));
+
+  env.cat.setFocus({ phase: 'work', endsAt: 1000, remaining: null, sessions: 0 });
+  assert.strictEqual(env.cat.getStatus().state, States.IDLE);
+  env.cat.setFocus({ phase: 'due', endsAt: null, remaining: null, sessions: 1 });
+  assert.strictEqual(env.cat.getStatus().state, States.REMINDING);
+  assert.strictEqual(renderer._currentSpriteKey, 'walk', 'walks out');
+
+  drive(env, [], 15000);
+  assert.strictEqual(env.cat.getStatus().state, States.REMINDING, 'never settles on its own');
+  assert.strictEqual(renderer._currentSpriteKey, 'meow');
+  const center = env.window.innerWidth / 2;
+  assert.ok(Math.abs(renderer.position.x - center) < 1, 'at the middle: ' + renderer.position.x);
+  const overlay = renderer._overlayEl.children;
+  assert.strictEqual(overlay.length && overlay[0].className, 'tinycat-bubble', 'asks in a speech bubble');
+
+  // Near cursors and the like don't distract it; a tap answers it
+  env.cat._handleEvent(env.TinyCat.Events.NEAR_CURSOR);
+  env.cat._handleEvent(env.TinyCat.Events.CLICK);
+  assert.strictEqual(env.cat.getStatus().state, States.REMINDING);
+  assert.strictEqual(acknowledged.length, 1);
+
+  // Once the timer agrees, the break starts and the cat sleeps through it
+  env.cat.setFocus({ phase: 'break', endsAt: 5000, remaining: null, sessions: 1 });
+  assert.strictEqual(env.cat.getStatus().state, States.ON_BREAK);
+  assert.strictEqual(renderer._currentSpriteKey, 'sleep');
+  drive(env, [], 15000);
+  assert.strictEqual(env.cat.getStatus().state, States.ON_BREAK);
+
+  env.cat.setFocus({ phase: 'work', endsAt: 9000, remaining: null, sessions: 1 });
+  assert.strictEqual(env.cat.getStatus().state, States.IDLE);
+});
+
+test('a cat asking for a break goes back to asking after being picked up', () => {
+  const env = idleCat();
+  const { States, Events } = env.TinyCat;
+  env.cat.setFocus({ phase: 'due', endsAt: null, remaining: null, sessions: 1 });
+  drive(env, [], 8000);
+
+  env.cat._onGrab(200, 200);
+  assert.strictEqual(env.cat.getStatus().state, States.HELD);
+  // The timer moving on while held waits for the landing
+  env.cat.setFocus({ phase: 'break', endsAt: 5000, remaining: null, sessions: 1 });
+  assert.strictEqual(env.cat.getStatus().state, States.HELD);
+  env.cat._onDrop();
+  drive(env, [], 3000);
+  assert.strictEqual(env.cat.getStatus().state, States.ON_BREAK);
+  assert.strictEqual(env.cat._sm.history.slice(-1)[0].event, Events.BREAK_STARTED);
+});
+
+test('a cat started mid-break sleeps straight away', () => {
+  const env = loadTinyCat();
+  const cat = new env.TinyCat.Cat();
+  cat.setFocus({ phase: 'break', endsAt: 5000, remaining: null, sessions: 2 });
+  cat.start();
+  assert.strictEqual(cat.getStatus().state, env.TinyCat.States.ON_BREAK);
+});
+
+test('a long rest on the page no longer sends the cat to sleep; the system going idle does', () => {
+  const env = idleCat({ probabilities: { idleWander: 0 } });
+  const { States } = env.TinyCat;
+  drive(env, [], 120000);
+  assert.strictEqual(env.states.indexOf(States.SLEEP), -1);
+
+  env.cat.setSystemIdle('idle');
+  assert.strictEqual(env.cat.getStatus().state, States.SLEEP);
+  env.cat.setSystemIdle('active');
+  assert.strictEqual(env.cat.getStatus().state, States.ALERT_SLEEP);
+});
+
+test('locking the screen puts the cat to sleep whatever it was doing, bar a break', () => {
+  const env = idleCat();
+  const { States, Events } = env.TinyCat;
+  env.cat._sm.reset(States.WATCHING);
+  env.cat.setSystemIdle('locked');
+  assert.strictEqual(env.cat.getStatus().state, States.SLEEP);
+  assert.strictEqual(env.cat._sm.history.slice(-1)[0].event, Events.SYSTEM_LOCKED);
+  // Idle after the lock changes nothing; coming back wakes it drowsy
+  env.cat.setSystemIdle('idle');
+  assert.strictEqual(env.cat.getStatus().state, States.SLEEP);
+  env.cat.setSystemIdle('active');
+  assert.strictEqual(env.cat.getStatus().state, States.ALERT_SLEEP);
+
+  env.cat.setFocus({ phase: 'break', endsAt: 5000, remaining: null, sessions: 1 });
+  env.cat.setSystemIdle('locked');
+  env.cat.setSystemIdle('active');
+  assert.strictEqual(env.cat.getStatus().state, States.ON_BREAK);
+});
+
+
+test('feeding the cat makes it eat at home and reports the meal', () => {
+  const env = idleCat();
+  const { States, Events, Needs } = env.TinyCat;
+  const changes = [];
+  env.cat.onNeedsChanged((change) => changes.push(change));
+
+  assert.strictEqual(env.cat.feed(), true);
+  assert.strictEqual(env.cat.getStatus().state, States.EATING);
+  assert.strictEqual(env.cat._sm.history.slice(-1)[0].event, Events.FED);
+  assert.strictEqual(env.cat._renderer._currentSpriteKey, 'eat');
+  assert.deepStrictEqual(changes, [Needs.FEED]);
+  drive(env, [], 4100);
+  assert.notStrictEqual(env.cat.getStatus().state, States.EATING);
+
+  // Not while dangling from the user's hand
+  env.cat._onGrab(200, 200);
+  assert.strictEqual(env.cat.feed(), false);
+  assert.strictEqual(env.cat.getStatus().state, States.HELD);
+});
+
+test('a cat on a behavior written before eating still finishes its meal', () => {
+  const env = idleCat();
+  const { States, defaultBehavior } = env.TinyCat;
+  const old = JSON.parse(JSON.stringify(defaultBehavior));
+  old.states = old.states.filter((state) => state !== States.EATING);
+  delete old.transitions[States.EATING];
+  delete old.durations[States.EATING];
+  env.cat.setBehavior(old);
+
+  assert.strictEqual(env.cat.feed(), true);
+  assert.strictEqual(env.cat.getStatus().state, States.EATING);
+  drive(env, [], defaultBehavior.durations[States.EATING] + 100);
+  assert.strictEqual(env.cat.getStatus().state, States.IDLE);
+});
+
+test('pouncing costs energy, and stored needs set the mood', () => {
+  const env = idleCat();
+  const { States, Needs } = env.TinyCat;
+  const changes = [];
+  env.cat.onNeedsChanged((change) => changes.push(change));
+  env.cat._sm.reset(States.POUNCE);
+  assert.deepStrictEqual(changes, [Needs.POUNCE]);
+
+  const now = env.window.Date.now();
+  env.cat.setNeeds({ energy: 0.1, hunger: 0.5, affection: 0.5, resting: false, updatedAt: now });
+  assert.deepStrictEqual(plain(env.cat._sm._mood), plain(Needs.mood({ energy: 0.1, hunger: 0.5, affection: 0.5 })));
+
+  // Held still while recording, so the trace replays; caught up after
+  env.cat.startRecording();
+  env.cat.setNeeds({ energy: 1, hunger: 0, affection: 1, updatedAt: now });
+  assert.strictEqual(env.cat._sm._mood.restful, Needs.mood({ energy: 0.1 }).restful);
+  assert.deepStrictEqual(plain(env.cat.stopRecording().needs), { energy: 0.1, hunger: 0.5, affection: 0.5 });
+  assert.strictEqual(env.cat._sm._mood.restful, 0);
+});
+
+test('a sleeping cat rests until it wakes; dozing between naps still counts', () => {
+  const env = idleCat();
+  const { States } = env.TinyCat;
+  const changes = [];
+  env.cat.onNeedsChanged((change) => changes.push(change));
+
+  env.cat._sm.reset(States.SLEEP);
+  assert.strictEqual(env.cat.resting, true);
+  env.cat._sm.reset(States.ALERT_SLEEP);
+  assert.strictEqual(env.cat.resting, true);
+  env.cat._sm.reset(States.SLEEP);
+  env.cat._sm.reset(States.STARTLED);
+  assert.strictEqual(env.cat.resting, false);
+  assert.deepStrictEqual(plain(changes), [{ resting: true }, { resting: true }, { resting: false }]);
+
+  // Breaks are slept through too
+  changes.length = 0;
+  env.cat.setFocus({ phase: 'break', endsAt: 5000, remaining: null, sessions: 1 });
+  env.cat.setFocus({ phase: 'off' });
+  assert.deepStrictEqual(plain(changes), [{ resting: true }, { resting: false }]);
+});
+
+/** Moves stroking the cat's box back and forth `count` times, `step` px per frame. */
+function strokes(rect, count, step) {
+  const input = [];
+  const y = (rect.top + rect.bottom) / 2;
+  let x = rect.left + 2;
+  let t = 16;
+  input.push([t, x, y]);
+  for (let i = 0; i < count; i++) {
+    const dir = i % 2 ? -1 : 1;
+    for (let s = 0; s < 32 / step; s++) {
+      t += 16;
+      x += dir * step;
+      input.push([t, x, y]);
+    }
+  }
+  return input;
+}
+
+test('petting makes the cat purr with hearts until it stops; overdoing it annoys the cat', () => {
+  const env = idleCat({ probabilities: { nearStretch: 0, nearPounce: 0 } });
+  const { States, Needs } = env.TinyCat;
+  const changes = [];
+  env.cat.onNeedsChanged((change) => changes.push(change));
+  const rect = env.cat._renderer.rect;
+
+  drive(env, strokes(rect, 4, 4), 700);
+  assert.strictEqual(env.cat.getStatus().state, States.PURRING);
+  assert.strictEqual(env.cat._renderer._currentSpriteKey, 'purr');
+  const hearts = Array.from(env.cat._renderer._overlayEl.children);
+  assert.ok(hearts.length > 0 && hearts.every((el) => el.className === 'tinycat-heart'));
+  assert.deepStrictEqual(changes, [Needs.PET]);
+
+  drive(env, [], 1200);
+  assert.strictEqual(env.cat.getStatus().state, States.IDLE, 'settles once the stroking stops');
+
+  // Stroking hard once it has begun
+  const rough = strokes(rect, 2, 4).concat(strokes(rect, 1, 16).map((m) => [m[0] + 600, m[1], m[2]]));
+  drive(env, rough, 800);
+  assert.strictEqual(env.cat.getStatus().state, States.ANNOYED);
+  assert.strictEqual(env.cat._renderer._currentSpriteKey, 'annoyed');
+  drive(env, [], 1600);
+  assert.strictEqual(env.cat.getStatus().state, States.IDLE);
+});
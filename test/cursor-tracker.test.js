@@ -0,0 +1,489 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTinyCat } = require('./harness');
+
+/**
+ * Start a tracker with the cat parked at catPos (default: far away, so only
+ * CURSOR_AWAY proximity events fire) and helpers to move the cursor. Pass
+ * catRect to give the cat a box that can be petted.
+ */
+function tracker(catPos, catRect) {
+  const env = loadTinyCat();
+  const events = [];
+  const t = new env.TinyCat.CursorTracker(
+    (e) => events.push(e),
+    () => catPos || { x: -10000, y: -10000 },
+    catRect && (() => catRect),
+  );
+  t.start();
+  env.frames.step();
+
+  return {
+    env,
+    t,
+    Events: env.TinyCat.Events,
+    /** Move the pointer (a mouse unless given) to (x, y) and run one tracker tick. */
+    moveTo(x, y, pointerType) {
+      env.document.dispatch('pointermove', { clientX: x, clientY: y, pointerType: pointerType || 'mouse' });
+      env.frames.step();
+    },
+    /** Touch down or lift a finger (or pen) at (x, y). */
+    press(type, x, y, pointerType) {
+      env.document.dispatch(type, { clientX: x, clientY: y, pointerType: pointerType || 'touch', isPrimary: true });
+    },
+    /** Events seen so far, minus proximity noise unless asked for. */
+    seen(keepProximity) {
+      const E = env.TinyCat.Events;
+      return events.filter((e) => keepProximity || (e !== E.CURSOR_AWAY && e !== E.NEAR_CURSOR));
+    },
+    count(event) {
+      return events.filter((e) => e === event).length;
+    },
+  };
+}
+
+test('a fast jump emits CURSOR_FAST, a slow move does not', () => {
+  const c = tracker();
+  c.moveTo(650, 400);
+  assert.strictEqual(c.count(c.Events.CURSOR_FAST), 0);
+  c.moveTo(690, 400);
+  assert.strictEqual(c.count(c.Events.CURSOR_FAST), 1);
+});
+
+test('five fast bursts within the window emit REPEATED_FAST', () => {
+  const c = tracker();
+  let x = 640;
+  for (let i = 0; i < 4; i++) {
+    x += 40;
+    c.moveTo(x, 400);
+    c.env.clock.tick(500);
+    x -= 40;
+    c.moveTo(x, 400);
+    c.env.clock.tick(500);
+  }
+  // 8 fast moves in 4 s → one REPEATED_FAST at the 5th, counter reset after
+  assert.strictEqual(c.count(c.Events.CURSOR_FAST), 8);
+  assert.strictEqual(c.count(c.Events.REPEATED_FAST), 1);
+});
+
+test('fast bursts spread past the window do not add up', () => {
+  const c = tracker();
+  let x = 640;
+  for (let i = 0; i < 6; i++) {
+    x += i % 2 ? -40 : 40;
+    c.moveTo(x, 400);
+    c.env.clock.tick(1500);
+  }
+  assert.strictEqual(c.count(c.Events.REPEATED_FAST), 0);
+});
+
+test('a sharp reversal emits DIRECTION_CHANGE', () => {
+  const c = tracker();
+  c.moveTo(650, 400);
+  c.moveTo(660, 400);
+  assert.strictEqual(c.count(c.Events.DIRECTION_CHANGE), 0);
+  c.moveTo(650, 400);
+  assert.strictEqual(c.count(c.Events.DIRECTION_CHANGE), 1);
+});
+
+test('a slow reversal below the speed floor is ignored', () => {
+  const c = tracker();
+  c.moveTo(643, 400);
+  c.moveTo(640, 400);
+  assert.strictEqual(c.count(c.Events.DIRECTION_CHANGE), 0);
+});
+
+test('circling the cursor emits CIRCULAR_MOTION', () => {
+  const c = tracker();
+  const steps = 20;
+  // Circle of radius 50 starting at the cursor's initial (640, 400)
+  for (let i = 1; i <= steps * 2; i++) {
+    const a = (i / steps) * Math.PI * 2;
+    c.moveTo(590 + Math.cos(a) * 50, 400 + Math.sin(a) * 50);
+  }
+  assert.ok(c.count(c.Events.CIRCULAR_MOTION) >= 1);
+  assert.strictEqual(c.count(c.Events.CURSOR_FAST), 0);
+});
+
+test('a straight line never looks circular', () => {
+  const c = tracker();
+  for (let i = 1; i <= 60; i++) c.moveTo(640 + i * 5, 400);
+  assert.strictEqual(c.count(c.Events.CIRCULAR_MOTION), 0);
+});
+
+test('idle emits MEDIUM_IDLE once; long idle is the system\'s to tell', () => {
+  const c = tracker();
+  c.env.clock.tick(4999);
+  c.env.frames.step();
+  assert.deepStrictEqual(c.seen(), []);
+
+  c.env.clock.tick(1);
+  c.env.frames.step();
+  c.env.frames.step();
+  assert.deepStrictEqual(c.seen(), [c.Events.MEDIUM_IDLE]);
+
+  c.env.clock.tick(60000);
+  c.env.frames.step();
+  c.env.frames.step();
+  assert.deepStrictEqual(c.seen(), [c.Events.MEDIUM_IDLE]);
+});
+
+test('moving re-arms the idle detectors', () => {
+  const c = tracker();
+  c.env.clock.tick(5000);
+  c.env.frames.step();
+  c.moveTo(641, 400);
+  c.env.clock.tick(5000);
+  c.env.frames.step();
+  assert.strictEqual(c.count(c.Events.MEDIUM_IDLE), 2);
+});
+
+test('setIdleTimeout sets the medium idle', () => {
+  const c = tracker();
+  c.t.setIdleTimeout(2);
+  c.env.clock.tick(1999);
+  c.env.frames.step();
+  assert.deepStrictEqual(c.seen(), []);
+  c.env.clock.tick(1);
+  c.env.frames.step();
+  assert.deepStrictEqual(c.seen(), [c.Events.MEDIUM_IDLE]);
+});
+
+test('proximity emits NEAR_CURSOR close by and CURSOR_AWAY far off', () => {
+  const c = tracker({ x: 100, y: 100 });
+  const away = c.count(c.Events.CURSOR_AWAY);   // cursor starts mid-viewport
+  assert.ok(away >= 1);
+
+  c.moveTo(120, 120);
+  assert.strictEqual(c.count(c.Events.NEAR_CURSOR), 1);
+
+  // Between near (150) and away (350): neither
+  c.moveTo(300, 100);
+  c.moveTo(300, 101);
+  assert.strictEqual(c.count(c.Events.NEAR_CURSOR), 1);
+  assert.strictEqual(c.count(c.Events.CURSOR_AWAY), away);
+
+  c.moveTo(600, 500);
+  assert.strictEqual(c.count(c.Events.CURSOR_AWAY), away + 1);
+});
+
+test('touch and pen have their own speed thresholds', () => {
+  const c = tracker();
+  // 40 px per sample is a fast mouse flick...
+  c.moveTo(640, 400);
+  c.moveTo(680, 400);
+  assert.strictEqual(c.count(c.Events.CURSOR_FAST), 1);
+
+  // ...but an ordinary finger swipe, and fast for a pen
+  c.press('pointerdown', 100, 100);
+  c.env.frames.step();
+  c.moveTo(140, 100, 'touch');
+  assert.strictEqual(c.count(c.Events.CURSOR_FAST), 1);
+  c.moveTo(210, 100, 'touch');
+  assert.strictEqual(c.count(c.Events.CURSOR_FAST), 2);
+
+  c.press('pointerdown', 300, 100, 'pen');
+  c.env.frames.step();
+  c.moveTo(340, 100, 'pen');
+  assert.strictEqual(c.count(c.Events.CURSOR_FAST), 3);
+  assert.strictEqual(c.t.pointerType, 'pen');
+});
+
+test('touching down far away is not a flick', () => {
+  const c = tracker();
+  c.moveTo(640, 400, 'touch');
+  c.press('pointerdown', 100, 700);
+  c.env.frames.step();
+  c.env.frames.step();
+  assert.strictEqual(c.count(c.Events.CURSOR_FAST), 0);
+  assert.strictEqual(c.t.x, 100);
+});
+
+test('a lifted finger stops counting as near the cat', () => {
+  const c = tracker({ x: 100, y: 100 });
+  c.press('pointerdown', 180, 100);
+  c.moveTo(180, 100, 'touch');
+  assert.strictEqual(c.count(c.Events.NEAR_CURSOR), 1);
+  // Near is 150 px for a mouse but only 100 for a fingertip
+  c.moveTo(230, 100, 'touch');
+  c.moveTo(230, 101, 'touch');
+  assert.strictEqual(c.count(c.Events.NEAR_CURSOR), 1, '130 px is too far for a fingertip');
+
+  const away = c.count(c.Events.CURSOR_AWAY);
+  c.moveTo(180, 100, 'touch');
+  c.press('pointerup', 180, 100);
+  c.env.clock.tick(1000);
+  c.env.frames.step();
+  assert.strictEqual(c.count(c.Events.CURSOR_AWAY), away, 'still lingering');
+  c.env.clock.tick(1000);
+  c.env.frames.step();
+  assert.strictEqual(c.count(c.Events.CURSOR_AWAY), away + 1, 'gone once the linger runs out');
+
+  // A mouse never "lifts"
+  c.moveTo(180, 100);
+  c.env.clock.tick(5000);
+  c.env.frames.step();
+  assert.strictEqual(c.count(c.Events.CURSOR_AWAY), away + 1);
+});
+
+/** Press a key (kind 'key' or 'delete') every `gap` ms, ticking frames. */
+function type(c, count, gap, key) {
+  for (let i = 0; i < count; i++) {
+    c.env.document.dispatch('keydown', { key: key || 'a' });
+    c.env.clock.tick(gap);
+    c.env.frames.step();
+  }
+}
+
+test('a typing burst emits TYPING_BURST once per run, then TYPING_STOPPED after a pause', () => {
+  const c = tracker();
+  type(c, 7, 150);
+  assert.strictEqual(c.count(c.Events.TYPING_BURST), 0);
+  type(c, 10, 150);
+  assert.strictEqual(c.count(c.Events.TYPING_BURST), 1);
+  assert.strictEqual(c.count(c.Events.TYPING_STOPPED), 0);
+
+  c.env.clock.tick(1600);
+  c.env.frames.step();
+  assert.strictEqual(c.count(c.Events.TYPING_STOPPED), 1);
+
+  type(c, 8, 150);
+  assert.strictEqual(c.count(c.Events.TYPING_BURST), 2, 'a new run can burst again');
+});
+
+test('a reset mid-run ends the typing run; a reset without one emits nothing', () => {
+  const c = tracker();
+  type(c, 10, 150);
+  assert.strictEqual(c.count(c.Events.TYPING_BURST), 1);
+  c.t.reset(640, 400);
+  assert.strictEqual(c.count(c.Events.TYPING_STOPPED), 1);
+
+  c.env.clock.tick(2000);
+  c.env.frames.step();
+  c.t.reset(640, 400);
+  assert.strictEqual(c.count(c.Events.TYPING_STOPPED), 1, 'no second stop');
+});
+
+test('slow typing is no burst; modifiers and shortcuts are not typing', () => {
+  const c = tracker();
+  type(c, 10, 400);
+  ['Shift', 'Control', 'Meta'].forEach((key) => type(c, 10, 50, key));
+  for (let i = 0; i < 10; i++) c.env.document.dispatch('keydown', { key: 'c', ctrlKey: true });
+  assert.strictEqual(c.count(c.Events.TYPING_BURST), 0);
+
+  const { keyKind } = c.env.TinyCat.CursorTracker;
+  assert.strictEqual(keyKind({ key: 'Backspace' }), 'delete');
+  assert.strictEqual(keyKind({ key: 'Delete', ctrlKey: true }), 'delete');
+  assert.strictEqual(keyKind({ key: 'q' }), 'key');
+  assert.strictEqual(keyKind({ key: 'Alt' }), null);
+});
+
+test('an unbroken run of typing emits TYPING_SUSTAINED once', () => {
+  const c = tracker();
+  type(c, 120, 150);
+  assert.strictEqual(c.count(c.Events.TYPING_SUSTAINED), 1);
+  assert.strictEqual(c.count(c.Events.TYPING_STOPPED), 0);
+});
+
+test('a storm of deletes emits BACKSPACE_STORM', () => {
+  const c = tracker();
+  type(c, 5, 100, 'Backspace');
+  assert.strictEqual(c.count(c.Events.BACKSPACE_STORM), 0);
+  type(c, 7, 100, 'Backspace');
+  assert.strictEqual(c.count(c.Events.BACKSPACE_STORM), 2);
+});
+
+test('typing holds off the idle timers', () => {
+  const c = tracker();
+  for (let i = 0; i < 40; i++) type(c, 1, 1000);
+  assert.strictEqual(c.count(c.Events.MEDIUM_IDLE), 0);
+  assert.strictEqual(c.count(c.Events.LONG_IDLE), 0);
+  c.env.clock.tick(5000);
+  c.env.frames.step();
+  assert.strictEqual(c.count(c.Events.MEDIUM_IDLE), 1);
+});
+
+/** Scroll the page to y (of `max`) and run one tracker tick. */
+function scrollTo(c, y, max) {
+  c.env.window.scrollY = y;
+  c.env.document.documentElement.scrollHeight = (max === undefined ? 5000 : max) + c.env.window.innerHeight;
+  c.env.window.dispatch('scroll');
+  c.env.frames.step();
+}
+
+test('a hard fling emits SCROLL_FLING once until the scrolling slows', () => {
+  const c = tracker();
+  scrollTo(c, 50);
+  scrollTo(c, 200);
+  scrollTo(c, 350);
+  scrollTo(c, 500);
+  assert.strictEqual(c.count(c.Events.SCROLL_FLING), 1);
+  scrollTo(c, 510);
+  scrollTo(c, 700);
+  assert.strictEqual(c.count(c.Events.SCROLL_FLING), 2);
+  assert.strictEqual(c.t.scrollSpeed, 190);
+});
+
+test('arriving at the top or bottom fast emits SCROLL_BOUNCE', () => {
+  const c = tracker();
+  scrollTo(c, 900, 1000);
+  scrollTo(c, 1000, 1000);
+  assert.strictEqual(c.count(c.Events.SCROLL_BOUNCE), 1);
+  scrollTo(c, 990, 1000);
+  scrollTo(c, 1000, 1000);
+  assert.strictEqual(c.count(c.Events.SCROLL_BOUNCE), 1, 'easing into the end is no bounce');
+  scrollTo(c, 60, 1000);
+  scrollTo(c, 0, 1000);
+  assert.strictEqual(c.count(c.Events.SCROLL_BOUNCE), 2);
+});
+
+test('a pause after reading-pace scrolling emits READING_PAUSE once', () => {
+  const c = tracker();
+  for (let y = 10; y <= 400; y += 10) {
+    scrollTo(c, y);
+    c.env.clock.tick(100);
+  }
+  c.env.clock.tick(3000);
+  c.env.frames.step();
+  assert.strictEqual(c.count(c.Events.READING_PAUSE), 0);
+  c.env.clock.tick(1000);
+  c.env.frames.step();
+  c.env.clock.tick(2000);
+  c.env.frames.step();
+  assert.strictEqual(c.count(c.Events.READING_PAUSE), 1);
+
+  // Skimming fast is not reading
+  for (let y = 500; y <= 2000; y += 60) scrollTo(c, y);
+  c.env.clock.tick(5000);
+  c.env.frames.step();
+  assert.strictEqual(c.count(c.Events.READING_PAUSE), 1);
+});
+
+test('scrolling holds off the idle timers; thresholds are configurable', () => {
+  const c = tracker();
+  c.t.setConfig({ scrollFlingSpeed: 1000 });
+  for (let i = 1; i <= 30; i++) {
+    scrollTo(c, i * 300);
+    c.env.clock.tick(1000);
+  }
+  assert.strictEqual(c.count(c.Events.MEDIUM_IDLE), 0);
+  assert.strictEqual(c.count(c.Events.SCROLL_FLING), 0);
+});
+
+/** The cat's box for petting tests: 45 x 55 px at (100, 100). */
+const CAT_RECT = { left: 100, top: 100, right: 145, bottom: 155 };
+
+/**
+ * Stroke 40 px across the cat's box and back `count` times from where the
+ * pointer is (its left or right edge), `step` px per ~16ms sample.
+ */
+function stroke(c, count, step, pointerType) {
+  let x = c.t.x;
+  let dir = x < 120 ? 1 : -1;
+  for (let i = 0; i < count; i++) {
+    for (let s = 0; s < 40 / step; s++) {
+      x += dir * step;
+      c.env.clock.tick(16);
+      c.moveTo(x, 130, pointerType);
+    }
+    dir = -dir;
+  }
+}
+
+test('slow strokes back and forth over the cat emit PETTING once, then PETTING_STOPPED', () => {
+  const c = tracker({ x: 122, y: 127 }, CAT_RECT);
+  c.moveTo(100, 130);
+  const fast = c.count(c.Events.CURSOR_FAST);   // arriving from mid-viewport
+  stroke(c, 2, 4);
+  assert.strictEqual(c.count(c.Events.PETTING), 0, 'two strokes are not petting yet');
+  stroke(c, 3, 4);
+  assert.strictEqual(c.count(c.Events.PETTING), 1);
+  assert.strictEqual(c.count(c.Events.PETTING_STOPPED), 0);
+
+  // Resting on the cat is no stroking
+  c.env.clock.tick(600);
+  c.env.frames.step();
+  assert.strictEqual(c.count(c.Events.PETTING_STOPPED), 0);
+  c.env.clock.tick(600);
+  c.env.frames.step();
+  assert.strictEqual(c.count(c.Events.PETTING_STOPPED), 1);
+  assert.strictEqual(c.count(c.Events.PETTING_ROUGH), 0);
+  assert.strictEqual(c.count(c.Events.CURSOR_FAST), fast);
+});
+
+test('passing over the cat, or stroking beside it, is not petting', () => {
+  const c = tracker({ x: 122, y: 127 }, CAT_RECT);
+  c.moveTo(100, 130);
+  stroke(c, 1, 4);
+  c.moveTo(300, 130);
+  c.env.clock.tick(2000);
+  c.env.frames.step();
+
+  c.moveTo(200, 130);
+  for (let i = 0; i < 6; i++) {
+    for (let s = 0; s < 10; s++) {
+      c.env.clock.tick(16);
+      c.moveTo(200 + (i % 2 ? 40 - s * 4 : s * 4), 130);
+    }
+  }
+  assert.deepStrictEqual(c.seen().filter((e) => e.startsWith('petting')), []);
+});
+
+test('stroking too fast, or petting too long, emits PETTING_ROUGH', () => {
+  const c = tracker({ x: 122, y: 127 }, CAT_RECT);
+  c.moveTo(100, 130);
+  stroke(c, 1, 4);
+  stroke(c, 1, 20);
+  assert.strictEqual(c.count(c.Events.PETTING_ROUGH), 1);
+  assert.strictEqual(c.count(c.Events.PETTING), 0);
+
+  c.t.setConfig({ petMaxMs: 1000 });
+  c.env.clock.tick(2000);
+  c.env.frames.step();
+  stroke(c, 3, 4);
+  assert.strictEqual(c.count(c.Events.PETTING), 1);
+  stroke(c, 10, 4);
+  assert.strictEqual(c.count(c.Events.PETTING_ROUGH), 2);
+  assert.strictEqual(c.count(c.Events.PETTING_STOPPED), 0);
+});
+
+test('a reset mid-petting ends the petting', () => {
+  const c = tracker({ x: 122, y: 127 }, CAT_RECT);
+  c.moveTo(100, 130);
+  stroke(c, 3, 4);
+  assert.strictEqual(c.count(c.Events.PETTING), 1);
+  c.t.reset(120, 130);
+  assert.strictEqual(c.count(c.Events.PETTING_STOPPED), 1);
+  c.env.clock.tick(2000);
+  c.env.frames.step();
+  assert.strictEqual(c.count(c.Events.PETTING_STOPPED), 1);
+});
+
+test('a finger on the cat is not petting; a hovering pen is', () => {
+  const c = tracker({ x: 122, y: 127 }, CAT_RECT);
+  c.press('pointerdown', 100, 130);
+  stroke(c, 5, 4, 'touch');
+  assert.strictEqual(c.count(c.Events.PETTING), 0);
+
+  c.moveTo(100, 130, 'pen');
+  stroke(c, 5, 4, 'pen');
+  assert.strictEqual(c.count(c.Events.PETTING), 1);
+});
+
+test('page clicks are ignored; stop detaches every listener', () => {
+  const c = tracker();
+  assert.strictEqual(c.env.document.listenerCount('click'), 0);
+  c.env.document.dispatch('click');
+  assert.strictEqual(c.count(c.Events.CLICK), 0);
+
+  c.t.stop();
+  assert.strictEqual(c.env.document.listenerCount('click'), 0);
+  ['pointermove', 'pointerdown', 'pointerup', 'pointercancel'].forEach((type) => {
+    assert.strictEqual(c.env.document.listenerCount(type), 0, type);
+  });
+  assert.strictEqual(c.env.document.listenerCount('keydown'), 0);
+  assert.strictEqual(c.env.window.listenerCount('scroll'), 0);
+  assert.strictEqual(c.env.frames.pending(), 0);
+});
@@ -0,0 +1,210 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTinyCat, startedCat } = require('./harness');
+const { drive } = require('./replay');
+
+/** A primary pointer event at (x, y); a left-button mouse unless told otherwise. */
+function pointer(x, y, pointerType, extra) {
+  return Object.assign({
+    clientX: x, clientY: y, pointerType: pointerType || 'mouse', pointerId: 1, isPrimary: true, button: 0,
+    prevented: false,
+    preventDefault() { this.prevented = true; },
+  }, extra);
+}
+
+/** A started cat sitting at home, with its container to press on. */
+function pressableCat() {
+  const env = startedCat();
+  drive(env, [], 1000);
+  const el = env.document.getElementById('tinycat-container');
+  const press = (type, x, y, pointerType, extra) => {
+    const e = pointer(x, y, pointerType, extra);
+    env.document.dispatch(type, e);
+    return e;
+  };
+  return Object.assign(env, { el, press, renderer: env.cat._renderer });
+}
+
+test('a press that barely moves is a tap on the cat', () => {
+  const env = pressableCat();
+  const { States } = env.TinyCat;
+  const home = env.renderer.homePosition;
+
+  const down = env.press('pointerdown', home.x, home.y);
+  assert.strictEqual(down.prevented, true, 'no text selection from pressing the cat');
+  env.press('pointermove', home.x + 2, home.y + 1);
+  env.press('pointerup', home.x + 2, home.y + 1);
+  assert.strictEqual(env.cat.getStatus().state, States.STARTLED);
+  assert.strictEqual(env.document.listenerCount('pointerup'), 1, 'release listeners go away');
+});
+
+test('clicks elsewhere on the page leave the cat alone', () => {
+  const env = pressableCat();
+  const home = env.renderer.homePosition;
+  const down = env.press('pointerdown', 100, 100);
+  env.press('pointerup', 100, 100);
+  assert.strictEqual(down.prevented, false, 'the page keeps its clicks');
+  // A mouse has to actually hit the cat; near misses are page clicks
+  env.press('pointerdown', home.x - 45, home.y);
+  env.press('pointerup', home.x - 45, home.y);
+  // So does anything but the left button
+  env.press('pointerdown', home.x, home.y, 'mouse', { button: 2 });
+  env.press('pointerup', home.x, home.y, 'mouse', { button: 2 });
+  assert.strictEqual(env.cat.getStatus().state, env.TinyCat.States.IDLE);
+});
+
+test('a finger or pen tapping just beside the cat still counts', () => {
+  const env = pressableCat();
+  const { States } = env.TinyCat;
+  const home = env.renderer.homePosition;
+
+  const down = env.press('pointerdown', home.x - 45, home.y, 'touch');
+  assert.strictEqual(down.prevented, false, 'the page can still scroll from there');
+  env.press('pointerup', home.x - 45, home.y, 'touch');
+  assert.strictEqual(env.cat.getStatus().state, States.STARTLED);
+
+  // A near press can't pick the cat up: sliding off it is a page swipe
+  env.cat._sm.reset(States.IDLE, 'test');
+  env.press('pointerdown', home.x - 45, home.y, 'pen');
+  env.press('pointermove', home.x - 100, home.y, 'pen');
+  env.press('pointerup', home.x - 100, home.y, 'pen');
+  assert.strictEqual(env.cat.getStatus().state, States.IDLE);
+
+  // Far away is still just the page
+  env.press('pointerdown', 100, 100, 'touch');
+  env.press('pointerup', 100, 100, 'touch');
+  assert.strictEqual(env.cat.getStatus().state, States.IDLE);
+});
+
+test('dragging holds the cat under the pointer and dropping makes a new home', () => {
+  const env = pressableCat();
+  const { States, Events } = env.TinyCat;
+  const home = env.renderer.homePosition;
+
+  env.press('pointerdown', home.x, home.y);
+  env.press('pointermove', home.x - 20, home.y - 20);
+  assert.strictEqual(env.cat.getStatus().state, States.HELD);
+  assert.strictEqual(env.el.classList.contains('tinycat-held'), true);
+
+  env.press('pointermove', 400, 300);
+  drive(env, [], 100);
+  const held = env.renderer.position;
+  assert.ok(Math.abs(held.x - 400) < 1, 'centered under the pointer');
+  assert.ok(held.y > 300 && held.y < 360, 'hanging just below it');
+
+  env.press('pointerup', 400, 300);
+  const status = env.cat.getStatus();
+  assert.strictEqual(status.state, States.FALLING);
+  assert.strictEqual(status.history[status.history.length - 1].event, Events.DROPPED);
+  assert.strictEqual(env.el.classList.contains('tinycat-held'), false);
+
+  const newHome = env.renderer.homePosition;
+  // Sprites differ in width, so the center shifts by a few cells between poses
+  assert.ok(Math.abs(newHome.x - 400) < 20, 'home moved under the drop spot');
+
+  // Gravity brings it down to the home row, faster and faster
+  const ys = [env.renderer.position.y];
+  for (let i = 0; i < 20; i++) {
+    drive(env, [], 50);
+    ys.push(env.renderer.position.y);
+  }
+  const landedAt = ys.indexOf(ys[ys.length - 1]);
+  assert.ok(landedAt > 3 && landedAt < 15, 'lands in well under a second');
+  for (let i = 2; i < landedAt; i++) {
+    assert.ok(ys[i] - ys[i - 1] > ys[i - 1] - ys[i - 2], 'speeding up at step ' + i);
+  }
+  assert.strictEqual(env.renderer.position.x, newHome.x);
+
+  drive(env, [], 3000);
+  assert.notStrictEqual(env.cat.getStatus().state, States.FALLING);
+  const rest = env.renderer.position;
+  const settled = env.renderer.homePosition;
+  assert.ok(Math.abs(rest.x - settled.x) < 1 && Math.abs(rest.y - settled.y) < 1, 'stays at the new home');
+  assert.strictEqual(settled.y, home.y, 'on the same row as before');
+});
+
+test('losing focus mid-drag drops the cat; stop detaches the handler', () => {
+  const env = pressableCat();
+  const { States } = env.TinyCat;
+  const home = env.renderer.homePosition;
+
+  env.press('pointerdown', home.x, home.y);
+  env.press('pointermove', 900, 500);
+  env.window.dispatch('blur');
+  assert.strictEqual(env.cat.getStatus().state, States.FALLING);
+  assert.strictEqual(env.document.listenerCount('pointermove'), 1, 'only the tracker is left');
+
+  env.cat.stop();
+  ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'].forEach((type) => {
+    assert.strictEqual(env.document.listenerCount(type), 0, type);
+  });
+});
+
+test('a finger can pick the cat up too, and only the first finger counts', () => {
+  const env = pressableCat();
+  const { States } = env.TinyCat;
+  const home = env.renderer.homePosition;
+
+  env.press('pointerdown', home.x, home.y, 'touch');
+  env.press('pointerdown', 300, 300, 'touch', { pointerId: 2, isPrimary: false });
+  env.press('pointermove', 200, 200, 'touch', { pointerId: 2, isPrimary: false });
+  assert.strictEqual(env.cat.getStatus().state, States.IDLE, 'a second finger moves nothing');
+  env.press('pointermove', 600, 400, 'touch');
+  assert.strictEqual(env.cat.getStatus().state, States.HELD);
+  env.press('pointerup', 200, 200, 'touch', { pointerId: 2, isPrimary: false });
+  assert.strictEqual(env.cat.getStatus().state, States.HELD);
+  env.press('pointerup', 600, 400, 'touch');
+  assert.strictEqual(env.cat.getStatus().state, States.FALLING);
+  assert.ok(Math.abs(env.renderer.homePosition.x - 600) < 20);
+});
+
+test('a cancelled press never taps, but a cancelled drag still drops', () => {
+  const env = pressableCat();
+  const { States } = env.TinyCat;
+  const home = env.renderer.homePosition;
+
+  env.press('pointerdown', home.x, home.y, 'touch');
+  env.press('pointercancel', home.x, home.y, 'touch');
+  assert.strictEqual(env.cat.getStatus().state, States.IDLE);
+
+  env.press('pointerdown', home.x, home.y, 'touch');
+  env.press('pointermove', 500, 300, 'touch');
+  env.press('pointercancel', 0, 0, 'touch');
+  assert.strictEqual(env.cat.getStatus().state, States.FALLING);
+  assert.ok(Math.abs(env.renderer.homePosition.x - 500) < 20, 'dropped where it was last held');
+});
+
+test('with home set to the drop spot, drops are reported and survive resizes', () => {
+  const env = pressableCat();
+  const saved = [];
+  env.cat.onHomeDropped((anchor) => saved.push(anchor));
+
+  const home = env.renderer.homePosition;
+  env.press('pointerdown', home.x, home.y);
+  env.press('pointermove', 200, 300);
+  env.press('pointerup', 200, 300);
+  assert.strictEqual(saved.length, 0, 'corner homes keep their setting');
+  drive(env, [], 3000);
+
+  env.cat.applySettings({ home: 'dropped' });
+  const at = env.renderer.position;
+  env.press('pointerdown', at.x, at.y);
+  env.press('pointermove', 200, 300);
+  env.press('pointerup', 200, 300);
+  assert.strictEqual(saved.length, 1);
+  assert.strictEqual(saved[0].corner, 'bottom-left');
+  assert.strictEqual(saved[0].y, 40, 'fell to the home row');
+
+  const x = env.renderer._homeX;
+  env.window.innerWidth = 900;
+  env.window.dispatch('resize');
+  assert.strictEqual(env.renderer._homeX, x, 'anchored to the left edge it was dropped near');
+
+  // Another tab picks the saved spot up from settings
+  const other = loadTinyCat({ width: 900 });
+  const cat = new other.TinyCat.Cat();
+  cat.applySettings({ home: 'dropped', homeDrop: saved[0] });
+  assert.strictEqual(cat._renderer._homeX, x);
+});
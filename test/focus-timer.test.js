@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTinyCat, plain } = require('./harness');
+
+const MINUTE = 60 * 1000;
+const LENGTHS = { work: 25, break: 5 };
+
+function timerLib() {
+  return loadTinyCat().TinyCat.FocusTimer;
+}
+
+test('a started timer works, comes due, then breaks and goes back to work', () => {
+  const FocusTimer = timerLib();
+  let timer = FocusTimer.update(null, 'start', 0, LENGTHS);
+  assert.deepStrictEqual(plain(timer), { phase: 'work', endsAt: 25 * MINUTE, remaining: null, sessions: 0 });
+
+  // An early alarm (or one for an older interval) changes nothing
+  assert.strictEqual(FocusTimer.update(timer, 'elapse', 10 * MINUTE, LENGTHS), timer);
+
+  timer = FocusTimer.update(timer, 'elapse', 25 * MINUTE, LENGTHS);
+  assert.deepStrictEqual(plain(timer), { phase: 'due', endsAt: null, remaining: null, sessions: 1 });
+  // Due waits for the user, however long it takes
+  assert.strictEqual(FocusTimer.update(timer, 'elapse', 90 * MINUTE, LENGTHS), timer);
+
+  timer = FocusTimer.update(timer, 'acknowledge', 30 * MINUTE, LENGTHS);
+  assert.deepStrictEqual(plain(timer), { phase: 'break', endsAt: 35 * MINUTE, remaining: null, sessions: 1 });
+
+  timer = FocusTimer.update(timer, 'elapse', 35 * MINUTE, LENGTHS);
+  assert.deepStrictEqual(plain(timer), { phase: 'work', endsAt: 60 * MINUTE, remaining: null, sessions: 1 });
+});
+
+test('pausing keeps the time left until resumed', () => {
+  const FocusTimer = timerLib();
+  let timer = FocusTimer.update(null, 'start', 0, LENGTHS);
+  timer = FocusTimer.update(timer, 'pause', 10 * MINUTE, LENGTHS);
+  assert.ok(FocusTimer.isPaused(timer));
+  assert.strictEqual(FocusTimer.timeLeft(timer, 50 * MINUTE), 15 * MINUTE);
+  assert.strictEqual(FocusTimer.update(timer, 'elapse', 50 * MINUTE, LENGTHS), timer);
+
+  timer = FocusTimer.update(timer, 'resume', 50 * MINUTE, LENGTHS);
+  assert.ok(!FocusTimer.isPaused(timer));
+  assert.strictEqual(timer.endsAt, 65 * MINUTE);
+  assert.strictEqual(FocusTimer.timeLeft(timer, 60 * MINUTE), 5 * MINUTE);
+});
+
+test('skipping moves on without counting the session', () => {
+  const FocusTimer = timerLib();
+  let timer = FocusTimer.update(null, 'start', 0, LENGTHS);
+  timer = FocusTimer.update(timer, 'skip', MINUTE, LENGTHS);
+  assert.deepStrictEqual(plain(timer), { phase: 'break', endsAt: 6 * MINUTE, remaining: null, sessions: 0 });
+  timer = FocusTimer.update(timer, 'skip', 2 * MINUTE, LENGTHS);
+  assert.deepStrictEqual(plain(timer), { phase: 'work', endsAt: 27 * MINUTE, remaining: null, sessions: 0 });
+
+  // Skipping a due break takes it, like tapping the cat
+  const due = { phase: 'due', endsAt: null, remaining: null, sessions: 3 };
+  assert.deepStrictEqual(plain(FocusTimer.update(due, 'skip', 0, LENGTHS)),
+    { phase: 'break', endsAt: 5 * MINUTE, remaining: null, sessions: 3 });
+});
+
+test('a stopped or unknown timer is off and ignores everything but start', () => {
+  const FocusTimer = timerLib();
+  assert.strictEqual(FocusTimer.normalize({ phase: 'nap' }), FocusTimer.OFF);
+  ['pause', 'resume', 'skip', 'acknowledge', 'elapse'].forEach((action) => {
+    assert.strictEqual(FocusTimer.update(undefined, action, 0, LENGTHS), FocusTimer.OFF, action);
+  });
+  const timer = FocusTimer.update(null, 'start', 0, LENGTHS);
+  assert.strictEqual(FocusTimer.update(timer, 'stop', 0, LENGTHS), FocusTimer.OFF);
+  assert.strictEqual(FocusTimer.timeLeft(FocusTimer.OFF, 0), null);
+});
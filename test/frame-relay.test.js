@@ -0,0 +1,259 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTinyCat, startedCat, plain } = require('./harness');
+
+/**
+ * The background worker for one tab: relays registered by frame id, each
+ * input passed as a copy to the frame it was sent to, with the sender's id.
+ */
+function createTab() {
+  const relays = new Map();
+  return {
+    add(id, relay) {
+      relays.set(id, relay);
+    },
+    sender(id, sent) {
+      return (input, to) => {
+        if (sent) sent.push({ input: plain(input), to });
+        if (relays.has(to)) relays.get(to).receive(plain(input), id);
+      };
+    },
+  };
+}
+
+/**
+ * Put `child` (a harness env) in an <iframe> at `rect` inside `parent`, its
+ * viewport inside a 2px border, and let the two post messages to each
+ * other. Each env's `posted` collects what was posted to its window.
+ */
+function embed(parent, child, rect) {
+  const frame = parent.document.createElement('iframe');
+  frame.contentWindow = child.window;
+  frame.clientLeft = frame.clientTop = 2;
+  frame.getBoundingClientRect = () => Object.assign({
+    right: rect.left + child.window.innerWidth + 4, bottom: rect.top + child.window.innerHeight + 4,
+  }, rect);
+  parent.document.body.appendChild(frame);
+
+  child.window.top = parent.window.top;
+  child.window.parent = postTarget(parent, child.window);
+  child.window.postMessage = postTarget(child, child.window.parent).postMessage;
+  return frame;
+}
+
+/** A window's postMessage, as called from the window `source`. */
+function postTarget(env, source) {
+  env.posted = env.posted || [];
+  return {
+    postMessage(data) {
+      env.posted.push(plain(data));
+      env.window.dispatch('message', { data: plain(data), source });
+    },
+  };
+}
+
+/** A started child-frame relay with extension frame id `id`, in `tab`. */
+function childRelay(tab, env, id) {
+  const sent = [];
+  const relay = new env.TinyCat.FrameRelay(null, tab.sender(id, sent));
+  tab.add(id, relay);
+  relay.setFrameId(id);
+  relay.start();
+  return { relay, sent };
+}
+
+function pointer(x, y, extra) {
+  return Object.assign({ type: 'pointermove', clientX: x, clientY: y, pointerType: 'mouse', isPrimary: true, button: 0 }, extra);
+}
+
+/** Move the pointer in a frame and let the frame's next animation frame run. */
+function move(env, x, y, extra) {
+  env.document.dispatch('pointermove', pointer(x, y, extra));
+  env.frames.step();
+}
+
+/** A running cat in a top frame, with a child frame (id 7) at (100, 50) relaying to it. */
+function framedCat() {
+  const top = startedCat({ seed: 2 });
+  const { cat } = top;
+  const tab = createTab();
+  const topRelay = new top.TinyCat.FrameRelay((type, e) => cat.relayInput(type, e));
+  tab.add(0, topRelay);
+  topRelay.start();
+
+  const child = loadTinyCat({ width: 300, height: 200 });
+  const frame = embed(top, child, { left: 100, top: 50 });
+  const { relay, sent } = childRelay(tab, child, 7);
+  return { top, child, frame, cat, tab, relay, topRelay, sent };
+}
+
+test('only the top frame is the top', () => {
+  const { relay, topRelay } = framedCat();
+  assert.strictEqual(topRelay.isTop, true);
+  assert.strictEqual(relay.isTop, false);
+});
+
+test('pointer input in a child frame reaches the cat in top-frame coordinates', () => {
+  const { child, cat } = framedCat();
+  move(child, 10, 20);
+  assert.strictEqual(cat._tracker.x, 112);
+  assert.strictEqual(cat._tracker.y, 72);
+
+  // A finger touching down in the frame is a touch in the top frame too
+  child.document.dispatch('pointerdown', pointer(30, 40, { type: 'pointerdown', pointerType: 'touch' }));
+  assert.strictEqual(cat._tracker.pointerType, 'touch');
+  assert.strictEqual(cat._tracker.x, 132);
+
+  // Extra fingers stay in the frame
+  move(child, 200, 150, { pointerType: 'touch', isPrimary: false });
+  assert.strictEqual(cat._tracker.x, 132);
+});
+
+test('moves are sent at most once an animation frame, and ahead of any press', () => {
+  const { child, cat, sent } = framedCat();
+  child.document.dispatch('pointermove', pointer(10, 20));
+  child.document.dispatch('pointermove', pointer(11, 21));
+  child.document.dispatch('pointermove', pointer(12, 22));
+  assert.deepStrictEqual(sent, []);
+  child.frames.step();
+  assert.deepStrictEqual(sent.map((s) => s.input.x), [12]);
+  assert.strictEqual(cat._tracker.x, 114);
+
+  // A press sends the move before it straight away
+  child.document.dispatch('pointermove', pointer(40, 40));
+  child.document.dispatch('pointerdown', pointer(40, 40, { type: 'pointerdown' }));
+  assert.deepStrictEqual(sent.slice(1).map((s) => s.input.type), ['pointermove', 'pointerdown']);
+  child.frames.step();
+  assert.strictEqual(sent.length, 3);
+});
+
+test('frames introduce themselves with ids alone; input only goes to the extension', () => {
+  const { top, child, sent } = framedCat();
+  assert.deepStrictEqual(top.posted, [{ tinycat: 'tinycat:frame-hello', frameId: 7 }]);
+  assert.deepStrictEqual(child.posted, [{ tinycat: 'tinycat:frame-welcome', frameId: 0 }]);
+
+  move(child, 10, 20);
+  child.document.dispatch('keydown', { key: 's' });
+  assert.strictEqual(top.posted.length, 1);
+  assert.strictEqual(child.posted.length, 1);
+  assert.deepStrictEqual(sent, [
+    { input: { type: 'pointermove', x: 10, y: 20, pointerType: 'mouse', button: 0 }, to: 0 },
+    { input: { type: 'keydown', kind: 'key' }, to: 0 },
+  ]);
+});
+
+test('frames are told apart by id, and nested frames relay through their parent', () => {
+  const { top, cat, tab } = framedCat();
+
+  // A second frame just like the first, elsewhere
+  const other = loadTinyCat({ width: 300, height: 200 });
+  embed(top, other, { left: 600, top: 300 });
+  childRelay(tab, other, 8);
+  move(other, 5, 5);
+  assert.strictEqual(cat._tracker.x, 5 + 602);
+  assert.strictEqual(cat._tracker.y, 5 + 302);
+
+  // A frame inside a frame, shifted at each level
+  const outer = loadTinyCat({ width: 400, height: 300 });
+  embed(top, outer, { left: 20, top: 400 });
+  childRelay(tab, outer, 3);
+  const inner = loadTinyCat({ width: 100, height: 100 });
+  embed(outer, inner, { left: 30, top: 40 });
+  const { sent } = childRelay(tab, inner, 4);
+  move(inner, 5, 5);
+  assert.strictEqual(sent[0].to, 3);
+  assert.strictEqual(cat._tracker.x, 5 + 32 + 22);
+  assert.strictEqual(cat._tracker.y, 5 + 42 + 402);
+});
+
+test('a frame nobody answered relays keystrokes but not its pointer, and asks again', () => {
+  const { top, cat, tab } = framedCat();
+  const lost = loadTinyCat({ width: 100, height: 100 });
+  lost.window.top = top.window.top;   // framed, but its parent never hears it
+  const hellos = [];
+  lost.window.parent = { postMessage: (data) => hellos.push(plain(data)) };
+  const { sent } = childRelay(tab, lost, 9);
+  const x = cat._tracker.x;
+  move(lost, 5, 5);
+  assert.strictEqual(cat._tracker.x, x);
+  assert.strictEqual(sent[0].to, 0);
+
+  cat.startRecording();
+  lost.document.dispatch('keydown', { key: 'a' });
+  assert.deepStrictEqual(plain(cat.stopRecording().input), [[0, 'key']]);
+
+  assert.strictEqual(hellos.length, 1);
+  lost.clock.tick(1000);
+  move(lost, 6, 6);
+  assert.deepStrictEqual(hellos, [
+    { tinycat: 'tinycat:frame-hello', frameId: 9 }, { tinycat: 'tinycat:frame-hello', frameId: 9 },
+  ]);
+});
+
+test('introductions from anywhere but a child frame, or answers from anywhere but the parent, are ignored', () => {
+  const { top, child, cat, tab, sent } = framedCat();
+  const stray = loadTinyCat({ width: 100, height: 100 });
+  stray.window.top = top.window.top;
+  stray.window.parent = postTarget(top, stray.window);   // posts to the top, but no <iframe> of it
+  childRelay(tab, stray, 11);
+  const x = cat._tracker.x;
+  move(stray, 5, 5);
+  assert.strictEqual(cat._tracker.x, x);
+
+  // A welcome from another window doesn't redirect the frame's input
+  child.window.dispatch('message', { data: { tinycat: 'tinycat:frame-welcome', frameId: 11 }, source: stray.window });
+  move(child, 10, 20);
+  assert.strictEqual(cat._tracker.x, 112);
+  assert.deepStrictEqual(sent.map((s) => s.to), [0]);
+});
+
+test('a frame taken off the page is forgotten', () => {
+  const { top, child, frame, cat } = framedCat();
+  top.document.body.removeChild(frame);
+  const x = cat._tracker.x;
+  move(child, 10, 20);
+  assert.strictEqual(cat._tracker.x, x);
+});
+
+test('relayed input is recorded, keystrokes by kind only', () => {
+  const { child, cat } = framedCat();
+  cat.startRecording();
+  move(child, 10, 20);
+  child.document.dispatch('keydown', { key: 's' });
+  child.document.dispatch('keydown', { key: 'Backspace' });
+  child.document.dispatch('keydown', { key: 'Shift' });
+  const trace = plain(cat.stopRecording());
+  assert.deepStrictEqual(trace.input, [[0, 112, 72], [0, 'key'], [0, 'delete']]);
+});
+
+test('malformed input is ignored', () => {
+  const { cat, topRelay } = framedCat();
+  const x = cat._tracker.x;
+  topRelay.receive({ type: 'pointermove', x: 'far', y: 1 }, 7);
+  topRelay.receive({ type: 'click', x: 1, y: 1 }, 7);
+  topRelay.receive({ type: 'keydown', kind: 'enter' }, 7);
+  topRelay.receive(null, 7);
+  assert.strictEqual(cat._tracker.x, x);
+});
+
+test('a stopped relay forwards nothing and detaches', () => {
+  const { child, cat, relay, topRelay } = framedCat();
+  const x = cat._tracker.x;
+  child.document.dispatch('pointermove', pointer(10, 20));
+  relay.stop();
+  child.frames.step();
+  move(child, 10, 20);
+  assert.strictEqual(cat._tracker.x, x);
+  ['pointermove', 'pointerdown', 'pointerup', 'pointercancel', 'keydown'].forEach((type) => {
+    assert.strictEqual(child.document.listenerCount(type), 0, type);
+  });
+  assert.strictEqual(child.window.listenerCount('message'), 0);
+
+  // Nor does a stopped top relay take relayed input
+  relay.start();
+  topRelay.stop();
+  move(child, 10, 20);
+  assert.strictEqual(cat._tracker.x, x);
+});
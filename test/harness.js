@@ -0,0 +1,369 @@
+/**
+ * Headless harness for the TinyCat content-script modules.
+ *
+ * Each src/ module is a browser IIFE that reads and writes window.TinyCat.
+ * loadTinyCat() runs them unchanged inside a vm context whose globals are a
+ * fake window: a manual clock driving Date.now() and setTimeout, a manual
+ * requestAnimationFrame queue, a minimal DOM, and canvas contexts that
+ * record painted pixels.
+ *
+ * Run the suite with:  npm test
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SRC = path.join(__dirname, '..', 'src');
+
+/** Content-script load order, as in manifest.json. */
+const MODULES = [
+  'sprites.js',
+  'site-rules.js',
+  'random.js',
+  'state-machine.js',
+  'sprite-pack.js',
+  'cursor-tracker.js',
+  'trace.js',
+  'avoid.js',
+  'renderer.js',
+  'perch.js',
+  'drag.js',
+  'frame-relay.js',
+  'focus-timer.js',
+  'needs.js',
+  'cat.js',
+];
+
+/** Manual clock: time only moves when a test calls tick(). */
+function createClock(start) {
+  let now = start;
+  let nextId = 1;
+  let timers = [];
+
+  return {
+    now: () => now,
+
+    setTimeout(fn, ms) {
+      const id = nextId++;
+      timers.push({ id, at: now + (ms || 0), fn });
+      return id;
+    },
+
+    clearTimeout(id) {
+      timers = timers.filter((t) => t.id !== id);
+    },
+
+    /** Advance time by ms, firing due timers in order. */
+    tick(ms) {
+      const end = now + ms;
+      for (;;) {
+        const due = timers
+          .filter((t) => t.at <= end)
+          .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+        if (!due) break;
+        timers = timers.filter((t) => t !== due);
+        now = due.at;
+        due.fn();
+      }
+      now = end;
+    },
+
+    pending: () => timers.length,
+  };
+}
+
+/** Manual requestAnimationFrame: step() runs the callbacks queued so far. */
+function createFrames() {
+  let nextId = 1;
+  let queue = [];
+
+  return {
+    request(fn) {
+      const id = nextId++;
+      queue.push({ id, fn });
+      return id;
+    },
+
+    cancel(id) {
+      queue = queue.filter((f) => f.id !== id);
+    },
+
+    step() {
+      const run = queue;
+      queue = [];
+      run.forEach((f) => f.fn());
+    },
+
+    pending: () => queue.length,
+  };
+}
+
+/** Event target with a dispatch() helper for tests. */
+function createTarget() {
+  const listeners = {};
+  return {
+    addEventListener(type, fn) {
+      (listeners[type] = listeners[type] || []).push(fn);
+    },
+    removeEventListener(type, fn) {
+      listeners[type] = (listeners[type] || []).filter((l) => l !== fn);
+    },
+    dispatch(type, event) {
+      (listeners[type] || []).slice().forEach((fn) => fn(event || {}));
+    },
+    listenerCount: (type) => (listeners[type] || []).length,
+  };
+}
+
+/**
+ * 2D context stand-in that records the color of every painted cell.
+ * pixel(x, y) returns the fillStyle last painted there, or null if clear.
+ */
+function createContext(canvas) {
+  const cells = new Map();
+  const key = (x, y) => x + ',' + y;
+
+  return {
+    fillStyle: null,
+    strokeStyle: null,
+    lineWidth: 1,
+    fillRect(x, y, w, h) {
+      for (let yy = y; yy < y + h; yy++) {
+        for (let xx = x; xx < x + w; xx++) cells.set(key(xx, yy), this.fillStyle);
+      }
+    },
+    clearRect(x, y, w, h) {
+      for (let yy = y; yy < y + h; yy++) {
+        for (let xx = x; xx < x + w; xx++) cells.delete(key(xx, yy));
+      }
+    },
+    beginPath() {},
+    moveTo() {},
+    lineTo() {},
+    stroke() {},
+    strokeRect() {},
+    pixel: (x, y) => (cells.has(key(x, y)) ? cells.get(key(x, y)) : null),
+    /** Painted cells as rows of colors (null = clear), sized to the canvas. */
+    snapshot() {
+      const rows = [];
+      for (let y = 0; y < canvas.height; y++) {
+        const row = [];
+        for (let x = 0; x < canvas.width; x++) row.push(this.pixel(x, y));
+        rows.push(row);
+      }
+      return rows;
+    },
+  };
+}
+
+/**
+ * A stand-in for layout: elements placed with a translate() transform (the
+ * cat's container) sit there, sized by their first child with a px size;
+ * everything else is an empty rect at the origin.
+ */
+function layoutRect(el) {
+  const at = /translate\(([-\d.]+)px, ([-\d.]+)px\)/.exec(el.style.transform || '');
+  const sized = at && el.children.find((c) => c.style.width);
+  if (!sized) return { left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 };
+  const left = parseFloat(at[1]);
+  const top = parseFloat(at[2]);
+  const width = parseFloat(sized.style.width);
+  const height = parseFloat(sized.style.height);
+  return { left, top, right: left + width, bottom: top + height, width, height };
+}
+
+function createElement(tag) {
+  const el = Object.assign(createTarget(), {
+    tagName: tag.toUpperCase(),
+    id: '',
+    className: '',
+    textContent: '',
+    style: {},
+    dataset: {},
+    children: [],
+    parentNode: null,
+    width: 0,
+    height: 0,
+    classList: {
+      _set: new Set(),
+      add(c) { this._set.add(c); },
+      remove(c) { this._set.delete(c); },
+      contains(c) { return this._set.has(c); },
+      toggle(c, on) {
+        const want = on === undefined ? !this._set.has(c) : on;
+        if (want) this._set.add(c); else this._set.delete(c);
+        return want;
+      },
+    },
+    appendChild(child) {
+      child.parentNode = el;
+      el.children.push(child);
+      return child;
+    },
+    removeChild(child) {
+      el.children = el.children.filter((c) => c !== child);
+      child.parentNode = null;
+      return child;
+    },
+    contains(node) {
+      for (let n = node; n; n = n.parentNode) if (n === el) return true;
+      return false;
+    },
+    /** Tags and class names only: enough for matching simple selectors. */
+    matches(selector) {
+      return selector.split(',').some((part) => {
+        part = part.trim();
+        if (part === '*') return true;
+        const cls = /^\[class\*="(.+)"\]$/.exec(part);
+        if (cls) return el.className.indexOf(cls[1]) !== -1;
+        return el.tagName === part.toUpperCase();
+      });
+    },
+    getBoundingClientRect: () => layoutRect(el),
+  });
+
+  Object.defineProperty(el, 'isConnected', {
+    get() {
+      for (let n = el; n; n = n.parentNode) if (n.tagName === 'BODY') return true;
+      return false;
+    },
+  });
+
+  Object.defineProperty(el, 'innerHTML', {
+    get: () => '',
+    set: () => { el.children.forEach((c) => { c.parentNode = null; }); el.children = []; },
+  });
+
+  if (tag === 'canvas') {
+    let ctx = null;
+    el.getContext = () => (ctx = ctx || createContext(el));
+  }
+  return el;
+}
+
+function createDocument() {
+  const doc = createTarget();
+  doc.body = createElement('body');
+  doc.documentElement = createElement('html');
+  doc.createElement = createElement;
+  doc.activeElement = doc.body;
+
+  /** Descendants of body matching a simple selector, in document order. */
+  doc.querySelectorAll = (selector) => {
+    const found = [];
+    (function walk(node) {
+      node.children.forEach((child) => {
+        if (child.matches(selector)) found.push(child);
+        walk(child);
+      });
+    })(doc.body);
+    return found;
+  };
+
+  doc.getElementById = (id) => doc.querySelectorAll('*').find((el) => el.id === id) || null;
+
+  /**
+   * Connected elements whose rect contains (x, y), later (painted-on-top)
+   * elements first; elementFromPoint is the topmost. Tests set rects by
+   * replacing an element's getBoundingClientRect.
+   */
+  doc.elementsFromPoint = (x, y) => doc.querySelectorAll('*').filter((el) => {
+    const r = el.getBoundingClientRect();
+    return x >= r.left && x < r.right && y >= r.top && y < r.bottom;
+  }).reverse();
+  doc.elementFromPoint = (x, y) => doc.elementsFromPoint(x, y)[0] || null;
+  return doc;
+}
+
+/**
+ * Load the TinyCat modules into a fresh fake browser.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.now] – starting clock time (ms)
+ * @param {number} [opts.width] – viewport width
+ * @param {number} [opts.height] – viewport height
+ * @returns {{ TinyCat, window, document, clock, frames }}
+ */
+function loadTinyCat(opts) {
+  opts = opts || {};
+  const clock = createClock(opts.now || 1000000);
+  const frames = createFrames();
+  const document = createDocument();
+
+  const FakeDate = class extends Date {
+    static now() { return clock.now(); }
+  };
+
+  const window = Object.assign(createTarget(), {
+    innerWidth: opts.width || 1280,
+    innerHeight: opts.height || 800,
+    scrollY: 0,
+    document,
+    Date: FakeDate,
+    URL,
+    console,
+    setTimeout: clock.setTimeout,
+    clearTimeout: clock.clearTimeout,
+    requestAnimationFrame: frames.request,
+    cancelAnimationFrame: frames.cancel,
+    getComputedStyle: (el) => ({ backgroundColor: 'rgba(0, 0, 0, 0)', position: el.style.position || 'static' }),
+    matchMedia: () => Object.assign(createTarget(), { matches: false }),
+  });
+  window.window = window;
+  // A top-level page; tests link frames by replacing these
+  window.top = window;
+  window.parent = window;
+  window.self = window;
+
+  const context = vm.createContext(window);
+  MODULES.forEach((file) => {
+    const code = fs.readFileSync(path.join(SRC, file), 'utf8');
+    vm.runInContext(code, context, { filename: path.join(SRC, file) });
+  });
+
+  return { TinyCat: window.TinyCat, window, document, clock, frames };
+}
+
+/**
+ * A started cat in a fresh fake browser (`opts` as for loadTinyCat),
+ * deterministic on seed 5 unless `settings` say otherwise. Returns the
+ * environment with the cat added as `cat`, where drive() looks for it.
+ */
+function startedCat(settings, opts) {
+  const env = loadTinyCat(opts);
+  const cat = new env.TinyCat.Cat();
+  cat.applySettings(Object.assign({ deterministic: true, seed: 5 }, settings));
+  cat.start();
+  return Object.assign(env, { cat });
+}
+
+/**
+ * Append a `tag` element to `parent` (default: the body), laid out at rect
+ * ({ left, top, width, height }). el.move(dy) scrolls it by dy and
+ * el.resize(w, h) changes its size.
+ */
+function place(env, tag, rect, parent) {
+  const el = env.document.createElement(tag);
+  const r = Object.assign({}, rect);
+  el.getBoundingClientRect = () => ({
+    left: r.left, top: r.top, width: r.width, height: r.height,
+    right: r.left + r.width, bottom: r.top + r.height,
+  });
+  el.move = (dy) => { r.top += dy; };
+  el.resize = (w, h) => { r.width = w; r.height = h; };
+  (parent || env.document.body).appendChild(el);
+  return el;
+}
+
+/**
+ * Copy a value out of the vm realm so deepStrictEqual can compare it with
+ * test-side literals (arrays and objects from the context have their own
+ * prototypes).
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadTinyCat, startedCat, place, plain };
@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTinyCat, plain } = require('./harness');
+
+const HOUR = 60 * 60 * 1000;
+
+function needsLib() {
+  return loadTinyCat().TinyCat.Needs;
+}
+
+function close(actual, expected, what) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, what + ': ' + actual + ' vs ' + expected);
+}
+
+test('missing or broken needs start from the defaults, as of now', () => {
+  const Needs = needsLib();
+  assert.deepStrictEqual(plain(Needs.normalize(null, 5)),
+    { energy: 0.8, hunger: 0.3, affection: 0.5, resting: false, updatedAt: 5 });
+  assert.deepStrictEqual(plain(Needs.normalize({ energy: 3, hunger: 'lots', resting: 'yes' }, 5)),
+    { energy: 1, hunger: 0.3, affection: 0.5, resting: false, updatedAt: 5 });
+});
+
+test('needs drift over real time: hungrier, lonelier, and tired until resting', () => {
+  const Needs = needsLib();
+  const start = { energy: 0.5, hunger: 0.2, affection: 0.5, resting: false, updatedAt: 0 };
+
+  const later = Needs.at(start, 5 * HOUR);
+  close(later.energy, 0.5 - 5 * 0.06, 'energy drains');
+  close(later.hunger, 0.2 + 5 * 0.1, 'hunger rises');
+  close(later.affection, 0.5 - 5 * 0.04, 'affection fades');
+  assert.strictEqual(later.updatedAt, 5 * HOUR);
+
+  const rested = Needs.at(Object.assign({}, start, { resting: true }), HOUR);
+  close(rested.energy, 0.75, 'energy comes back while resting');
+
+  // Never past the ends, and never backwards in time
+  assert.strictEqual(Needs.at(start, 100 * HOUR).hunger, 1);
+  assert.strictEqual(Needs.at(start, 100 * HOUR).energy, 0);
+  assert.deepStrictEqual(plain(Needs.values(Needs.at(start, -HOUR))), { energy: 0.5, hunger: 0.2, affection: 0.5 });
+});
+
+test('changes apply after drifting, and can switch resting', () => {
+  const Needs = needsLib();
+  const start = { energy: 0.5, hunger: 0.9, affection: 0.5, resting: false, updatedAt: 0 };
+
+  const fed = Needs.change(start, Needs.FEED, HOUR);
+  close(fed.hunger, 0.4, 'hunger after a meal');
+  close(fed.affection, 0.51, 'a little affection for the meal');
+  assert.strictEqual(fed.updatedAt, HOUR);
+
+  const asleep = Needs.change(fed, { resting: true }, 2 * HOUR);
+  assert.strictEqual(asleep.resting, true);
+  close(Needs.at(asleep, 3 * HOUR).energy, 0.5 - 2 * 0.06 + 0.25, 'drained awake, then rested');
+});
+
+test('a tired cat rests more and plays less; a lonely or fed one plays more', () => {
+  const Needs = needsLib();
+  const middling = Needs.mood({ energy: 0.5, hunger: 0.5, affection: 0.5 });
+  close(middling.playful, 1, 'middling playful');
+  close(middling.restful, 1, 'middling restful');
+
+  const tired = Needs.mood({ energy: 0.1, hunger: 0.5, affection: 0.5 });
+  assert.ok(tired.restful > 1.5 && tired.playful < 0.6, JSON.stringify(tired));
+
+  const lonely = Needs.mood({ energy: 0.5, hunger: 0.5, affection: 0 });
+  const hungry = Needs.mood({ energy: 0.5, hunger: 1, affection: 0.5 });
+  assert.ok(lonely.playful > 1 && hungry.playful < 1);
+});
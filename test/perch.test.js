@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTinyCat, startedCat, place } = require('./harness');
+const { drive } = require('./replay');
+
+test('findPerches keeps wide, visible, exposed tops in the viewport', () => {
+  const env = loadTinyCat();
+  const { findPerches } = env.TinyCat;
+
+  const header = place(env, 'header', { left: 0, top: 80, width: 1280, height: 60 });
+  const card = place(env, 'div', { left: 200, top: 300, width: 300, height: 200 });
+  card.className = 'product-card';
+  place(env, 'div', { left: 600, top: 300, width: 300, height: 200 });       // not a perch kind
+  place(env, 'img', { left: 0, top: 400, width: 40, height: 40 });           // too small
+  place(env, 'img', { left: 0, top: 20, width: 400, height: 100 });          // no headroom
+  place(env, 'img', { left: 0, top: 900, width: 400, height: 100 });         // below the fold
+  place(env, 'img', { left: 800, top: 500, width: 200, height: 100 });        // covered by...
+  place(env, 'div', { left: 800, top: 480, width: 200, height: 100 });       // ...this one
+
+  assert.deepStrictEqual([...findPerches(null)], [header, card]);
+  assert.deepStrictEqual([...findPerches(header)], [card], 'ignored subtree is skipped');
+});
+
+test('a Perch follows its element and lets go when it changes', () => {
+  const env = loadTinyCat();
+  const el = place(env, 'img', { left: 100, top: 300, width: 200, height: 100 });
+  const perch = new env.TinyCat.Perch(el, 0.5);
+
+  assert.deepStrictEqual(Object.assign({}, perch.spot()), { x: 200, y: 300 });
+  el.move(-120);
+  assert.deepStrictEqual(Object.assign({}, perch.spot()), { x: 200, y: 180 });
+
+  el.resize(202, 100);
+  assert.ok(perch.spot(), 'small size jitter is tolerated');
+  el.resize(260, 100);
+  assert.strictEqual(perch.spot(), null, 'resized');
+
+  const other = new env.TinyCat.Perch(place(env, 'img', { left: 0, top: 100, width: 200, height: 100 }), 0);
+  other.el.move(-150);
+  assert.strictEqual(other.spot(), null, 'scrolled out of view');
+
+  const gone = new env.TinyCat.Perch(place(env, 'img', { left: 0, top: 100, width: 200, height: 100 }), 1);
+  assert.strictEqual(gone.spot().x, 170, 'seat stays off the very end');
+  env.document.body.removeChild(gone.el);
+  assert.strictEqual(gone.spot(), null, 'removed');
+});
+
+/** A started cat that always takes the perch roll when idle. */
+function perchingCat() {
+  return startedCat({ probabilities: { idleWander: 0, idlePerch: 1 } });
+}
+
+test('an idle cat hops onto a perch, rides it and falls when it goes', () => {
+  const env = perchingCat();
+  const { cat, TinyCat: { States } } = env;
+  const el = place(env, 'header', { left: 100, top: 300, width: 400, height: 80 });
+  const renderer = cat._renderer;
+
+  drive(env, [], 7000);
+  assert.strictEqual(cat.getStatus().state, States.PERCHED);
+  const sprite = env.TinyCat.sprites.idle;
+  const feet = () => renderer.position.y + (sprite.h * env.TinyCat.PIXEL_SCALE) / 2;
+  assert.ok(Math.abs(feet() - 300) < 0.01, 'sitting on the top edge');
+
+  el.move(-50);
+  drive(env, [], 20);
+  assert.ok(Math.abs(feet() - 250) < 0.01, 'scrolled along');
+
+  env.document.body.removeChild(el);
+  drive(env, [], 20);
+  assert.strictEqual(cat.getStatus().state, States.FALLING);
+  assert.strictEqual(cat.getStatus().history.slice(-1)[0].event, 'perchLost');
+});
+
+test('with nothing to sit on, the perch roll never wins', () => {
+  const env = perchingCat();
+  const { cat } = env;
+  drive(env, [], 6000);
+  assert.notStrictEqual(cat.getStatus().state, env.TinyCat.States.PERCHED);
+  assert.strictEqual(cat.getStatus().history.some((h) => h.to === 'perched'), false);
+});
+
+test('perching can be switched off like any behavior', () => {
+  const env = perchingCat();
+  const { cat } = env;
+  place(env, 'header', { left: 100, top: 300, width: 400, height: 80 });
+  cat.applySettings({ disabledStates: ['perched'] });
+  drive(env, [], 6000);
+  assert.notStrictEqual(cat.getStatus().state, env.TinyCat.States.PERCHED);
+});
@@ -0,0 +1,207 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTinyCat, plain } = require('./harness');
+
+/** Expected cell colors for a sprite with optional patches, as snapshot() rows. */
+function expected(sprite, palette, patches) {
+  const rows = plain(sprite.rows).map((row) =>
+    row.split('').map((c) => (c === '0' ? null : palette[parseInt(c)])));
+  plain(patches || []).forEach((p) => {
+    if (p.x >= sprite.w || p.y >= sprite.h) return;
+    rows[p.y][p.x] = p.c === '0' ? null : palette[parseInt(p.c)];
+  });
+  return rows;
+}
+
+function paint(env, sprite, palette, patches) {
+  const canvas = env.document.createElement('canvas');
+  canvas.width = sprite.w;
+  canvas.height = sprite.h;
+  const ctx = canvas.getContext('2d');
+  env.TinyCat.paintSprite(ctx, sprite, palette, patches);
+  return ctx.snapshot();
+}
+
+function mounted() {
+  const env = loadTinyCat();
+  const r = new env.TinyCat.Renderer();
+  r.mount();
+  const canvas = env.document.body.children[0].children[0];
+  return Object.assign(env, { r, canvas, ctx: canvas.getContext('2d') });
+}
+
+test('every sprite paints cell-for-cell in every palette', () => {
+  const env = loadTinyCat();
+  const { sprites, palettes } = env.TinyCat;
+  Object.keys(sprites).forEach((key) => {
+    const sprite = sprites[key];
+    assert.strictEqual(sprite.rows.length, sprite.h, key + ' height');
+    sprite.rows.forEach((row) => assert.strictEqual(row.length, sprite.w, key + ' width'));
+
+    Object.keys(palettes).forEach((name) => {
+      assert.deepStrictEqual(
+        paint(env, sprite, palettes[name]),
+        expected(sprite, palettes[name]),
+        key + ' in ' + name,
+      );
+    });
+  });
+});
+
+test('every animation frame paints its patches over the base sprite', () => {
+  const env = loadTinyCat();
+  const { sprites, animations, palettes } = env.TinyCat;
+  Object.keys(animations).forEach((key) => {
+    const anim = animations[key];
+    if (!anim) return;
+    assert.ok(sprites[key], 'animation ' + key + ' has a sprite');
+    anim.frames.forEach((patches, i) => {
+      assert.deepStrictEqual(
+        paint(env, sprites[key], palettes.black, patches),
+        expected(sprites[key], palettes.black, patches),
+        key + ' frame ' + i,
+      );
+    });
+  });
+});
+
+test('patches outside a smaller sprite are ignored', () => {
+  const env = loadTinyCat();
+  const sprite = { w: 2, h: 2, rows: ['11', '10'] };
+  const palette = env.TinyCat.palettes.black;
+  const rows = paint(env, sprite, palette, [{ x: 1, y: 1, c: '2' }, { x: 5, y: 0, c: '2' }]);
+  assert.deepStrictEqual(rows, [[palette[1], palette[1]], [palette[1], palette[2]]]);
+});
+
+test('each state draws its mapped sprite and label', () => {
+  const env = mounted();
+  const { States, stateSprites, sprites, palettes } = env.TinyCat;
+  Object.keys(States).forEach((name) => {
+    const state = States[name];
+    env.r.setState(state);
+    const sprite = sprites[stateSprites[state]];
+    assert.strictEqual(env.canvas.width, sprite.w, state);
+    assert.strictEqual(env.canvas.height, sprite.h, state);
+    const anim = env.TinyCat.animations[stateSprites[state]];
+    const frame0 = anim && anim.frames.length ? anim.frames[0] : null;
+    assert.deepStrictEqual(env.ctx.snapshot(), expected(sprite, palettes.black, frame0), state);
+    assert.ok(env.r._labelEl.textContent, state + ' has a label');
+  });
+});
+
+test('light palettes swap in the normal-eyed scared sprite when falling', () => {
+  const env = mounted();
+  const { States, sprites, palettes } = env.TinyCat;
+
+  env.r.setState(States.FALLING);
+  assert.deepStrictEqual(env.ctx.snapshot(), expected(sprites.scared, palettes.black));
+
+  ['white', 'calico'].forEach((theme) => {
+    env.r.setState(States.IDLE);
+    env.r.setTheme(theme);
+    env.r.setState(States.FALLING);
+    assert.deepStrictEqual(env.ctx.snapshot(), expected(sprites.scaredWhite, palettes[theme]), theme);
+  });
+});
+
+test('animation frames advance on the clock at the sprite fps', () => {
+  const env = mounted();
+  const { sprites, animations, palettes } = env.TinyCat;
+  const anim = animations.idle;
+  const frameMs = Math.ceil(1000 / anim.fps);
+
+  for (let i = 1; i < anim.frames.length; i++) {
+    env.clock.tick(frameMs);
+    env.frames.step();
+    assert.deepStrictEqual(env.ctx.snapshot(), expected(sprites.idle, palettes.black, anim.frames[i]), 'frame ' + i);
+  }
+});
+
+test('unmount removes the cat and stops animating', () => {
+  const env = mounted();
+  env.r.unmount();
+  assert.strictEqual(env.document.body.children.length, 0);
+  assert.strictEqual(env.frames.pending(), 0);
+  assert.strictEqual(env.window.listenerCount('scroll'), 0);
+});
+
+test('walkTo walks at a steady pace facing the way of travel', () => {
+  const env = mounted();
+  const { States } = env.TinyCat;
+  env.r.setSpeed(5);                                 // 80 px/s
+  env.r.setState(States.WALKING);
+
+  const start = env.r.position.x;
+  let arrived = 0;
+  env.r.walkTo(start - 80, () => arrived++);
+  assert.strictEqual(env.canvas.style.transform, 'scaleX(-1)');
+
+  for (let i = 0; i < 10; i++) {
+    env.clock.tick(50);
+    env.frames.step();
+  }
+  assert.ok(Math.abs(env.r.position.x - (start - 40)) < 0.5, 'half way after 500 ms');
+  assert.strictEqual(arrived, 0);
+
+  for (let i = 0; i < 11; i++) {
+    env.clock.tick(50);
+    env.frames.step();
+  }
+  assert.strictEqual(env.r.position.x, start - 80);
+  assert.strictEqual(arrived, 1);
+
+  env.r.walkTo(start, () => arrived++);
+  assert.strictEqual(env.canvas.style.transform, '');
+  env.r.setState(States.IDLE);                       // cancels the walk
+  env.clock.tick(2000);
+  env.frames.step();
+  assert.strictEqual(arrived, 1);
+});
+
+test('home sits in its corner and follows it when the viewport changes', () => {
+  const env = mounted();
+  const { r } = env;
+  const settle = () => { for (let i = 0; i < 300; i++) { env.clock.tick(16); env.frames.step(); } };
+
+  // Default: bottom-right, 60px from the side and 40px from the bottom
+  assert.deepStrictEqual(plain(r.homeAnchor), { corner: 'bottom-right', x: 60, y: 40 });
+  assert.strictEqual(r._homeX, 1280 - 120);
+  assert.strictEqual(r._homeY, 800 - 100);
+
+  r.setHome({ corner: 'top-left', x: 20, y: 30 });
+  settle();
+  assert.strictEqual(Math.round(r._x), 20);
+  assert.strictEqual(Math.round(r._y), 30);
+
+  r.setHome({ corner: 'bottom-left', x: 0, y: 0 });
+  env.window.innerWidth = 600;
+  env.window.innerHeight = 400;
+  env.window.dispatch('resize');
+  settle();
+  assert.strictEqual(Math.round(r._y), 400 - 60, 'moved with the bottom edge');
+
+  // Pinch zoom: only part of the layout viewport is on screen
+  env.window.visualViewport = { offsetLeft: 100, offsetTop: 50, width: 300, height: 200 };
+  env.window.dispatch('resize');
+  settle();
+  assert.strictEqual(Math.round(r._x), 100);
+  assert.strictEqual(Math.round(r._y), 50 + 200 - 60);
+});
+
+test('offsets too big for the viewport and far targets are clamped on screen', () => {
+  const env = mounted();
+  const { r } = env;
+  r.setHome({ corner: 'top-right', x: 5000, y: 5000 });
+  assert.strictEqual(r._homeX, 0);
+  assert.strictEqual(r._homeY, 800 - 60);
+
+  r.setTarget(-500, 2000);
+  for (let i = 0; i < 300; i++) { env.clock.tick(16); env.frames.step(); }
+  const pos = r.position;
+  assert.ok(pos.x >= 0 && pos.y <= 800, 'still visible at ' + pos.x + ',' + pos.y);
+
+  r.setHome({ corner: 'middle', x: 'far' });
+  assert.deepStrictEqual(plain(r.homeAnchor), { corner: 'bottom-right', x: 0, y: 0 });
+});
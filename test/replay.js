@@ -0,0 +1,193 @@
+/**
+ * Replay a recorded session trace (see src/trace.js) headlessly.
+ *
+ *   node test/replay.js trace.json [fastSpeedThreshold=30 ...]
+ *
+ * The trace's input is fed through CursorTracker and Cat on the harness's
+ * virtual clock, with animation frames at a steady 60 fps, and the replayed
+ * tracker events and cat states are compared with the recorded ones.
+ * key=value arguments override CursorTracker thresholds for the replay, so
+ * the same real session can be tried against different tuning.
+ */
+'use strict';
+
+const fs = require('fs');
+const { loadTinyCat, plain } = require('./harness');
+
+const FRAME_MS = 1000 / 60;
+
+const PRESSES = { 1: 'pointerdown', 0: 'pointerup', '-1': 'pointercancel' };
+
+/**
+ * Dispatch trace-style input ([t, x, y] moves, [t, x, y, 1|0|-1] presses,
+ * releases and cancels, either optionally ending in 'touch' or 'pen',
+ * [t, 'key'|'delete'] keystrokes, [t, 'scroll', y, max] page scrolls,
+ * [t, 'system', state] system idle changes, which go to env.cat) into a
+ * harness environment, stepping animation frames every FRAME_MS, until
+ * `duration` ms after the call.
+ */
+function drive(env, input, duration) {
+  let elapsed = 0;
+  let nextFrame = FRAME_MS;
+
+  function advance(to) {
+    while (nextFrame <= to) {
+      env.clock.tick(nextFrame - elapsed);
+      elapsed = nextFrame;
+      env.frames.step();
+      nextFrame += FRAME_MS;
+    }
+    env.clock.tick(to - elapsed);
+    elapsed = to;
+  }
+
+  input.forEach((entry) => {
+    advance(entry[0]);
+    if (entry[1] === 'key' || entry[1] === 'delete') {
+      env.document.dispatch('keydown', { key: entry[1] === 'delete' ? 'Backspace' : 'x' });
+      return;
+    }
+    if (entry[1] === 'system') {
+      if (env.cat) env.cat.setSystemIdle(entry[2]);
+      return;
+    }
+    if (entry[1] === 'scroll') {
+      env.window.scrollY = entry[2];
+      env.document.documentElement.scrollHeight = entry[3] + env.window.innerHeight;
+      env.window.dispatch('scroll');
+      return;
+    }
+    const rest = entry.slice(3);
+    const pointerType = typeof rest[rest.length - 1] === 'string' ? rest.pop() : 'mouse';
+    env.document.dispatch(rest.length ? PRESSES[rest[0]] : 'pointermove', {
+      clientX: entry[1], clientY: entry[2], pointerType, pointerId: 1, isPrimary: true, button: 0,
+      preventDefault() {},
+    });
+  });
+  advance(Math.max(duration, elapsed));
+}
+
+/**
+ * Replay a trace and return the trace the replayed session records.
+ *
+ * @param {Object} trace – a valid trace
+ * @param {Object} [opts]
+ * @param {Object} [opts.tracker] – CursorTracker threshold overrides
+ * @returns {Object} trace of the replay (events and states to compare)
+ */
+function replayTrace(trace, opts) {
+  opts = opts || {};
+  const env = loadTinyCat({ width: trace.viewport.w, height: trace.viewport.h });
+  const errors = env.TinyCat.Trace.validate(trace);
+  if (errors.length) throw new Error('Invalid trace:\n  ' + errors.join('\n  '));
+
+  if (trace.scroll) {
+    env.window.scrollY = trace.scroll.y;
+    env.document.documentElement.scrollHeight = trace.scroll.max + trace.viewport.h;
+  }
+
+  const cat = new env.TinyCat.Cat();
+  cat.applySettings(Object.assign({}, trace.settings, { deterministic: true, seed: trace.seed }));
+  cat.setTrackerConfig(Object.assign({}, trace.tracker, opts.tracker));
+  if (trace.needs) cat.setNeeds(trace.needs);
+  cat.start();
+  env.document.dispatch('pointermove', { clientX: trace.cursor.x, clientY: trace.cursor.y, pointerType: 'mouse' });
+  cat.startRecording();
+
+  drive(Object.assign(env, { cat }), trace.input, trace.duration);
+
+  const replayed = plain(cat.stopRecording());
+  cat.stop();
+  return replayed;
+}
+
+function countBy(entries) {
+  const counts = {};
+  entries.forEach((e) => { counts[e[1]] = (counts[e[1]] || 0) + 1; });
+  return counts;
+}
+
+/**
+ * Compare two traces of the same input.
+ * @returns {{ events: Object, states: { same: boolean, at: number } }}
+ *   events maps each event name to { recorded, replayed } counts; states.at
+ *   is the index of the first differing state entry (-1 when identical).
+ */
+function compareTraces(recorded, replayed) {
+  const a = countBy(recorded.events);
+  const b = countBy(replayed.events);
+  const events = {};
+  Object.keys(Object.assign({}, a, b)).sort().forEach((name) => {
+    events[name] = { recorded: a[name] || 0, replayed: b[name] || 0 };
+  });
+
+  let at = -1;
+  const n = Math.max(recorded.states.length, replayed.states.length);
+  for (let i = 0; i < n; i++) {
+    const r = recorded.states[i];
+    const p = replayed.states[i];
+    if (!r || !p || r[1] !== p[1]) {
+      at = i;
+      break;
+    }
+  }
+  return { events, states: { same: at === -1, at } };
+}
+
+function formatState(entry) {
+  return entry ? entry[1] + ' @ ' + (entry[0] / 1000).toFixed(2) + 's' : '(none)';
+}
+
+function main(argv) {
+  if (!argv.length) {
+    console.error('Usage: node test/replay.js trace.json [threshold=value ...]');
+    return 2;
+  }
+
+  const env = loadTinyCat();
+  const parsed = env.TinyCat.Trace.parse(fs.readFileSync(argv[0], 'utf8'));
+  if (!parsed.trace) {
+    console.error('Invalid trace:\n  ' + parsed.errors.join('\n  '));
+    return 1;
+  }
+
+  const tracker = {};
+  const known = env.TinyCat.CursorTracker.DEFAULTS;
+  for (const arg of argv.slice(1)) {
+    const m = /^(\w+)=(-?[\d.]+)$/.exec(arg);
+    if (!m || !(m[1] in known)) {
+      console.error('Unknown threshold "' + arg + '". Known: ' + Object.keys(known).join(', '));
+      return 2;
+    }
+    tracker[m[1]] = parseFloat(m[2]);
+  }
+
+  const trace = parsed.trace;
+  const replayed = replayTrace(trace, { tracker });
+  const diff = compareTraces(trace, replayed);
+
+  console.log('Trace: ' + (trace.duration / 1000).toFixed(1) + 's, ' + trace.input.length + ' inputs, seed ' + trace.seed +
+    (trace.truncated ? ' (input truncated)' : ''));
+  if (Object.keys(tracker).length) console.log('Overrides: ' + JSON.stringify(tracker));
+  console.log('');
+  console.log('event'.padEnd(18) + 'recorded'.padStart(10) + 'replayed'.padStart(10));
+  Object.keys(diff.events).forEach((name) => {
+    const e = diff.events[name];
+    console.log(name.padEnd(18) + String(e.recorded).padStart(10) + String(e.replayed).padStart(10));
+  });
+  console.log('');
+  if (diff.states.same) {
+    console.log('States: identical (' + trace.states.length + ' transitions)');
+  } else {
+    const i = diff.states.at;
+    console.log('States diverge at #' + i + ': recorded ' + formatState(trace.states[i]) +
+      ', replayed ' + formatState(replayed.states[i]));
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { FRAME_MS, drive, replayTrace, compareTraces };
@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTinyCat } = require('./harness');
+
+function siteRules() {
+  return loadTinyCat().TinyCat.SiteRules;
+}
+
+test('a bare host covers itself and its subdomains, but no look-alikes', () => {
+  const { matches } = siteRules();
+  assert.ok(matches('example.com', 'https://example.com/'));
+  assert.ok(matches('example.com', 'https://docs.example.com/guide'));
+  assert.ok(matches('Example.COM', 'https://a.b.example.com/'));
+  assert.ok(!matches('example.com', 'https://notexample.com/'));
+  assert.ok(!matches('example.com', 'https://example.com.evil.test/'));
+});
+
+test('*. patterns cover subdomains only', () => {
+  const { matches } = siteRules();
+  assert.ok(matches('*.example.com', 'https://docs.example.com/'));
+  assert.ok(matches('*.example.com', 'https://a.b.example.com/'));
+  assert.ok(!matches('*.example.com', 'https://example.com/'));
+});
+
+test('scheme and path globs narrow a rule', () => {
+  const { matches } = siteRules();
+  assert.ok(matches('http://intranet/*', 'http://intranet/wiki'));
+  assert.ok(!matches('http://intranet/*', 'https://intranet/wiki'));
+  assert.ok(matches('example.com/admin/*', 'https://example.com/admin/users?page=2'));
+  assert.ok(!matches('example.com/admin/*', 'https://example.com/blog/admin/'));
+  assert.ok(matches('*://example.com/*', 'http://example.com/'));
+});
+
+test('a port in a pattern must match the URL\'s, default ports included', () => {
+  const { matches } = siteRules();
+  assert.ok(matches('localhost:8080', 'http://localhost:8080/app'));
+  assert.ok(!matches('localhost:8080', 'http://localhost:3000/app'));
+  assert.ok(!matches('localhost:8080', 'http://localhost/app'));
+  assert.ok(matches('example.com:443', 'https://example.com/'));
+  assert.ok(matches('localhost:*', 'http://localhost:5173/'));
+  assert.ok(matches('http://localhost:8080/api/*', 'http://localhost:8080/api/v1'));
+
+  // Without a port, any port goes
+  assert.ok(matches('localhost', 'http://localhost:8080/'));
+});
+
+test('empty patterns and unparsable URLs match nothing', () => {
+  const { matches } = siteRules();
+  assert.ok(!matches('', 'https://example.com/'));
+  assert.ok(!matches('   ', 'https://example.com/'));
+  assert.ok(!matches('example.com', 'not a url'));
+});
+
+test('deny mode hides the cat on matching pages, allow mode shows it only there', () => {
+  const { isAllowed, Modes } = siteRules();
+  const rules = ['example.com', 'localhost:8080'];
+
+  assert.ok(!isAllowed('https://docs.example.com/', rules, Modes.DENY));
+  assert.ok(isAllowed('https://other.test/', rules, Modes.DENY));
+  assert.ok(isAllowed('http://localhost:3000/', rules, Modes.DENY));
+
+  assert.ok(isAllowed('https://docs.example.com/', rules, Modes.ALLOW));
+  assert.ok(!isAllowed('https://other.test/', rules, Modes.ALLOW));
+
+  // Deny is the default, and no rules hide nothing
+  assert.ok(!isAllowed('https://example.com/', rules));
+  assert.ok(isAllowed('https://example.com/', undefined, Modes.DENY));
+  assert.ok(!isAllowed('https://example.com/', [], Modes.ALLOW));
+});
+
+test('hostOf names hosts of web pages only', () => {
+  const { hostOf } = siteRules();
+  assert.strictEqual(hostOf('https://Docs.Example.com:8443/a?b'), 'docs.example.com');
+  assert.strictEqual(hostOf('http://localhost:8080/'), 'localhost');
+  assert.strictEqual(hostOf('file://fileserver/share/notes.html'), 'fileserver');
+
+  assert.strictEqual(hostOf('file:///home/me/notes.html'), null);
+  assert.strictEqual(hostOf('chrome://settings/'), null);
+  assert.strictEqual(hostOf('chrome-extension://abcdefghijklmnop/popup.html'), null);
+  assert.strictEqual(hostOf('about:blank'), null);
+  assert.strictEqual(hostOf(''), null);
+});
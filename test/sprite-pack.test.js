@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTinyCat, plain } = require('./harness');
+
+function spritePack() {
+  return loadTinyCat().TinyCat.SpritePack;
+}
+
+/** Errors for the built-in pack after `edit` changes it. */
+function errorsAfter(edit) {
+  const SpritePack = spritePack();
+  const pack = SpritePack.builtin();
+  edit(pack);
+  return plain(SpritePack.validate(pack));
+}
+
+test('the built-in pack is valid', () => {
+  assert.deepStrictEqual(plain(spritePack().validate(spritePack().builtin())), []);
+});
+
+test('rows must match the sprite size', () => {
+  assert.deepStrictEqual(errorsAfter((pack) => { pack.sprites.idle.rows[2] += '0'; }),
+    ['sprites.idle.rows[2]: length must be 9']);
+  assert.deepStrictEqual(errorsAfter((pack) => { pack.sprites.idle.rows.pop(); }),
+    ['sprites.idle: expected 11 rows, got 10']);
+});
+
+test('palette codes must be defined by every palette', () => {
+  assert.deepStrictEqual(errorsAfter((pack) => {
+    pack.sprites.idle.rows[0] = '9' + pack.sprites.idle.rows[0].slice(1);
+  }), ['sprites.idle.rows[0]: palette code "9" at column 0 is out of range']);
+
+  // A code only some palettes define can't be used either
+  assert.deepStrictEqual(errorsAfter((pack) => {
+    pack.palettes.black[7] = '#123456';
+    pack.sprites.idle.rows[0] = '7' + pack.sprites.idle.rows[0].slice(1);
+  }), ['sprites.idle.rows[0]: palette code "7" at column 0 is out of range']);
+
+  assert.deepStrictEqual(errorsAfter((pack) => {
+    pack.animations.idle.frames[3][0].c = 'x';
+  }), ['animations.idle.frames[3][0]: palette code "x" is out of range']);
+});
+
+test('animation patches must fall inside their sprite', () => {
+  assert.deepStrictEqual(errorsAfter((pack) => {
+    pack.animations.idle.frames[0].push({ x: 9, y: 0, c: '1' }, { x: 0, y: -1, c: '1' });
+  }), [
+    'animations.idle.frames[0][0]: patch is outside the 9×11 sprite',
+    'animations.idle.frames[0][1]: patch is outside the 9×11 sprite',
+  ]);
+});
+
+test('every state needs a sprite that exists', () => {
+  assert.deepStrictEqual(errorsAfter((pack) => { delete pack.stateSprites.sleep; }),
+    ['stateSprites.sleep: missing — every state needs a sprite']);
+  assert.deepStrictEqual(errorsAfter((pack) => { pack.stateSprites.idle = 'ghost'; }),
+    ['stateSprites.idle: no sprite named "ghost"']);
+});
+
+test('only this format and version are accepted', () => {
+  assert.deepStrictEqual(errorsAfter((pack) => { pack.version = 2; }),
+    ['version: unsupported version 2 (expected 1)']);
+  assert.deepStrictEqual(errorsAfter((pack) => { delete pack.format; }),
+    ['format: expected "tinycat-sprite-pack"']);
+  assert.deepStrictEqual(plain(spritePack().validate([])),
+    ['Not a sprite pack: expected a JSON object']);
+});
+
+test('parse rejects bad JSON and invalid packs', () => {
+  const SpritePack = spritePack();
+  const broken = SpritePack.parse('{ "format": ');
+  assert.strictEqual(broken.pack, null);
+  assert.match(broken.errors[0], /^Invalid JSON: /);
+
+  const old = SpritePack.parse(JSON.stringify({ format: 'tinycat-sprite-pack', version: 0 }));
+  assert.strictEqual(old.pack, null);
+  assert.deepStrictEqual(plain(old.errors), ['version: unsupported version 0 (expected 1)']);
+});
+
+test('a serialized pack parses back to the same pack, editor changes included', () => {
+  const SpritePack = spritePack();
+  const pack = SpritePack.builtin();
+  const parsed = SpritePack.parse(SpritePack.serialize(pack));
+  assert.deepStrictEqual(plain(parsed.errors), []);
+  assert.deepStrictEqual(plain(parsed.pack), plain(pack));
+
+  // A sprite shrunk in the editor: its animation's patches beyond the new
+  // size are dropped so the export still imports
+  const small = { w: 4, h: 4, rows: ['0110', '1111', '1111', '0110'] };
+  const edited = SpritePack.parse(SpritePack.serialize(pack, { idle: small }));
+  assert.deepStrictEqual(plain(edited.errors), []);
+  assert.deepStrictEqual(plain(edited.pack.sprites.idle), small);
+  assert.deepStrictEqual(plain(edited.pack.animations.idle.frames), [[], [], [], [{ x: 2, y: 3, c: '1' }]]);
+});
@@ -0,0 +1,259 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTinyCat, plain } = require('./harness');
+
+/** A machine whose probability rolls always pass (0) or always fail (0.999). */
+function machine(roll, behavior) {
+  const env = loadTinyCat();
+  const { StateMachine } = env.TinyCat;
+  const sm = new StateMachine(behavior, { random: () => roll });
+  return Object.assign(env, { sm });
+}
+
+test('send follows the first matching transition', () => {
+  const { sm, TinyCat: { States, Events } } = machine(0.999);
+  assert.strictEqual(sm.send(Events.CLICK), true);
+  assert.strictEqual(sm.state, States.STARTLED);
+});
+
+test('send ignores events with no transition from the current state', () => {
+  const { sm, TinyCat: { States, Events } } = machine(0);
+  assert.strictEqual(sm.send(Events.CURSOR_AWAY), false);
+  assert.strictEqual(sm.state, States.IDLE);
+});
+
+test('probability rolls gate chance transitions in order', () => {
+  const pass = machine(0);
+  pass.sm.send(pass.TinyCat.Events.NEAR_CURSOR);
+  assert.strictEqual(pass.sm.state, pass.TinyCat.States.STRETCHING);
+
+  const fail = machine(0.999);
+  assert.strictEqual(fail.sm.send(fail.TinyCat.Events.NEAR_CURSOR), false);
+  assert.strictEqual(fail.sm.state, fail.TinyCat.States.IDLE);
+
+  // Failed rolls fall through to the unconditional MEDIUM_IDLE entry
+  fail.sm.send(fail.TinyCat.Events.MEDIUM_IDLE);
+  assert.strictEqual(fail.sm.state, fail.TinyCat.States.DRINKING);
+});
+
+test('timed states emit ANIMATION_DONE after their duration', () => {
+  const { sm, clock, TinyCat: { States, Events, defaultBehavior } } = machine(0.999);
+  sm.send(Events.CLICK);
+
+  clock.tick(defaultBehavior.durations[States.STARTLED] - 1);
+  assert.strictEqual(sm.state, States.STARTLED);
+  clock.tick(1);
+  assert.strictEqual(sm.state, States.FALLING);
+
+  clock.tick(defaultBehavior.durations[States.FALLING]);
+  assert.strictEqual(sm.state, States.IDLE);
+  assert.strictEqual(clock.pending(), 0, 'IDLE has no timer');
+});
+
+test('transitions to disabled states are skipped', () => {
+  const { sm, TinyCat: { States, Events } } = machine(0);
+  sm.setDisabledStates([States.STRETCHING]);
+  sm.send(Events.NEAR_CURSOR);
+  assert.strictEqual(sm.state, States.POUNCE, 'falls through to the next candidate');
+});
+
+test('ANIMATION_DONE falls back to IDLE when every target is disabled', () => {
+  const { sm, clock, TinyCat: { States, Events } } = machine(0.999);
+  sm.setDisabledStates([States.FALLING]);
+  sm.send(Events.CLICK);
+  clock.tick(600);
+  assert.strictEqual(sm.state, States.IDLE);
+  assert.strictEqual(sm.history[sm.history.length - 1].event, Events.ANIMATION_DONE);
+});
+
+test('disabling the current state snaps to IDLE; IDLE cannot be disabled', () => {
+  const { sm, TinyCat: { States, Events } } = machine(0.999);
+  sm.send(Events.CLICK);
+  sm.setDisabledStates([States.STARTLED, States.IDLE]);
+  assert.strictEqual(sm.state, States.IDLE);
+  assert.strictEqual(sm.history[sm.history.length - 1].event, 'disabled');
+
+  sm.send(Events.MEDIUM_IDLE);
+  assert.strictEqual(sm.state, States.DRINKING);
+});
+
+test('an idle cat may wander off; walking ends only when told', () => {
+  const { sm, clock, TinyCat: { States, Events } } = machine(0);
+  sm.send(Events.MEDIUM_IDLE);
+  assert.strictEqual(sm.state, States.WALKING);
+  assert.strictEqual(clock.pending(), 0, 'WALKING has no timer');
+
+  sm.send(Events.NEAR_CURSOR);
+  assert.strictEqual(sm.state, States.WALKING);
+  sm.send(Events.ANIMATION_DONE);
+  assert.strictEqual(sm.state, States.IDLE);
+
+  sm.setDisabledStates([States.WALKING, States.PERCHED]);
+  sm.send(Events.MEDIUM_IDLE);
+  assert.strictEqual(sm.state, States.STRETCHING, 'falls through when walking is off');
+});
+
+test('reset forces a state, restarts its timer and notifies once', () => {
+  const { sm, clock, TinyCat: { States } } = machine(0.999);
+  const changes = [];
+  sm.onChange((to, from) => changes.push(from + '>' + to));
+
+  sm.reset(States.DIZZY);
+  clock.tick(2000);
+  sm.reset(States.DIZZY);
+  assert.deepStrictEqual(changes, ['idle>dizzy'], 'same-state reset does not notify');
+
+  clock.tick(2499);
+  assert.strictEqual(sm.state, States.DIZZY, 'timer restarted by the second reset');
+  clock.tick(1);
+  assert.strictEqual(sm.state, States.IDLE);
+
+  sm.reset();
+  assert.strictEqual(sm.state, States.IDLE);
+});
+
+test('reset cancels a pending ANIMATION_DONE', () => {
+  const { sm, clock, TinyCat: { States, Events } } = machine(0.999);
+  sm.send(Events.CLICK);
+  sm.reset(States.SLEEP);
+  clock.tick(5000);
+  assert.strictEqual(sm.state, States.SLEEP);
+});
+
+test('history keeps the last transitions with their triggering events', () => {
+  const { sm, clock, TinyCat: { States, Events } } = machine(0.999);
+  for (let i = 0; i < 12; i++) {
+    sm.send(Events.CLICK);
+    clock.tick(600 + 1000);
+  }
+  const history = sm.history;
+  assert.strictEqual(history.length, 10);
+  assert.deepStrictEqual(
+    plain(history.slice(-3).map((h) => h.event + ':' + h.to)),
+    ['click:startled', 'animationDone:falling', 'animationDone:idle'],
+  );
+  assert.strictEqual(sm.stateSince, history[history.length - 1].time);
+  assert.strictEqual(sm.state, States.IDLE);
+});
+
+test('energy scales playful transitions and probabilities override by id', () => {
+  const { sm, TinyCat: { States, Events } } = machine(0.3);
+
+  sm.send(Events.CURSOR_FAST);                   // 0.3 < 0.4
+  assert.strictEqual(sm.state, States.POUNCE);
+
+  sm.reset(States.IDLE);
+  sm.setEnergy(0.5);                             // 0.3 < 0.2 fails
+  sm.send(Events.CURSOR_FAST);
+  assert.strictEqual(sm.state, States.IDLE);
+
+  sm.setProbabilities({ fastPounce: 1 });        // 1 × 0.5
+  sm.send(Events.CURSOR_FAST);
+  assert.strictEqual(sm.state, States.POUNCE);
+});
+
+test('mood scales playful transitions on top of energy, and restful ones alone', () => {
+  const { sm, TinyCat: { States, Events } } = machine(0.3);
+
+  sm.setMood({ playful: 0.5, restful: 1 });      // 0.3 < 0.4 × 0.5 fails
+  sm.send(Events.CURSOR_FAST);
+  assert.strictEqual(sm.state, States.IDLE);
+
+  // Only the nap and the sure thing left on a medium idle
+  sm.setProbabilities({ idleWander: 0, idlePerch: 0, idleStretch: 0, idleGroom: 0 });
+  sm.send(Events.MEDIUM_IDLE);                   // 0.3 < 0.1 fails
+  assert.strictEqual(sm.state, States.DRINKING);
+
+  sm.reset(States.IDLE);
+  sm.setMood({ playful: 0.5, restful: 4 });      // 0.3 < 0.1 × 4
+  sm.send(Events.MEDIUM_IDLE);
+  assert.strictEqual(sm.state, States.SLEEP);
+});
+
+test('the same seed replays the same choices', () => {
+  const { TinyCat: { StateMachine, States, Events } } = loadTinyCat();
+  function run(seed) {
+    const sm = new StateMachine(null, { seed });
+    const seen = [];
+    for (let i = 0; i < 30; i++) {
+      sm.reset(States.IDLE);
+      sm.send(Events.NEAR_CURSOR);
+      seen.push(sm.state);
+    }
+    return { seed: sm.seed, seen: seen.join() };
+  }
+  assert.deepStrictEqual(run(1234), run(1234));
+  assert.strictEqual(run(1234).seed, 1234);
+  assert.notStrictEqual(run(1234).seen, run(4321).seen);
+});
+
+test('invalid behavior definitions are rejected', () => {
+  const { TinyCat: { StateMachine, defaultBehavior, validateBehavior } } = loadTinyCat();
+  assert.deepStrictEqual(plain(validateBehavior(defaultBehavior)), []);
+
+  const bad = JSON.parse(JSON.stringify(defaultBehavior));
+  bad.transitions.idle.push({ event: 'sneeze', target: 'flying' });
+  assert.throws(() => new StateMachine(bad), /unknown event "sneeze"[\s\S]*unknown target state "flying"/);
+
+  const sm = new StateMachine();
+  assert.throws(() => sm.setBehavior({ version: 1, states: ['idle'], transitions: { nap: [] } }), /unknown state "nap"/);
+});
+
+test('a custom behavior changes what events do', () => {
+  const { TinyCat: { StateMachine, States, Events } } = loadTinyCat();
+  const sm = new StateMachine({
+    version: 1,
+    states: [States.IDLE, States.SLEEP],
+    transitions: { [States.IDLE]: [{ event: Events.CLICK, target: States.SLEEP }] },
+  });
+  sm.send(Events.CLICK);
+  assert.strictEqual(sm.state, States.SLEEP);
+});
+
+test('a new behavior that would strand the current state sends the cat back to IDLE', () => {
+  const { TinyCat: { StateMachine, States, Events } } = loadTinyCat();
+  const sm = new StateMachine();
+  const seen = [];
+  sm.onChange((to, from) => seen.push(from + '>' + to));
+
+  // Still in the behavior, with a way out: stays put
+  sm.reset(States.SLEEP);
+  sm.setBehavior({
+    version: 1,
+    states: [States.IDLE, States.SLEEP],
+    transitions: { [States.SLEEP]: [{ event: Events.CLICK, target: States.IDLE }] },
+  });
+  assert.strictEqual(sm.state, States.SLEEP);
+
+  // In the behavior, but with no transitions and no duration
+  sm.setBehavior({ version: 1, states: [States.IDLE, States.SLEEP], transitions: {} });
+  assert.strictEqual(sm.state, States.IDLE);
+
+  // Left out of the behavior altogether
+  sm.reset(States.GROOMING);
+  sm.setBehavior({ version: 1, states: [States.IDLE], transitions: {} });
+  assert.strictEqual(sm.state, States.IDLE);
+
+  assert.deepStrictEqual(seen, ['idle>sleep', 'sleep>idle', 'idle>grooming', 'grooming>idle']);
+  assert.deepStrictEqual(plain(sm.history.map((h) => h.event)), ['reset', 'behavior', 'reset', 'behavior']);
+});
+
+test('forced states a behavior leaves untimed keep their default duration', () => {
+  const { clock, TinyCat: { StateMachine, States, defaultBehavior } } = loadTinyCat();
+  const sm = new StateMachine({
+    version: 1,
+    states: [States.IDLE, States.STARTLED],
+    transitions: {},
+    durations: { [States.STARTLED]: 500 },
+  });
+  sm.reset(States.EATING);
+  clock.tick(defaultBehavior.durations[States.EATING]);
+  assert.strictEqual(sm.state, States.IDLE);
+
+  // Other states stay as the behavior has them
+  sm.reset(States.GROOMING);
+  clock.tick(60000);
+  assert.strictEqual(sm.state, States.GROOMING);
+});
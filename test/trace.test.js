@@ -0,0 +1,180 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadTinyCat, startedCat, plain } = require('./harness');
+const { FRAME_MS, drive, replayTrace, compareTraces } = require('./replay');
+
+/**
+ * Synthetic session near the cat's home corner: approach, circle, zip past,
+ * tap the cat, type a little, then sit still long enough to idle.
+ */
+function session() {
+  const input = [];
+  let t = 0;
+  function move(x, y) {
+    t += Math.round(FRAME_MS);
+    input.push([t, Math.round(x), Math.round(y)]);
+  }
+  for (let i = 0; i <= 40; i++) move(640 + i * 13, 400 + i * 8);
+  for (let i = 1; i <= 60; i++) {
+    const a = (i / 20) * Math.PI * 2;
+    move(1110 + Math.cos(a) * 50, 720 + Math.sin(a) * 50);
+  }
+  for (let i = 0; i < 6; i++) move(1160 - (i % 2) * 60, 720);
+  t += 500;
+  input.push([t, 1180, 720, 1]);
+  t += 80;
+  input.push([t, 1180, 720, 0]);
+  for (let i = 0; i < 10; i++) {
+    t += 120;
+    input.push([t, i < 7 ? 'key' : 'delete']);
+  }
+  return { input, duration: t + 7000 };
+}
+
+function record(settings) {
+  const env = startedCat(Object.assign({ seed: 7 }, settings));
+  const { cat } = env;
+  cat.startRecording();
+  const s = session();
+  drive(env, s.input, s.duration);
+  return { env, cat, trace: plain(cat.stopRecording()) };
+}
+
+test('a recording captures input, tracker events and states', () => {
+  const { env, cat, trace } = record({ idleTimeout: 5 });
+  const { Events, Trace } = env.TinyCat;
+
+  assert.deepStrictEqual(plain(Trace.validate(trace)), []);
+  assert.strictEqual(trace.seed, 7);
+  assert.deepStrictEqual(trace.viewport, { w: 1280, h: 800 });
+  assert.strictEqual(trace.settings.idleTimeout, 5);
+  assert.strictEqual(trace.tracker.fastSpeedThreshold, 25);
+  assert.strictEqual(trace.input.length, session().input.length);
+  assert.deepStrictEqual(trace.input[trace.input.length - 1], session().input[session().input.length - 1]);
+
+  const names = trace.events.map((e) => e[1]);
+  [Events.NEAR_CURSOR, Events.CIRCULAR_MOTION, Events.CURSOR_FAST, Events.CLICK,
+    Events.TYPING_BURST, Events.TYPING_STOPPED, Events.MEDIUM_IDLE]
+    .forEach((e) => assert.ok(names.indexOf(e) !== -1, 'saw ' + e));
+  assert.ok(trace.states.length > 0);
+
+  assert.strictEqual(cat.stopRecording(), null, 'stopping twice yields nothing');
+  assert.strictEqual(env.document.listenerCount('pointermove'), 1, 'only the tracker listens');
+  assert.strictEqual(env.document.listenerCount('pointercancel'), 1);
+});
+
+test('keystrokes are recorded as kinds only', () => {
+  const env = startedCat();
+  const { cat } = env;
+  cat.startRecording();
+  ['s', 'e', 'c', 'r', 'e', 't', 'Backspace', 'Shift'].forEach((key) => {
+    env.document.dispatch('keydown', { key });
+    env.clock.tick(10);
+  });
+  const trace = plain(cat.stopRecording());
+  assert.deepStrictEqual(trace.input.map((e) => e[1]),
+    ['key', 'key', 'key', 'key', 'key', 'key', 'delete']);
+  assert.strictEqual(JSON.stringify(trace).indexOf('secret'), -1);
+});
+
+test('scrolling is recorded and replays from the same scroll position', () => {
+  const env = startedCat({ seed: 3 });
+  const { cat } = env;
+  env.window.scrollY = 1200;
+  env.document.documentElement.scrollHeight = 4000 + 800;
+  cat.startRecording();
+  const input = [];
+  for (let i = 1; i <= 20; i++) input.push([i * 17, 'scroll', 1200 + i * (i < 10 ? 8 : 150), 4000]);
+  drive(env, input, 6000);
+  const trace = plain(cat.stopRecording());
+
+  assert.deepStrictEqual(trace.scroll, { y: 1200, max: 4000 });
+  assert.deepStrictEqual(trace.input, input);
+  assert.ok(trace.events.some((e) => e[1] === env.TinyCat.Events.SCROLL_FLING));
+  const replayed = replayTrace(trace);
+  assert.deepStrictEqual(replayed.events, trace.events);
+  assert.deepStrictEqual(replayed.states, trace.states);
+});
+
+test('touch input is recorded with its pointer type and replays', () => {
+  const env = startedCat({ seed: 4 });
+  const { cat } = env;
+  drive(env, [], 1000);
+  cat.startRecording();
+  const home = cat._renderer.homePosition;
+  // A finger swipes past, then taps just beside the cat
+  const input = [[20, 300, 300, 1, 'touch']];
+  for (let i = 1; i <= 8; i++) input.push([20 + i * 17, 300 + i * 60, 300, 'touch']);
+  input.push([200, 780, 300, 0, 'touch'], [900, home.x - 50, home.y, 1, 'touch'], [960, home.x - 50, home.y, 0, 'touch']);
+  drive(env, input, 3000);
+  const trace = plain(cat.stopRecording());
+
+  assert.deepStrictEqual(plain(env.TinyCat.Trace.validate(trace)), []);
+  assert.deepStrictEqual(trace.input, input.map((e) => e.map((v) => (typeof v === 'number' ? Math.round(v) : v))));
+  const names = trace.events.map((e) => e[1]);
+  assert.ok(names.indexOf(env.TinyCat.Events.CURSOR_FAST) !== -1);
+  assert.ok(names.indexOf(env.TinyCat.Events.CLICK) !== -1, 'the near tap reached the cat');
+
+  const replayed = replayTrace(trace);
+  assert.deepStrictEqual(replayed.events, trace.events);
+  assert.deepStrictEqual(replayed.states, trace.states);
+});
+
+test('system idle changes are recorded and replay', () => {
+  const env = startedCat({ seed: 6 });
+  const { cat } = env;
+  cat.startRecording();
+  const input = [[500, 'system', 'locked'], [4000, 'system', 'active']];
+  drive(env, input, 5000);
+  const trace = plain(cat.stopRecording());
+
+  assert.deepStrictEqual(trace.input, input);
+  assert.deepStrictEqual(trace.states.slice(0, 2).map((e) => e[1]),
+    [env.TinyCat.States.SLEEP, env.TinyCat.States.ALERT_SLEEP]);
+  const replayed = replayTrace(trace);
+  assert.deepStrictEqual(replayed.events, trace.events);
+  assert.deepStrictEqual(replayed.states, trace.states);
+});
+
+test('replaying a trace reproduces its events and states', () => {
+  const { trace } = record();
+  const replayed = replayTrace(trace);
+  assert.deepStrictEqual(replayed.events, trace.events);
+  assert.deepStrictEqual(replayed.states, trace.states);
+  assert.strictEqual(compareTraces(trace, replayed).states.same, true);
+});
+
+test('threshold overrides change what the replay detects', () => {
+  const { trace } = record();
+  const replayed = replayTrace(trace, { tracker: { fastSpeedThreshold: 1000, circularAngleSum: 100000 } });
+  const diff = compareTraces(trace, replayed);
+  assert.ok(diff.events.cursorFast.recorded > 0);
+  assert.strictEqual(diff.events.cursorFast.replayed, 0);
+  assert.strictEqual(diff.events.circularMotion.replayed, 0);
+});
+
+test('validate reports malformed traces', () => {
+  const { TinyCat: { Trace } } = loadTinyCat();
+  const { trace } = record();
+
+  assert.match(Trace.parse('{').errors[0], /^Invalid JSON/);
+  assert.match(Trace.validate({ format: Trace.FORMAT, version: 9 })[0], /Unsupported version 9/);
+  assert.match(Trace.validate({ format: Trace.FORMAT, version: 1 })[0], /Unsupported version 1 \(expected 2\)/);
+
+  const bad = JSON.parse(JSON.stringify(trace));
+  bad.input.splice(1, 0, [trace.input[1][0], 5, 5, 2]);
+  bad.input.push([0, 5, 5]);
+  bad.input.unshift([0, 'system', 'asleep']);
+  bad.events.push([bad.duration, 'sneeze']);
+  bad.tracker.fastSpeedThreshold = 'fast';
+  bad.scroll = { y: 'top' };
+  assert.deepStrictEqual(plain(Trace.validate(bad)), [
+    'scroll must be { y, max }',
+    'tracker.fastSpeedThreshold must be a number',
+    'input[0] must be [t, \'system\', active|idle|locked] (system idle)',
+    'events[' + (bad.events.length - 1) + '] has unknown event "sneeze"',
+  ]);
+  assert.throws(() => replayTrace(bad), /Invalid trace/);
+});